@@ -0,0 +1,96 @@
+/**
+ * lib/cron.js — Minimal cron expression matching for scheduled reports
+ *
+ * Standard five fields, evaluated in the machine's local time:
+ *
+ *   minute  hour  day-of-month  month  day-of-week
+ *   0-59    0-23  1-31          1-12   0-6 (0 = Sunday, 7 also Sunday)
+ *
+ * Each field accepts `*`, numbers, lists (1,15), ranges (1-5) and steps
+ * (*\/15, 8-18/2). Day and month names (MON, JAN) are accepted too.
+ * e.g. "0 8 * * 1-5" = weekdays at 08:00.
+ */
+
+'use strict';
+
+const FIELDS = [
+  { name: 'minute',       min: 0, max: 59 },
+  { name: 'hour',         min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month',        min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], offset: 1 },
+  { name: 'day of week',  min: 0, max: 7,  names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], offset: 0 },
+];
+
+function parseValue(token, field) {
+  if (field.names) {
+    const idx = field.names.indexOf(token.toUpperCase());
+    if (idx !== -1) return idx + field.offset;
+  }
+  if (!/^\d+$/.test(token)) throw new Error(`"${token}" is not a valid ${field.name}`);
+  const n = Number(token);
+  if (n < field.min || n > field.max) throw new Error(`${field.name} must be between ${field.min} and ${field.max}`);
+  return n;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step "${stepText}" in ${field.name}`);
+
+    let from, to;
+    if (rangeText === '*') {
+      from = field.min;
+      to = field.max;
+    } else if (rangeText.includes('-')) {
+      const [a, b] = rangeText.split('-');
+      from = parseValue(a, field);
+      to = parseValue(b, field);
+      if (from > to) throw new Error(`Invalid range "${rangeText}" in ${field.name}`);
+    } else {
+      from = parseValue(rangeText, field);
+      to = stepText === undefined ? from : field.max; // "5/15" means 5, 20, 35, 50
+    }
+
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * Parses a five-field cron expression. Throws with a readable message if invalid.
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('A schedule needs five fields: minute hour day-of-month month day-of-week');
+
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dow.has(7)) dow.add(0); // 7 is an alias for Sunday
+
+  return {
+    minute, hour, dom, month, dow,
+    // Classic cron rule: if both day fields are restricted, either may match.
+    // A field starting with * (*, */2) isn't a restriction, as in Vixie cron.
+    domRestricted: !parts[2].startsWith('*'),
+    dowRestricted: !parts[4].startsWith('*'),
+  };
+}
+
+/**
+ * True when `date` (local time) falls on a minute the schedule fires.
+ */
+function cronMatches(schedule, date) {
+  if (!schedule.minute.has(date.getMinutes())) return false;
+  if (!schedule.hour.has(date.getHours())) return false;
+  if (!schedule.month.has(date.getMonth() + 1)) return false;
+
+  const domOk = schedule.dom.has(date.getDate());
+  const dowOk = schedule.dow.has(date.getDay());
+  if (schedule.domRestricted && schedule.dowRestricted) return domOk || dowOk;
+  return domOk && dowOk;
+}
+
+module.exports = { parseCron, cronMatches };
@@ -0,0 +1,141 @@
+/**
+ * lib/exporters.js — Result export writers (CSV, XLSX, JSON)
+ *
+ * Takes the same { columns, rows } the renderer displays (rows already encoded
+ * by lib/resultValues.js) and writes them to disk, with the result's `fields`
+ * when there are any. Values are typed where the format supports it: in XLSX
+ * numbers are numbers and DATE / DATETIME / TIMESTAMP values real dates, so
+ * Excel can sort and filter them. INT64 values too long for Excel's 15 digits
+ * stay text rather than being rounded. CSV and JSON keep every value as
+ * encoded; STRUCTs and arrays are JSON in CSV cells.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const ExcelJS = require('exceljs');
+
+// Serialized BigQuery DATE / DATETIME / TIMESTAMP values look like these
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2}| UTC)?$/;
+
+// ── CSV ──────────────────────────────────────────────────────────────────────
+
+// RFC 4180 quoting: wrap in quotes if the value contains a comma, quote or newline
+function csvCell(v) {
+  if (v === null || v === undefined) return '';
+  const str = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.map(csvCell).join(',')];
+  for (const row of rows) lines.push(columns.map(c => csvCell(row[c])).join(','));
+  // Leading BOM so Excel opens UTF-8 (names with accents) correctly
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// ── JSON ─────────────────────────────────────────────────────────────────────
+
+function toJson(columns, rows) {
+  // Re-key each row in column order so the file matches the on-screen table
+  const ordered = rows.map(row => Object.fromEntries(columns.map(c => [c, row[c] ?? null])));
+  return JSON.stringify(ordered, null, 2) + '\n';
+}
+
+// ── XLSX ─────────────────────────────────────────────────────────────────────
+
+// Converts an encoded value to what Excel should store in the cell, by its
+// BigQuery type when the field is known
+function xlsxValue(v, field) {
+  if (v === null || v === undefined) return null;
+  if (field) return xlsxTypedValue(v, field);
+  if (typeof v === 'number' || typeof v === 'boolean') return v;
+  if (typeof v === 'string') {
+    const s = v.trim();
+    if (DATE_ONLY.test(s)) return new Date(`${s}T00:00:00Z`);
+    if (DATE_TIME.test(s)) {
+      const ms = Date.parse(s.replace(' UTC', 'Z').replace(' ', 'T'));
+      if (!Number.isNaN(ms)) return new Date(ms);
+    }
+    return v;
+  }
+  return JSON.stringify(v);
+}
+
+function xlsxTypedValue(v, field) {
+  if (field.mode === 'REPEATED' || field.type === 'STRUCT') return JSON.stringify(v);
+  switch (field.type) {
+    case 'INT64': {
+      const n = Number(v);
+      return Number.isSafeInteger(n) ? n : String(v);
+    }
+    case 'NUMERIC':
+    case 'BIGNUMERIC':
+    case 'FLOAT64': {
+      const n = Number(v);
+      return Number.isFinite(n) ? n : String(v);
+    }
+    case 'BOOL':
+      return v;
+    case 'DATE':
+    case 'DATETIME':
+    case 'TIMESTAMP': {
+      // No offset (DATE, DATETIME) → read as UTC, so the cell shows the value as written
+      const s = String(v).replace(' ', 'T');
+      const ms = Date.parse(DATE_ONLY.test(s) ? `${s}T00:00:00Z` : (/Z|[+-]\d{2}:?\d{2}$/.test(s) ? s : `${s}Z`));
+      return Number.isNaN(ms) ? String(v) : new Date(ms);
+    }
+    default:
+      return String(v);
+  }
+}
+
+async function writeXlsx(filePath, columns, rows, fields = []) {
+  const fieldByName = new Map(fields.map(f => [f.name, f]));
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = '3CX Query Agent';
+  const sheet = workbook.addWorksheet('Results');
+
+  sheet.columns = columns.map(c => ({ header: c, key: c, width: Math.min(Math.max(c.length + 2, 12), 40) }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  for (const row of rows) {
+    sheet.addRow(Object.fromEntries(columns.map(c => [c, xlsxValue(row[c], fieldByName.get(c))])));
+  }
+
+  // Date cells need a number format or Excel shows them as serial numbers.
+  // Midnight-only values (DATE columns) get a date format, the rest date + time.
+  columns.forEach((c, i) => {
+    const col = sheet.getColumn(i + 1);
+    col.eachCell({ includeEmpty: false }, (cell, rowNumber) => {
+      if (rowNumber === 1 || !(cell.value instanceof Date)) return;
+      const isDateOnly = DATE_ONLY.test(String(rows[rowNumber - 2][c]).trim());
+      cell.numFmt = isDateOnly ? 'yyyy-mm-dd' : 'yyyy-mm-dd hh:mm:ss';
+    });
+  });
+
+  await workbook.xlsx.writeFile(filePath);
+}
+
+// ── Entry point ──────────────────────────────────────────────────────────────
+
+const FORMATS = {
+  csv:  { name: 'CSV',   extensions: ['csv'] },
+  xlsx: { name: 'Excel', extensions: ['xlsx'] },
+  json: { name: 'JSON',  extensions: ['json'] },
+};
+
+/**
+ * Writes `rows` to `filePath` in the given format ('csv' | 'xlsx' | 'json').
+ * `fields` is the result schema ([{ name, type, mode }]), used for XLSX cell types.
+ */
+async function exportRows(format, filePath, columns, rows, fields) {
+  if (format === 'csv')  return fs.promises.writeFile(filePath, toCsv(columns, rows), 'utf8');
+  if (format === 'json') return fs.promises.writeFile(filePath, toJson(columns, rows), 'utf8');
+  if (format === 'xlsx') return writeXlsx(filePath, columns, rows, fields);
+  throw new Error(`Unknown export format: ${format}`);
+}
+
+module.exports = { exportRows, toCsv, toJson, FORMATS };
@@ -0,0 +1,151 @@
+/**
+ * lib/glossary.js — 3CX glossary / semantic layer for the SQL prompt
+ *
+ * Column names and types alone leave Gemini guessing what 3CX fields mean
+ * (direction codes, queue numbers, ringing vs. talking time). A glossary adds
+ * the meaning, per connection profile:
+ *
+ *   {
+ *     tables:  { CallHistory: { description, columns: { direction: { description, values: { '1': 'Inbound' } } } } },
+ *     metrics: [{ name: 'answered call', definition: 'talking_duration > 0' }],
+ *     people:  [{ extension: '101', name: 'Alice Smith' }],
+ *   }
+ *
+ * Tables are keyed by bare table name, so one description covers that table
+ * in every site dataset of a multi-site profile. Descriptions start out as
+ * whatever BigQuery has (seedFromMetadata) and are edited in the Glossary panel.
+ */
+
+'use strict';
+
+function emptyGlossary() {
+  return { tables: {}, metrics: [], people: [] };
+}
+
+const clean = (v) => String(v ?? '').trim();
+
+// ── Enum value meanings ("1 = Inbound, 2 = Outbound") ───────────────────────
+
+/**
+ * Parses "code = meaning" pairs separated by commas, semicolons or newlines.
+ * "code: meaning" works too. Pairs without a separator are ignored.
+ */
+function parseValueMeanings(text) {
+  const values = {};
+  for (const pair of String(text || '').split(/[,;\n]/)) {
+    const match = pair.match(/^\s*([^=:]+?)\s*[=:]\s*(.+?)\s*$/);
+    if (match) values[match[1]] = match[2];
+  }
+  return values;
+}
+
+function formatValueMeanings(values = {}) {
+  return Object.entries(values).map(([code, meaning]) => `${code} = ${meaning}`).join(', ');
+}
+
+// ── Normalizing what the editor sends ────────────────────────────────────────
+
+/**
+ * Trims everything and drops empty entries, so the stored glossary (and the
+ * prompt) only carries what someone actually wrote. Column `values` may come
+ * in as the editor's "1 = Inbound, …" text or as an object.
+ */
+function normalizeGlossary(input = {}) {
+  const glossary = emptyGlossary();
+
+  for (const [tableName, table] of Object.entries(input.tables || {})) {
+    const columns = {};
+    for (const [columnName, column] of Object.entries(table?.columns || {})) {
+      const description = clean(column?.description);
+      const values = typeof column?.values === 'string' ? parseValueMeanings(column.values) : (column?.values || {});
+      if (!description && !Object.keys(values).length) continue;
+      columns[columnName] = { description, values };
+    }
+    const description = clean(table?.description);
+    if (description || Object.keys(columns).length) glossary.tables[tableName] = { description, columns };
+  }
+
+  glossary.metrics = (input.metrics || [])
+    .map(m => ({ name: clean(m?.name), definition: clean(m?.definition) }))
+    .filter(m => m.name && m.definition);
+
+  glossary.people = (input.people || [])
+    .map(p => ({ extension: clean(p?.extension), name: clean(p?.name) }))
+    .filter(p => p.extension && p.name);
+
+  return glossary;
+}
+
+// ── Seeding from BigQuery ────────────────────────────────────────────────────
+
+/**
+ * Copies the table description and top-level column descriptions from a
+ * BigQuery table's metadata into blank glossary entries. Never overwrites
+ * something already written. Returns true if anything was added.
+ */
+function seedFromMetadata(glossary, tableName, meta) {
+  let changed = false;
+  const table = glossary.tables[tableName] || { description: '', columns: {} };
+
+  if (!table.description && clean(meta?.description)) {
+    table.description = clean(meta.description);
+    changed = true;
+  }
+  for (const field of meta?.schema?.fields || []) {
+    const description = clean(field.description);
+    if (!description) continue;
+    const column = table.columns[field.name] || { description: '', values: {} };
+    if (column.description) continue;
+    table.columns[field.name] = { ...column, description };
+    changed = true;
+  }
+
+  if (changed) glossary.tables[tableName] = table;
+  return changed;
+}
+
+// ── Prompt text ──────────────────────────────────────────────────────────────
+
+// " — Call direction. Values: 1 = Inbound, 2 = Outbound" for a schema line
+function describeColumn(glossary, tableName, columnName) {
+  const column = glossary?.tables?.[tableName]?.columns?.[columnName];
+  if (!column) return '';
+  const parts = [];
+  if (column.description) parts.push(column.description);
+  if (Object.keys(column.values || {}).length) parts.push(`Values: ${formatValueMeanings(column.values)}`);
+  return parts.length ? ` — ${parts.join('. ')}` : '';
+}
+
+function describeTable(glossary, tableName) {
+  const description = glossary?.tables?.[tableName]?.description;
+  return description ? ` — ${description}` : '';
+}
+
+/**
+ * The named metrics and extension → person sections of the prompt, or ''
+ * if the glossary has neither.
+ */
+function buildGlossaryText(glossary) {
+  let text = '';
+  if (glossary?.metrics?.length) {
+    const metrics = glossary.metrics.map(m => `- "${m.name}": ${m.definition}`).join('\n');
+    text += `\nMETRICS — when the question uses one of these terms, apply exactly this definition:\n${metrics}\n`;
+  }
+  if (glossary?.people?.length) {
+    const people = glossary.people.map(p => `- ${p.extension}: ${p.name}`).join('\n');
+    text += `\nPEOPLE — extension numbers and who they belong to. Filter by extension when the question names a person,
+and show the person's name next to the extension in results:\n${people}\n`;
+  }
+  return text;
+}
+
+module.exports = {
+  emptyGlossary,
+  normalizeGlossary,
+  seedFromMetadata,
+  parseValueMeanings,
+  formatValueMeanings,
+  describeColumn,
+  describeTable,
+  buildGlossaryText,
+};
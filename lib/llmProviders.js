@@ -0,0 +1,172 @@
+/**
+ * lib/llmProviders.js — Where prompts go: Gemini, Vertex AI, OpenAI-compatible,
+ * a model server on this machine, or a mock
+ *
+ * Every provider has the same shape:
+ *
+ *   { id, label, model, generate(prompt, { signal, question }) → Promise<string> }
+ *
+ * so SQL generation, repair and summaries don't care which one answers.
+ * `question` is the user's question the prompt is about; only the mock reads
+ * it, since a custom prompt template can put it anywhere.
+ *
+ *   gemini  Google AI Studio API key (@google/generative-ai)
+ *   vertex  Gemini on Vertex AI, with Google Cloud credentials instead of a key
+ *   openai  any OpenAI-compatible /chat/completions endpoint
+ *   local   Ollama, llama.cpp's server or similar, on localhost only — for
+ *           sites where schemas and call data must not leave the network
+ *   mock    no network at all: deterministic answers built from the prompt,
+ *           for trying the pipeline end to end
+ */
+
+'use strict';
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const PROVIDERS = {
+  gemini: { label: 'Gemini',            defaultModel: 'gemini-1.5-flash' },
+  vertex: { label: 'Vertex AI',         defaultModel: 'gemini-1.5-flash' },
+  openai: { label: 'OpenAI-compatible', defaultModel: 'gpt-4o-mini' },
+  local:  { label: 'Local model',       defaultModel: 'llama3.1', defaultBaseUrl: 'http://127.0.0.1:11434/v1' },
+  mock:   { label: 'Mock',              defaultModel: 'mock' },
+};
+
+const DEFAULT_VERTEX_LOCATION = 'us-central1';
+// Region names only ("europe-west2"): the location becomes part of the API hostname
+const VERTEX_LOCATION = /^[a-z]+-[a-z]+\d+$/;
+
+/**
+ * @param {object} settings
+ *   { provider, model, temperature, maxOutputTokens,
+ *     apiKey,                         gemini / openai (optional for openai)
+ *     baseUrl,                        openai / local
+ *     vertexProject, vertexLocation,  vertex
+ *     getAccessToken }                vertex: async () => OAuth access token
+ */
+function createProvider(settings) {
+  const id = PROVIDERS[settings.provider] ? settings.provider : 'gemini';
+  const model = settings.model || PROVIDERS[id].defaultModel;
+  const base = { id, label: PROVIDERS[id].label, model };
+
+  switch (id) {
+    case 'gemini': return { ...base, generate: geminiGenerate(settings, model) };
+    case 'vertex': return { ...base, generate: vertexGenerate(settings, model) };
+    case 'openai': return { ...base, generate: chatCompletionsGenerate(settings, model, base.label) };
+    case 'local': {
+      const baseUrl = settings.baseUrl || PROVIDERS.local.defaultBaseUrl;
+      assertLoopback(baseUrl);
+      return { ...base, generate: chatCompletionsGenerate({ ...settings, baseUrl }, model, base.label) };
+    }
+    default: return { ...base, generate: async (prompt, { question } = {}) => mockAnswer(prompt, question) };
+  }
+}
+
+// ── Gemini (AI Studio) ───────────────────────────────────────────────────────
+
+function geminiGenerate({ apiKey, temperature, maxOutputTokens }, model) {
+  if (!apiKey) throw new Error('No Gemini API key configured. Go to Settings and add your key.');
+  const generativeModel = new GoogleGenerativeAI(apiKey)
+    .getGenerativeModel({ model, generationConfig: generationConfig(temperature, maxOutputTokens) });
+  // This SDK version takes no abort signal — the caller races the promise instead
+  return async (prompt) => (await generativeModel.generateContent(prompt)).response.text();
+}
+
+function generationConfig(temperature, maxOutputTokens) {
+  const config = {};
+  if (temperature != null) config.temperature = temperature;
+  if (maxOutputTokens != null) config.maxOutputTokens = maxOutputTokens;
+  return config;
+}
+
+// ── Vertex AI ────────────────────────────────────────────────────────────────
+
+function vertexGenerate({ vertexProject, vertexLocation, getAccessToken, temperature, maxOutputTokens }, model) {
+  if (!vertexProject) throw new Error('No Google Cloud project set for Vertex AI. Go to Settings.');
+  const location = vertexLocation || DEFAULT_VERTEX_LOCATION;
+  if (!VERTEX_LOCATION.test(location)) throw new Error(`"${location}" isn't a Vertex AI region. Use one like ${DEFAULT_VERTEX_LOCATION} or europe-west2.`);
+  const url = `https://${location}-aiplatform.googleapis.com/v1/projects/${encodeURIComponent(vertexProject)}` +
+    `/locations/${location}/publishers/google/models/${encodeURIComponent(model)}:generateContent`;
+
+  return async (prompt, { signal } = {}) => {
+    const token = await getAccessToken();
+    const body = await postJson(url, {
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: generationConfig(temperature, maxOutputTokens),
+    }, { headers: { Authorization: `Bearer ${token}` }, signal, label: 'Vertex AI' });
+    return (body.candidates?.[0]?.content?.parts || []).map(p => p.text || '').join('');
+  };
+}
+
+// ── OpenAI-compatible (also Ollama and llama.cpp, which speak the same API) ──
+
+function chatCompletionsGenerate({ baseUrl, apiKey, temperature, maxOutputTokens }, model, label) {
+  if (!baseUrl) throw new Error(`No endpoint URL set for the ${label} provider. Go to Settings.`);
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  return async (prompt, { signal } = {}) => {
+    const request = { model, messages: [{ role: 'user', content: prompt }] };
+    if (temperature != null) request.temperature = temperature;
+    if (maxOutputTokens != null) request.max_tokens = maxOutputTokens;
+    const body = await postJson(url, request, { headers, signal, label });
+    return body.choices?.[0]?.message?.content || '';
+  };
+}
+
+// The "local" provider must not quietly become a remote one
+function assertLoopback(baseUrl) {
+  let host;
+  try {
+    host = new URL(baseUrl).hostname;
+  } catch {
+    throw new Error(`"${baseUrl}" isn't a valid URL.`);
+  }
+  if (!['localhost', '[::1]', '::1'].includes(host) && !/^127\.\d+\.\d+\.\d+$/.test(host)) {
+    throw new Error(`The local model provider only connects to this machine (localhost / 127.0.0.1), not "${host}".`);
+  }
+}
+
+// ── HTTP ─────────────────────────────────────────────────────────────────────
+
+async function postJson(url, payload, { headers = {}, signal, label }) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(payload),
+      signal,
+    });
+  } catch (e) {
+    if (e.name === 'AbortError') throw e;
+    throw new Error(`Couldn't reach ${label} at ${new URL(url).origin}: ${e.cause?.message || e.message}`);
+  }
+  const text = await response.text();
+  let body = null;
+  try { body = JSON.parse(text); } catch { /* error pages aren't always JSON */ }
+  if (!response.ok) {
+    const message = body?.error?.message || body?.error || text.slice(0, 200) || response.statusText;
+    throw new Error(`${label} returned ${response.status}: ${message}`);
+  }
+  if (!body) throw new Error(`${label} returned something that isn't JSON.`);
+  return body;
+}
+
+// ── Mock ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Same prompt in, same answer out. SQL prompts get a SELECT from the table
+ * whose name appears in the question (or the first table in the schema);
+ * summary prompts get a one-line answer with the row count.
+ */
+function mockAnswer(prompt, question = '') {
+  const rowCount = prompt.match(/^RESULT: (\d+) row\(s\)/m);
+  if (rowCount) return `Mock answer: the query returned ${rowCount[1]} row(s).`;
+
+  const tables = [...prompt.matchAll(/^Table: `([^`]+)`/gm)].map(m => m[1]);
+  if (!tables.length) return 'CANNOT_ANSWER';
+  const named = tables.find(t => String(question).toLowerCase().includes(t.split('.').pop().toLowerCase()));
+  return `SELECT * FROM \`${named || tables[0]}\` LIMIT 10`;
+}
+
+module.exports = { createProvider, PROVIDERS, DEFAULT_VERTEX_LOCATION, VERTEX_LOCATION };
@@ -0,0 +1,403 @@
+/**
+ * lib/localBigQuery.js — Offline stand-in for the BigQuery client
+ *
+ * Sample-data profiles run against 3CX CDR CSV exports loaded into SQLite
+ * (sql.js, compiled to WebAssembly — nothing to install, no network). The
+ * client answers the same calls main.js and lib/schemaCache.js make on a real
+ * BigQuery client, so schema discovery, the safety gate, the dry run and the
+ * results all take the normal path:
+ *
+ *   query({ query, params })                          → [rows]
+ *   createQueryJob({ query, params, dryRun })         → [job]
+ *   job.getQueryResults({ maxResults, pageToken })    → [rows, nextQuery, { totalRows, pageToken, schema }]
+ *   dataset(id).getTables(), .table(name).getMetadata()
+ *
+ * Each CSV file is one table (CallHistory.csv → CallHistory). Column types
+ * are inferred from the values; hh:mm:ss durations become seconds. SQL is
+ * translated from BigQuery's dialect by lib/sqlDialect.js. The files are
+ * re-read when they change on disk, so replacing an export is picked up.
+ *
+ * The bundled sample (assets/sample-data) is a fixed four weeks of calls;
+ * its dates are shifted on load, by whole weeks so weekends stay weekends,
+ * until the newest day is within the last week and "last week" has answers.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { toSqlite, registerSqliteFunctions } = require('./sqlDialect');
+
+const SAMPLE_DATA_DIR = path.join(__dirname, '..', 'assets', 'sample-data');
+
+let sqlJs = null; // the WebAssembly module, loaded once
+const loadSqlJs = () => (sqlJs = sqlJs || initSqlJs());
+
+// ── CSV ──────────────────────────────────────────────────────────────────────
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, ''); // Excel's UTF-8 BOM
+
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(v => v !== ''));
+}
+
+// ── Column types ─────────────────────────────────────────────────────────────
+
+const INT = /^-?(0|[1-9]\d{0,14})$/; // leading zeros mean a phone number, not a count
+const FLOAT = /^-?\d+\.\d+$/;
+const BOOL = /^(true|false)$/i;
+const DATE = /^\d{4}[-/]\d{2}[-/]\d{2}$/;
+const TIMESTAMP = /^(\d{4})[-/](\d{2})[-/](\d{2})[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|UTC|[+-]\d{2}:?\d{2})?$/i;
+const DURATION = /^(\d+):([0-5]\d):([0-5]\d)$/;
+
+const TYPE_TESTS = [
+  ['INT64', v => INT.test(v)],
+  ['FLOAT64', v => FLOAT.test(v) || INT.test(v)],
+  ['BOOL', v => BOOL.test(v)],
+  ['DATE', v => DATE.test(v)],
+  ['TIMESTAMP', v => TIMESTAMP.test(v)],
+  ['DURATION', v => DURATION.test(v)],
+];
+
+// The first type every non-empty value fits; STRING if none does
+function inferType(values) {
+  const present = values.filter(v => v !== '');
+  if (!present.length) return 'STRING';
+  return (TYPE_TESTS.find(([, test]) => present.every(test)) || ['STRING'])[0];
+}
+
+// Timestamps are stored as UTC 'YYYY-MM-DD HH:MM:SS' so they sort and compare as text
+function toUtcTimestamp(value) {
+  const [, y, mo, d, h, mi, s = '00', zone] = value.match(TIMESTAMP);
+  const local = `${y}-${mo}-${d}T${h}:${mi}:${s}`;
+  if (!zone || /^(Z|UTC)$/i.test(zone)) return local.replace('T', ' ');
+  const offset = zone.length === 5 ? `${zone.slice(0, 3)}:${zone.slice(3)}` : zone;
+  return new Date(`${local}${offset}`).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function convert(value, type) {
+  if (value === '') return null;
+  switch (type) {
+    case 'INT64':     return Number(value);
+    case 'FLOAT64':   return Number(value);
+    case 'BOOL':      return /^true$/i.test(value) ? 1 : 0;
+    case 'DATE':      return value.replace(/\//g, '-');
+    case 'TIMESTAMP': return toUtcTimestamp(value);
+    case 'DURATION': {
+      const [, h, m, s] = value.match(DURATION);
+      return Number(h) * 3600 + Number(m) * 60 + Number(s);
+    }
+    default: return value;
+  }
+}
+
+// BigQuery type for a computed result column, from its SQLite values
+function valueType(values) {
+  if (!values.length) return 'STRING';
+  if (values.every(v => Number.isInteger(v))) return 'INT64';
+  if (values.every(v => typeof v === 'number')) return 'FLOAT64';
+  if (values.every(v => typeof v === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(v))) return 'TIMESTAMP';
+  if (values.every(v => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v))) return 'DATE';
+  return 'STRING';
+}
+
+const SQLITE_TYPES = { INT64: 'INTEGER', FLOAT64: 'REAL', BOOL: 'INTEGER', DURATION: 'INTEGER' };
+
+// ── Loading ──────────────────────────────────────────────────────────────────
+
+// CallHistory.csv → CallHistory; anything else becomes an underscore
+const tableNameOf = (file) => path.basename(file, path.extname(file)).replace(/[^A-Za-z0-9_]/g, '_');
+
+function listCsvFiles(dir) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir);
+  } catch {
+    throw new Error(`Can't read the sample data folder ${dir}.`);
+  }
+  return entries
+    .filter(name => name.toLowerCase().endsWith('.csv'))
+    .sort()
+    .map(name => {
+      const file = path.join(dir, name);
+      return { file, table: tableNameOf(name), mtimeMs: Math.floor(fs.statSync(file).mtimeMs) };
+    });
+}
+
+function readTable({ file, table, mtimeMs }) {
+  const [header = [], ...records] = parseCsv(fs.readFileSync(file, 'utf8'));
+  const names = header.map((h, i) => h.trim().replace(/[^A-Za-z0-9_]/g, '_') || `column_${i + 1}`);
+  const types = names.map((n, i) => inferType(records.map(r => (r[i] ?? '').trim())));
+  const rows = records.map(r => types.map((type, i) => convert((r[i] ?? '').trim(), type)));
+  const fields = names.map((name, i) => ({
+    name,
+    type: types[i] === 'DURATION' ? 'INT64' : types[i],
+    mode: 'NULLABLE',
+    ...(types[i] === 'DURATION' ? { description: 'Seconds (hh:mm:ss in the CSV export)' } : {}),
+  }));
+  return { table, fields, sqliteTypes: types.map(t => SQLITE_TYPES[t] || 'TEXT'), rows, mtimeMs, numRows: rows.length };
+}
+
+/**
+ * Days to add — a whole number of weeks — so the newest date in the sample
+ * lands in the seven days before today (UTC), with no calls later than now.
+ * Only the time-typed columns move; durations and ids stay as they are.
+ */
+function daysToRecent(tables) {
+  let latest = '';
+  for (const t of tables) {
+    t.fields.forEach((f, i) => {
+      if (f.type !== 'TIMESTAMP' && f.type !== 'DATE') return;
+      for (const row of t.rows) if (row[i] && row[i] > latest) latest = row[i];
+    });
+  }
+  if (!latest) return 0;
+  const yesterday = Date.parse(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`) - 86400000;
+  const days = Math.round((yesterday - Date.parse(`${latest.slice(0, 10)}T00:00:00Z`)) / 86400000);
+  return Math.floor(days / 7) * 7;
+}
+
+function shiftDates(tables, days) {
+  if (!days) return;
+  const shift = (value, type) => {
+    const shifted = new Date(Date.parse(`${value.replace(' ', 'T')}${type === 'DATE' ? 'T00:00:00' : ''}Z`) + days * 86400000).toISOString();
+    return type === 'DATE' ? shifted.slice(0, 10) : shifted.slice(0, 19).replace('T', ' ');
+  };
+  for (const t of tables) {
+    t.fields.forEach((f, i) => {
+      if (f.type !== 'TIMESTAMP' && f.type !== 'DATE') return;
+      for (const row of t.rows) if (row[i]) row[i] = shift(row[i], f.type);
+    });
+  }
+}
+
+const quoteIdent = (name) => `"${name.replace(/"/g, '""')}"`;
+const sqliteTable = (datasetId, table) => `${datasetId}__${table}`;
+
+// ── Errors ───────────────────────────────────────────────────────────────────
+
+// Shaped like BigQuery's invalidQuery errors, so main.js hands them to the
+// model for a repair the same way
+function sqlError(message) {
+  const error = new Error(`Local sample engine (SQLite): ${message}`);
+  error.code = 400;
+  error.errors = [{ reason: 'invalidQuery', message }];
+  return error;
+}
+
+// ── Client ───────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object} options
+ * @param {string} options.projectId  the profile's project id (any label works)
+ * @param {{ datasetId: string, dir: string }[]} options.datasets
+ *   where each dataset's CSV files are
+ * @param {boolean} [options.shiftToRecent]  move dates so the newest day is within the last week
+ */
+function createLocalBigQuery({ projectId, datasets, shiftToRecent = false }) {
+  let db = null;
+  let loadedSignature = null;
+  let metadata = {}; // datasetId → table → { fields, lastModifiedTime, numRows }
+  let jobCount = 0;
+
+  // Which files (and versions) make up the data — a change means reload
+  const currentFiles = () => datasets.map(d => ({ ...d, files: listCsvFiles(d.dir) }));
+  const signatureOf = (sources) => JSON.stringify(sources.map(s => [s.datasetId, s.files.map(f => [f.file, f.mtimeMs])]));
+
+  async function ready() {
+    const sources = currentFiles();
+    const signature = signatureOf(sources);
+    if (db && signature === loadedSignature) return db;
+
+    const SQL = await loadSqlJs();
+    const loaded = sources.map(s => ({ datasetId: s.datasetId, tables: s.files.map(readTable) }));
+    if (shiftToRecent) {
+      const all = loaded.flatMap(s => s.tables);
+      shiftDates(all, daysToRecent(all));
+    }
+
+    const next = new SQL.Database();
+    registerSqliteFunctions(next);
+    const nextMetadata = {};
+    next.run('BEGIN');
+    for (const { datasetId, tables } of loaded) {
+      nextMetadata[datasetId] = {};
+      for (const t of tables) {
+        const name = quoteIdent(sqliteTable(datasetId, t.table));
+        next.run(`CREATE TABLE ${name} (${t.fields.map((f, i) => `${quoteIdent(f.name)} ${t.sqliteTypes[i]}`).join(', ')})`);
+        const insert = next.prepare(`INSERT INTO ${name} VALUES (${t.fields.map(() => '?').join(', ')})`);
+        for (const row of t.rows) insert.run(row);
+        insert.free();
+        nextMetadata[datasetId][t.table] = { fields: t.fields, lastModifiedTime: t.mtimeMs, numRows: t.numRows };
+      }
+      // BigQuery's per-dataset meta-table, which schema refreshes read
+      const meta = quoteIdent(sqliteTable(datasetId, '__TABLES__'));
+      next.run(`CREATE TABLE ${meta} (table_id TEXT, last_modified_time INTEGER, row_count INTEGER)`);
+      for (const t of tables) next.run(`INSERT INTO ${meta} VALUES (?, ?, ?)`, [t.table, t.mtimeMs, t.numRows]);
+    }
+    next.run('COMMIT');
+
+    if (db) db.close();
+    db = next;
+    metadata = nextMetadata;
+    loadedSignature = signature;
+    return db;
+  }
+
+  // ['project', 'dataset', 'Table'] or ['dataset', 'Table'] → SQLite table name
+  function resolveTable(parts) {
+    const [project, datasetId, table] = parts.length === 3 ? parts : [projectId, ...parts];
+    if (parts.length > 3 || project.toLowerCase() !== projectId.toLowerCase()) return null;
+    const dataset = Object.keys(metadata).find(d => d.toLowerCase() === datasetId.toLowerCase());
+    if (!dataset) return null;
+    if (table === '__TABLES__') return sqliteTable(dataset, table);
+    const match = Object.keys(metadata[dataset]).find(t => t.toLowerCase() === table.toLowerCase());
+    return match ? sqliteTable(dataset, match) : null;
+  }
+
+  // Translated and compiled; a statement SQLite can't prepare is a SQL error
+  function prepare(sql) {
+    try {
+      return db.prepare(toSqlite(sql, { resolveTable }));
+    } catch (e) {
+      throw sqlError(e.message);
+    }
+  }
+
+  // Named parameters: BigQuery's { name: value } → sql.js's { '@name': value }
+  const bindings = (params = {}) => Object.fromEntries(Object.entries(params).map(([k, v]) => [`@${k}`, v]));
+
+  function runQuery(sql, params) {
+    const statement = prepare(sql);
+    try {
+      statement.bind(bindings(params));
+      const rows = [];
+      while (statement.step()) rows.push(statement.getAsObject());
+      return { rows, fields: resultFields(statement.getColumnNames(), rows) };
+    } catch (e) {
+      throw sqlError(e.message);
+    } finally {
+      statement.free();
+    }
+  }
+
+  // The result schema BigQuery would report. SQLite only knows storage
+  // classes, so a column named like a loaded one takes that column's type
+  // (and description — durations stay recognisable); computed ones are
+  // inferred from their values.
+  function resultFields(names, rows) {
+    const known = new Map();
+    for (const tables of Object.values(metadata)) {
+      for (const table of Object.values(tables)) {
+        for (const f of table.fields) if (!known.has(f.name.toLowerCase())) known.set(f.name.toLowerCase(), f);
+      }
+    }
+    return names.map(name => {
+      const values = rows.map(r => r[name]).filter(v => v !== null);
+      const type = valueType(values);
+      const field = known.get(name.toLowerCase());
+      // …unless the values say otherwise (DATE(start_time) AS start_time)
+      const fits = field && (!values.length || type === field.type || (type === 'INT64' && ['FLOAT64', 'BOOL'].includes(field.type)));
+      return fits ? { ...field, name } : { name, type, mode: 'NULLABLE' };
+    });
+  }
+
+  const client = {
+    projectId,
+
+    async query({ query, params }) {
+      await ready();
+      return [runQuery(query, params).rows];
+    },
+
+    // A dry run only checks that SQLite can prepare the statement; local
+    // data costs nothing to scan, so it reports 0 bytes
+    async createQueryJob({ query, params, dryRun }) {
+      await ready();
+      const id = `local_${++jobCount}`;
+      const metadataOut = { statistics: { totalBytesProcessed: '0', query: { statementType: 'SELECT' } } };
+      if (dryRun) {
+        prepare(query).free();
+        return [{ id, metadata: metadataOut }];
+      }
+      // Like a real job, the query runs once; pages are slices of its rows and
+      // the page token is simply the offset of the next one
+      let result = null;
+      return [{
+        id,
+        metadata: metadataOut,
+        async getQueryResults(options = {}) {
+          result = result || runQuery(query, params);
+          const { rows, fields } = result;
+          if (!options.maxResults) return [rows];
+          const start = Number(options.pageToken) || 0;
+          const end = start + options.maxResults;
+          const pageToken = end < rows.length ? String(end) : undefined;
+          return [
+            rows.slice(start, end),
+            pageToken ? { ...options, pageToken } : null,
+            { jobComplete: true, totalRows: String(rows.length), pageToken, schema: { fields } },
+          ];
+        },
+        cancel: async () => {}, // queries run synchronously — nothing in flight to stop
+      }];
+    },
+
+    dataset(datasetId) {
+      return {
+        async getTables() {
+          await ready();
+          return [Object.keys(metadata[datasetId] || {}).map(id => ({ id }))];
+        },
+        table(name) {
+          return {
+            async getMetadata() {
+              await ready();
+              const table = metadata[datasetId]?.[name];
+              if (!table) throw new Error(`Not found: Table ${projectId}:${datasetId}.${name}`);
+              return [{
+                schema: { fields: table.fields },
+                lastModifiedTime: String(table.lastModifiedTime),
+                numRows: String(table.numRows),
+              }];
+            },
+          };
+        },
+      };
+    },
+  };
+  return client;
+}
+
+module.exports = { createLocalBigQuery, parseCsv, inferType, SAMPLE_DATA_DIR };
@@ -0,0 +1,144 @@
+/**
+ * lib/oauthLoopback.js — "Sign in with Google" via a loopback redirect + PKCE
+ *
+ * Google shut down the out-of-band (copy/paste the code) redirect, so desktop
+ * apps now listen on a temporary http://127.0.0.1:<port> server, send the
+ * browser there as the redirect URI and read the code off the request.
+ *
+ *   1. start a server on a random free port (127.0.0.1 only)
+ *   2. open the consent page with a PKCE code_challenge and a random state
+ *   3. the browser redirects back with ?code=…&state=…
+ *   4. exchange the code + code_verifier for tokens, close the server
+ *
+ * The OAuth2 client is passed in, so its endpoints can point at a local mock
+ * token server instead of Google (test/oauthLoopback.test.js does).
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000; // Long enough to pick an account and 2FA
+
+const PAGE = (title, message) => `<!doctype html>
+<html><head><meta charset="utf-8"><title>${title}</title>
+<style>body{font-family:system-ui,sans-serif;background:#0f1117;color:#e6e8ee;display:flex;align-items:center;justify-content:center;height:100vh;margin:0}div{text-align:center}</style>
+</head><body><div><h2>${title}</h2><p>${message}</p></div></body></html>`;
+
+// Listens on 127.0.0.1 with port 0 so the OS hands out a free port
+function listen(server) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      server.off('error', reject);
+      resolve(server.address().port);
+    });
+  });
+}
+
+/**
+ * Runs the whole browser sign-in and resolves with the token set.
+ *
+ * @param {object} opts
+ * @param {import('google-auth-library').OAuth2Client} opts.oauth2Client
+ * @param {string[]} opts.scopes
+ * @param {(url: string) => any} opts.openBrowser  e.g. shell.openExternal
+ * @param {AbortSignal} [opts.signal]               aborts the wait (new sign-in, user cancel)
+ * @param {number} [opts.timeoutMs]
+ */
+async function signInWithLoopback({ oauth2Client, scopes, openBrowser, signal, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  const state = crypto.randomBytes(16).toString('hex');
+  const { codeVerifier, codeChallenge } = await oauth2Client.generateCodeVerifierAsync();
+
+  let onRequest = () => {};
+  const server = http.createServer((req, res) => onRequest(req, res));
+  const port = await listen(server);
+  const redirectUri = `http://127.0.0.1:${port}`;
+
+  try {
+    const code = await new Promise((resolve, reject) => {
+      const finish = (fn, value) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', abort);
+        fn(value);
+      };
+      const abort = () => finish(reject, new Error('Sign-in cancelled.'));
+      const timer = setTimeout(() => finish(reject, new Error('Sign-in timed out — no response from the browser.')), timeoutMs);
+      if (signal?.aborted) return abort();
+      signal?.addEventListener('abort', abort, { once: true });
+
+      onRequest = (req, res) => {
+        const url = new URL(req.url, redirectUri);
+        // Browsers also ask for /favicon.ico — only the redirect itself counts
+        if (url.pathname !== '/') {
+          res.writeHead(404).end();
+          return;
+        }
+
+        const reply = (status, title, message) => {
+          res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', Connection: 'close' });
+          res.end(PAGE(title, message));
+        };
+
+        if (url.searchParams.get('state') !== state) {
+          // Not our redirect (stale tab, or something else probing the port) — keep waiting
+          reply(400, 'Sign-in failed', 'This sign-in link has expired. Start again from the app.');
+          return;
+        }
+
+        const error = url.searchParams.get('error');
+        if (error) {
+          reply(400, 'Sign-in cancelled', 'You can close this tab and return to the app.');
+          finish(reject, new Error(error === 'access_denied' ? 'Sign-in was cancelled in the browser.' : `Google returned an error: ${error}`));
+          return;
+        }
+
+        const authCode = url.searchParams.get('code');
+        if (!authCode) {
+          reply(400, 'Sign-in failed', 'No authorization code was received.');
+          finish(reject, new Error('No authorization code in the redirect.'));
+          return;
+        }
+
+        reply(200, 'Signed in', 'You can close this tab and return to 3CX Query Agent.');
+        finish(resolve, authCode);
+      };
+
+      const authUrl = oauth2Client.generateAuthUrl({
+        access_type: 'offline',
+        prompt: 'consent', // Always get a refresh token, even if the user approved before
+        scope: scopes,
+        state,
+        redirect_uri: redirectUri,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+      });
+
+      Promise.resolve(openBrowser(authUrl)).catch(e => finish(reject, new Error(`Could not open the browser: ${e.message}`)));
+    });
+
+    const { tokens } = await oauth2Client.getToken({ code, codeVerifier, redirect_uri: redirectUri });
+    return tokens;
+  } finally {
+    server.close();
+    server.closeAllConnections?.();
+  }
+}
+
+/**
+ * Reads the signed-in account's email from an OpenID id_token, if present.
+ * No signature check — it came straight from the token endpoint over TLS and
+ * is only used as a display label.
+ */
+function emailFromIdToken(idToken) {
+  if (!idToken) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(idToken.split('.')[1], 'base64url').toString('utf8'));
+    return payload.email || null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { signInWithLoopback, emailFromIdToken };
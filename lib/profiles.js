@@ -0,0 +1,185 @@
+/**
+ * lib/profiles.js — Named connection profiles
+ *
+ * One profile per 3CX site / BigQuery export: its own project, dataset, auth
+ * method and credentials. Profiles live in the main store as
+ *
+ *   profiles:        [{ id, name, projectId, datasetId, datasets, authMethod, oauthClientId, oauthEmail, localDataDir,
+ *                       timeZone, businessHours, holidays }]
+ *   activeProfileId: the one the chat, settings and connection test use
+ *
+ * `datasets` are extra sites queried alongside the main dataset:
+ * [{ site, projectId, datasetId }], projectId '' meaning the profile's project.
+ * The main dataset's site label is the profile name.
+ *
+ * authMethod 'local' profiles query CSV exports offline instead of BigQuery
+ * (lib/localBigQuery.js): `localDataDir`, or the bundled sample if blank.
+ *
+ * `timeZone`, `businessHours` and `holidays` are the site's local calendar,
+ * which relative dates and "after hours" are worked out in (lib/siteCalendar.js).
+ *
+ * Per-profile credentials (service account JSON, OAuth tokens and client
+ * secret) are kept by lib/secrets.js under the profile's id. The Gemini key
+ * and app-wide settings (cost limits, summaries) are shared by all profiles.
+ */
+
+'use strict';
+
+const { DEFAULT_BUSINESS_HOURS } = require('./siteCalendar');
+
+const PROFILE_SECRETS = ['serviceAccountJson', 'oauthTokens', 'oauthClientSecret'];
+
+// Top-level keys older versions kept the single connection in
+const LEGACY_FIELDS = ['projectId', 'datasetId', 'authMethod', 'oauthClientId', 'oauthEmail'];
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * @param {import('electron-store')} store
+ * @param {ReturnType<import('./secrets').createSecretStore>} secrets
+ */
+function createProfileStore(store, secrets) {
+  const profiles = {
+    list() {
+      return store.get('profiles', []);
+    },
+
+    get(id) {
+      return profiles.list().find(p => p.id === id) || null;
+    },
+
+    // Falls back to the first profile if the saved id was deleted
+    active() {
+      const all = profiles.list();
+      return all.find(p => p.id === store.get('activeProfileId')) || all[0] || null;
+    },
+
+    setActive(id) {
+      if (!profiles.get(id)) throw new Error('Profile not found.');
+      store.set('activeProfileId', id);
+    },
+
+    create(fields = {}) {
+      const profile = {
+        id: newId(),
+        name: uniqueName(String(fields.name || '').trim() || 'New profile'),
+        projectId: '',
+        datasetId: '',
+        datasets: [],
+        authMethod: 'serviceAccount',
+        oauthClientId: '',
+        oauthEmail: '',
+        localDataDir: '',
+        timeZone: '',
+        businessHours: { ...DEFAULT_BUSINESS_HOURS },
+        holidays: [],
+      };
+      store.set('profiles', [...profiles.list(), profile]);
+      return profile;
+    },
+
+    update(id, fields) {
+      let updated = null;
+      store.set('profiles', profiles.list().map(p => {
+        if (p.id !== id) return p;
+        updated = { ...p, ...fields, id };
+        return updated;
+      }));
+      return updated;
+    },
+
+    // Removes the profile and its credentials. The last profile can't go —
+    // everything else assumes there is always an active one.
+    remove(id) {
+      const remaining = profiles.list().filter(p => p.id !== id);
+      if (!remaining.length) throw new Error('At least one profile is needed.');
+      store.set('profiles', remaining);
+      secrets.deleteScope(id);
+      if (store.get('activeProfileId') === id) store.set('activeProfileId', remaining[0].id);
+    },
+
+    /**
+     * First launch after upgrading: turns the single top-level connection into
+     * a "Default" profile and tags existing saved reports with it. Also adopts
+     * any unscoped connection secrets (e.g. ones lib/secrets only just managed
+     * to encrypt) into the first profile.
+     */
+    migrateLegacy() {
+      if (!store.has('profiles')) {
+        const legacy = Object.fromEntries(LEGACY_FIELDS.filter(k => store.has(k)).map(k => [k, store.get(k)]));
+        const profile = profiles.create({ name: 'Default' });
+        profiles.update(profile.id, legacy);
+        store.set('activeProfileId', profile.id);
+        LEGACY_FIELDS.forEach(k => store.delete(k));
+
+        const reports = store.get('savedReports', []);
+        store.set('savedReports', reports.map(r => (r.profileId ? r : { ...r, profileId: profile.id })));
+      }
+
+      const first = profiles.list()[0];
+      // Plain ones lib/secrets couldn't encrypt (no keychain) stay readable as the first profile's
+      secrets.adoptLegacy(PROFILE_SECRETS, first.id);
+      for (const name of PROFILE_SECRETS) {
+        if (!secrets.has(name)) continue;
+        if (secrets.has(name, first.id)) secrets.delete(name);
+        else secrets.move(name, null, first.id);
+      }
+    },
+  };
+
+  // "Site A" → "Site A (2)" if that name is taken
+  function uniqueName(name) {
+    const taken = new Set(profiles.list().map(p => p.name.toLowerCase()));
+    if (!taken.has(name.toLowerCase())) return name;
+    let n = 2;
+    while (taken.has(`${name} (${n})`.toLowerCase())) n++;
+    return `${name} (${n})`;
+  }
+
+  return profiles;
+}
+
+// ── Multi-site datasets ──────────────────────────────────────────────────────
+
+/**
+ * Every dataset a profile can query, main dataset first:
+ * [{ site, projectId, datasetId }] with projectId always filled in.
+ */
+function datasetsOf(profile) {
+  const main = profile.datasetId
+    ? [{ site: profile.name, projectId: profile.projectId, datasetId: profile.datasetId }]
+    : [];
+  const extra = (profile.datasets || []).map(d => ({ ...d, projectId: d.projectId || profile.projectId }));
+  return [...main, ...extra];
+}
+
+// Project IDs: lowercase letters, digits, hyphens (domain-scoped ones have a
+// "domain:" prefix). Dataset IDs: letters, digits, underscores.
+const DATASET_LINE = /^(?:(.+?)\s*=\s*)?(?:([a-z][a-z0-9-]*(?::[a-z][a-z0-9-]*)?)\.)?([A-Za-z0-9_]+)$/;
+
+/**
+ * Parses the settings textarea — one "Site name = project.dataset" per line,
+ * project and site name optional — into the stored `datasets` shape.
+ * Throws with the offending line if one can't be read.
+ */
+function parseDatasetList(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const match = line.replace(/`/g, '').match(DATASET_LINE);
+      if (!match) throw new Error(`Can't read the dataset line "${line}". Use: Site name = project.dataset`);
+      const [, site, projectId = '', datasetId] = match;
+      return { site: site || datasetId, projectId, datasetId };
+    });
+}
+
+// The inverse of parseDatasetList, for filling in the textarea
+function formatDatasetList(datasets = []) {
+  return datasets
+    .map(d => `${d.site} = ${d.projectId ? `${d.projectId}.` : ''}${d.datasetId}`)
+    .join('\n');
+}
+
+module.exports = { createProfileStore, datasetsOf, parseDatasetList, formatDatasetList, PROFILE_SECRETS };
@@ -0,0 +1,98 @@
+/**
+ * lib/promptTemplate.js — The SQL-generation prompt, as an editable template
+ *
+ * The prompt Gemini gets for every question is a template with {{placeholders}}
+ * filled in per question:
+ *
+ *   {{schema}}        tables and columns (with glossary descriptions)
+ *   {{sites}}         the site list, for profiles with several datasets
+ *   {{glossary}}      named metrics and extension → person mappings
+ *   {{calendar}}      the site's time zone, business hours and holidays, and
+ *                     the period the question's dates resolve to
+ *   {{conversation}}  earlier questions and SQL, for follow-ups
+ *   {{project}}       the profile's BigQuery project
+ *   {{dataset}}       the profile's main dataset
+ *   {{question}}      the user's question
+ *
+ * Settings can replace the default wording (say, to add house rules); the
+ * placeholders are how the custom text still gets the live schema and question.
+ */
+
+'use strict';
+
+const PLACEHOLDERS = ['schema', 'sites', 'glossary', 'calendar', 'conversation', 'project', 'dataset', 'question'];
+
+// Without these the model can't possibly write the right SQL
+const REQUIRED = ['schema', 'question'];
+
+// Without these it still can, but a feature quietly stops working
+const RECOMMENDED = {
+  conversation: 'follow-up questions won\'t see the earlier questions and SQL',
+  calendar:     'dates won\'t be worked out in the site\'s time zone, and no period is resolved for the question',
+  sites:        'questions won\'t cover a profile\'s other sites',
+  glossary:     'the glossary\'s metrics and names won\'t be used',
+};
+
+// Goes into each answer's history entry, so bump it whenever the text below
+// changes: v2 added {{calendar}} and the time zone rule
+const DEFAULT_SQL_TEMPLATE_VERSION = 'default v2';
+
+const DEFAULT_SQL_TEMPLATE = `You are a BigQuery SQL expert for a 3CX phone system analytics database.
+Given the following table schemas, write a valid BigQuery SQL query that answers the user's question.
+
+SCHEMA:
+{{schema}}
+{{sites}}{{glossary}}
+{{calendar}}
+RULES:
+- Return ONLY the SQL query, nothing else — no markdown, no explanation, no backticks.
+- Use fully-qualified table names as listed in SCHEMA, e.g. \`{{project}}.{{dataset}}.TableName\`
+- Use STANDARD SQL (BigQuery default). DATE functions: CURRENT_DATE(), DATE_SUB(), FORMAT_DATE() — always with the site's time zone (see above).
+- TIMESTAMP columns: use TIMESTAMP_TRUNC() for grouping by day/hour.
+- Limit results to 200 rows maximum unless the question asks for all data.
+- If the question cannot be answered from the schema, respond with exactly: CANNOT_ANSWER
+
+{{conversation}}USER QUESTION: {{question}}`;
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_]+)\s*\}\}/g;
+
+/**
+ * Returns an error message for a template that can't be used, or null.
+ * Unknown placeholders are rejected rather than sent to the model as-is —
+ * they're almost always typos ("{{questoin}}").
+ */
+function validateTemplate(template) {
+  const text = String(template || '');
+  if (!text.trim()) return 'The prompt template is empty.';
+  const used = new Set([...text.matchAll(PLACEHOLDER)].map(m => m[1]));
+  const unknown = [...used].filter(name => !PLACEHOLDERS.includes(name));
+  if (unknown.length) {
+    return `Unknown placeholder${unknown.length > 1 ? 's' : ''} ${unknown.map(n => `{{${n}}}`).join(', ')}. ` +
+      `Available: ${PLACEHOLDERS.map(n => `{{${n}}}`).join(', ')}.`;
+  }
+  const missing = REQUIRED.filter(name => !used.has(name));
+  if (missing.length) return `The prompt template must include ${missing.map(n => `{{${n}}}`).join(' and ')}.`;
+  return null;
+}
+
+/**
+ * What a usable template leaves out: one message per missing placeholder
+ * from RECOMMENDED, for the settings form to show after saving.
+ */
+function templateWarnings(template) {
+  const used = new Set([...String(template || '').matchAll(PLACEHOLDER)].map(m => m[1]));
+  return Object.entries(RECOMMENDED)
+    .filter(([name]) => !used.has(name))
+    .map(([name, effect]) => `Without {{${name}}} ${effect}.`);
+}
+
+/**
+ * Fills in the placeholders in one pass, so a question that happens to
+ * contain "{{schema}}" is left alone.
+ */
+function renderTemplate(template, values) {
+  return String(template).replace(PLACEHOLDER, (match, name) =>
+    (PLACEHOLDERS.includes(name) ? String(values[name] ?? '') : match));
+}
+
+module.exports = { DEFAULT_SQL_TEMPLATE, DEFAULT_SQL_TEMPLATE_VERSION, PLACEHOLDERS, validateTemplate, templateWarnings, renderTemplate };
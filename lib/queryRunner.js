@@ -0,0 +1,224 @@
+/**
+ * lib/queryRunner.js — Safety gate → dry run → capped real run → result pages
+ *
+ * Every query the app runs goes through executeSql here: generated SQL,
+ * SQL the user edited, saved reports and scheduled runs. It works on any
+ * client with BigQuery's query-job calls (the real one, or
+ * lib/localBigQuery.js), and everything it needs from the app — the client
+ * for a profile, the datasets the gate allows, the cost limits — is passed
+ * in, so the whole path runs without Electron.
+ *
+ * Paged results are remembered here by resultId, so the renderer can fetch
+ * more rows and exports can read all of them.
+ */
+
+'use strict';
+
+const { validateReadOnlySql } = require('./sqlGuard');
+const { describeFields, encodeRow } = require('./resultValues');
+
+const GB = 1024 ** 3;
+
+// Results come back from the BigQuery job this many rows at a time; the
+// renderer asks for the next page as the table is scrolled
+const RESULT_PAGE_ROWS = 500;
+
+// BigQuery keeps a job's results for about a day; we only remember the most
+// recent paged jobs
+const MAX_RESULT_JOBS = 20;
+
+// For queries nobody is watching (scheduled reports): no progress, no cancel
+function quietRun() {
+  return {
+    job: null,
+    progress() {},
+    throwIfCancelled() {},
+    async attachJob(job) { this.job = job; },
+  };
+}
+
+/**
+ * @param {object} options
+ * @param {(profile) => object} options.clientFor  the profile's BigQuery client
+ * @param {(profile) => object} options.scopeFor   what the safety gate allows (lib/sqlGuard.js)
+ * @param {() => { maxBytesBilledGb: number, confirmAboveGb: number }} options.limits
+ *   the cost limits from Settings, read on every run
+ * @param {number} [options.pageRows]
+ */
+function createQueryRunner({ clientFor, scopeFor, limits, pageRows = RESULT_PAGE_ROWS }) {
+  const resultJobs = new Map();
+
+  /**
+   * Validates, estimates and (if allowed) runs a read-only query.
+   *
+   * If the dry-run estimate is above the soft "confirm above" threshold and the
+   * user hasn't confirmed yet, returns `{ needsConfirmation: true }` instead of
+   * running. The real job always carries `maximumBytesBilled`, so even a wrong
+   * estimate can't blow past the hard ceiling.
+   *
+   * `params` are BigQuery named query parameters ([{ name, type, value }]) for
+   * saved reports — values are never spliced into the SQL text. `profile` is the
+   * connection to run against (saved reports carry their own).
+   *
+   * Only the first page of rows is returned, with `totalRows` from the job and a
+   * `resultId` + `pageToken` for fetching the rest (fetchPage). `allRows`
+   * reads every page instead — for scheduled reports, which write files.
+   */
+  async function executeSql(sql, { confirmed, params = [], run = quietRun(), profile, allRows = false }) {
+    const bq = clientFor(profile);
+
+    // ── Refuse anything that isn't a single read-only query ──────────────────
+    // The credentials we run with may be able to write, so never trust the model.
+    const check = validateReadOnlySql(sql, scopeFor(profile));
+    if (!check.ok) {
+      return { ok: false, blocked: true, reason: check.reason, error: check.message, sql, params };
+    }
+
+    const paramOptions = toQueryParams(params);
+
+    // ── Dry run: BigQuery plans the query and reports bytes without running it
+    run.progress('dryRun', 'Estimating cost (dry run)…');
+    const [dryRunJob] = await bq.createQueryJob({ query: sql, useLegacySql: false, dryRun: true, ...paramOptions });
+    const queryStats = dryRunJob.metadata?.statistics?.query || {};
+    const estimatedBytes = Number(dryRunJob.metadata?.statistics?.totalBytesProcessed || 0);
+
+    // Second opinion from BigQuery itself on what kind of statement this is
+    if (queryStats.statementType && queryStats.statementType !== 'SELECT') {
+      return {
+        ok: false,
+        blocked: true,
+        reason: 'not_select',
+        error: `BigQuery reports this as a ${queryStats.statementType} statement. Only SELECT queries are allowed.`,
+        sql,
+        params,
+      };
+    }
+
+    const { maxBytesBilledGb, confirmAboveGb } = limits();
+    const maxBytesBilled = gbToBytes(maxBytesBilledGb);
+    const confirmAbove   = gbToBytes(confirmAboveGb);
+
+    if (maxBytesBilled && estimatedBytes > maxBytesBilled) {
+      return {
+        ok: false,
+        error: `This query would process about ${formatBytes(estimatedBytes)}, which is over the ${formatBytes(maxBytesBilled)} limit per query. Narrow the date range or raise the limit in Settings.`,
+        sql,
+        params,
+        estimatedBytes,
+      };
+    }
+
+    if (!confirmed && confirmAbove && estimatedBytes > confirmAbove) {
+      return { ok: true, needsConfirmation: true, sql, params, profileId: profile.id, estimatedBytes, confirmAbove, rows: [], columns: [], message: null };
+    }
+
+    // ── Execute against BigQuery with the hard bytes-billed ceiling ──────────
+    const queryOptions = { query: sql, useLegacySql: false, ...paramOptions };
+    if (maxBytesBilled) queryOptions.maximumBytesBilled = String(maxBytesBilled);
+
+    run.throwIfCancelled();
+    const [job] = await bq.createQueryJob(queryOptions);
+    await run.attachJob(job);
+    run.progress('running', `Running BigQuery job ${job.id}…`, { jobId: job.id });
+
+    let page;
+    try {
+      page = await fetchResultPage(job, null, run);
+      while (allRows && page.pageToken) {
+        const next = await fetchResultPage(job, page.pageToken, run);
+        page = { ...next, rows: page.rows.concat(next.rows) };
+      }
+    } catch (e) {
+      run.throwIfCancelled(); // a cancelled job surfaces as an error — report it as a cancel
+      throw e;
+    } finally {
+      run.job = null;
+    }
+    run.throwIfCancelled();
+    const { rows, fields, totalRows, pageToken } = page;
+    run.progress('rows', rows.length < totalRows
+      ? `Received the first ${rows.length} of ${totalRows} rows`
+      : `Received ${rows.length} row${rows.length !== 1 ? 's' : ''}`);
+
+    // Column order is the SELECT's, from the result schema — known even with no rows
+    const columns = fields.length ? fields.map(f => f.name) : Object.keys(rows[0] || {});
+    const resultId = pageToken ? rememberResultJob(job, profile) : null;
+
+    return { ok: true, sql, params, rows, columns, fields, totalRows, resultId, pageToken, estimatedBytes, message: null };
+  }
+
+  // One page of a finished job's rows, encoded for the renderer by the job's
+  // result schema (lib/resultValues.js), which comes back with them.
+  // getQueryResults hands back an empty page while the job is still running
+  // (BigQuery waits about 10 s per call), so keep asking until it's done.
+  async function fetchResultPage(job, pageToken, run) {
+    while (true) {
+      // wrapIntegers: INT64 values as BigQueryInt, not Numbers that lose digits
+      const options = { maxResults: pageRows, autoPaginate: false, wrapIntegers: true };
+      if (pageToken) options.pageToken = pageToken;
+      const [rows, , response] = await job.getQueryResults(options);
+      run?.throwIfCancelled();
+      if (response?.jobComplete === false) continue;
+
+      const fields = describeFields(response?.schema?.fields);
+      return {
+        rows: rows.map(row => encodeRow(row, fields)),
+        fields,
+        totalRows: Number(response?.totalRows ?? rows.length),
+        pageToken: response?.pageToken || null,
+      };
+    }
+  }
+
+  function rememberResultJob(job, profile) {
+    const resultId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    resultJobs.set(resultId, { job, profileId: profile.id });
+    if (resultJobs.size > MAX_RESULT_JOBS) resultJobs.delete(resultJobs.keys().next().value);
+    return resultId;
+  }
+
+  /** The page after `pageToken` of a remembered result, or null if it's gone */
+  async function fetchPage(resultId, pageToken) {
+    const entry = resultJobs.get(resultId);
+    return entry ? fetchResultPage(entry.job, pageToken) : null;
+  }
+
+  /** Every row of a paged result, from the first page on; null if it's gone */
+  async function readAllRows(resultId) {
+    const entry = resultJobs.get(resultId);
+    if (!entry) return null;
+    let page = await fetchResultPage(entry.job, null);
+    let rows = page.rows;
+    while (page.pageToken) {
+      page = await fetchResultPage(entry.job, page.pageToken);
+      rows = rows.concat(page.rows);
+    }
+    return rows;
+  }
+
+  return { executeSql, fetchPage, readAllRows };
+}
+
+// [{ name, type, value }] → the { params, types } shape the BigQuery client expects
+function toQueryParams(params) {
+  if (!params.length) return {};
+  return {
+    params: Object.fromEntries(params.map(p => [p.name, p.value])),
+    types:  Object.fromEntries(params.map(p => [p.name, p.type])),
+  };
+}
+
+// Settings store limits in GB; 0 or blank means "no limit"
+function gbToBytes(gb) {
+  const n = Number(gb);
+  return n > 0 ? Math.round(n * GB) : 0;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= GB)        return `${(bytes / GB).toFixed(2)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  if (bytes >= 1024)      return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+module.exports = { createQueryRunner, RESULT_PAGE_ROWS };
@@ -0,0 +1,117 @@
+/**
+ * lib/resultValues.js — BigQuery result rows → plain values, without losing any
+ *
+ * The BigQuery client hands back rows full of wrapper objects (BigQueryInt,
+ * Big, BigQueryTimestamp, Geography, Buffer…). They can't cross IPC as they
+ * are, and the obvious conversions lose information: Number() drops digits
+ * from INT64 values past 2^53, and JSON.stringify turns STRUCTs into text.
+ *
+ * Encoding follows the job's result schema instead of guessing from values:
+ *
+ *   INT64, NUMERIC, BIGNUMERIC   decimal strings (every digit kept)
+ *   FLOAT64                      numbers ("NaN" / "Infinity" as strings)
+ *   BOOL                         booleans
+ *   DATE, DATETIME, TIME         BigQuery's canonical strings
+ *   TIMESTAMP                    ISO 8601 in UTC ("2024-06-03T08:03:30.000Z")
+ *   GEOGRAPHY                    WKT ("POINT(-0.1 51.5)")
+ *   BYTES                        base64
+ *   JSON, INTERVAL, STRING       strings, as BigQuery sent them
+ *   STRUCT                       objects, encoded field by field
+ *   REPEATED                     arrays
+ *
+ * Fields are described with standard SQL type names — the API still reports
+ * some in legacy form (INTEGER, FLOAT, BOOLEAN, RECORD).
+ */
+
+'use strict';
+
+const LEGACY_TYPES = { INTEGER: 'INT64', FLOAT: 'FLOAT64', BOOLEAN: 'BOOL', RECORD: 'STRUCT' };
+
+/**
+ * A result schema's fields → [{ name, type, mode, description?, fields? }],
+ * in SELECT order. STRUCT fields carry their own `fields`.
+ */
+function describeFields(fields = []) {
+  return fields.map(f => {
+    const type = LEGACY_TYPES[f.type] || f.type || 'STRING';
+    const field = { name: f.name, type, mode: f.mode || 'NULLABLE' };
+    if (f.description) field.description = f.description;
+    if (type === 'STRUCT') field.fields = describeFields(f.fields);
+    return field;
+  });
+}
+
+/** One row, keyed in schema order. Without a schema, values are encoded by their shape. */
+function encodeRow(row, fields) {
+  if (!fields.length) {
+    return Object.fromEntries(Object.entries(row).map(([k, v]) => [k, encodeValue(v)]));
+  }
+  return Object.fromEntries(fields.map(f => [f.name, encodeValue(row[f.name], f)]));
+}
+
+function encodeValue(v, field) {
+  if (v === null || v === undefined) return null;
+  if (field?.mode === 'REPEATED') {
+    const item = { ...field, mode: 'NULLABLE' };
+    return (Array.isArray(v) ? v : [v]).map(x => encodeValue(x, item));
+  }
+
+  switch (field?.type) {
+    case 'INT64':
+      // BigQueryInt keeps the digits in .value; bigint and plain numbers stringify exactly
+      return typeof v === 'object' && v.value !== undefined ? String(v.value) : String(v);
+    case 'NUMERIC':
+    case 'BIGNUMERIC':
+      // Big#toFixed() with no argument is plain notation ("0.0000001", not "1e-7")
+      return typeof v === 'object' && typeof v.toFixed === 'function' ? v.toFixed() : String(v);
+    case 'FLOAT64': {
+      const n = Number(v);
+      return Number.isFinite(n) ? n : String(v);
+    }
+    case 'BOOL':
+      return v === true || v === 1 || String(v).toLowerCase() === 'true';
+    case 'TIMESTAMP':
+      return encodeTimestamp(v);
+    case 'BYTES':
+      return Buffer.isBuffer(v) || v instanceof Uint8Array ? Buffer.from(v).toString('base64') : String(v);
+    case 'STRUCT':
+      return typeof v === 'object' ? encodeRow(v, field.fields || []) : v;
+    case 'DATE':
+    case 'DATETIME':
+    case 'TIME':
+    case 'GEOGRAPHY':
+    case 'JSON':
+    case 'INTERVAL':
+    case 'STRING':
+      return wrappedValue(v);
+    default:
+      return encodeUntyped(v);
+  }
+}
+
+// BigQueryTimestamp (and the local engine's "YYYY-MM-DD HH:MM:SS", which is UTC) → ISO 8601
+function encodeTimestamp(v) {
+  if (v instanceof Date) return v.toISOString();
+  const s = String(wrappedValue(v));
+  return /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(s) ? `${s.replace(' ', 'T')}Z` : s;
+}
+
+// The client's DATE / DATETIME / TIME / Geography wrappers keep the string in .value
+function wrappedValue(v) {
+  return typeof v === 'object' && v.value !== undefined ? v.value : v;
+}
+
+// A value with no schema to go by (RANGE, or types added to BigQuery later)
+function encodeUntyped(v) {
+  if (typeof v === 'bigint') return v.toString();
+  if (v instanceof Date) return v.toISOString();
+  if (Buffer.isBuffer(v)) return v.toString('base64');
+  if (Array.isArray(v)) return v.map(encodeUntyped);
+  if (typeof v === 'object') {
+    if (v.value !== undefined) return v.value;
+    return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, x === null || x === undefined ? null : encodeUntyped(x)]));
+  }
+  return v;
+}
+
+module.exports = { describeFields, encodeRow, encodeValue };
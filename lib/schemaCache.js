@@ -0,0 +1,103 @@
+/**
+ * lib/schemaCache.js — Table schemas kept between launches
+ *
+ * Schemas are persisted per profile (schema-cache.json next to config.json):
+ *
+ *   { checkedAt, datasets: { 'project.dataset': { [table]: { fields, lastModified } } } }
+ *
+ * A refresh lists each dataset's tables with their last-modified times in one
+ * metadata query and only fetches full metadata for tables that are new or
+ * changed — in parallel — instead of one getMetadata() per table, in turn,
+ * on every launch.
+ */
+
+'use strict';
+
+const METADATA_CONCURRENCY = 8; // parallel getMetadata() calls per dataset
+
+// Runs fn over items with at most `limit` calls in flight; results keep item order
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Table name → last-modified time (ms) for every table in the dataset.
+ * The __TABLES__ meta-table answers this in one free metadata query; if it
+ * can't be read, fall back to listing tables (times unknown → all refetched).
+ */
+async function listTableVersions(bq, { projectId, datasetId }) {
+  try {
+    const [rows] = await bq.query({
+      query: `SELECT table_id, last_modified_time FROM \`${projectId}.${datasetId}.__TABLES__\``,
+      useLegacySql: false,
+    });
+    return Object.fromEntries(rows.map(r => [r.table_id, Number(r.last_modified_time)]));
+  } catch {
+    const [tables] = await bq.dataset(datasetId, { projectId }).getTables();
+    return Object.fromEntries(tables.map(t => [t.id, null]));
+  }
+}
+
+/**
+ * Brings one dataset's cached tables up to date. Tables that are new, changed
+ * (or everything, with `force`) get their metadata fetched; dropped tables are
+ * removed. Returns the new table map plus the fetched metadata, so the caller
+ * can seed the glossary from it.
+ *
+ * @returns {Promise<{ tables: object, fetched: { name: string, meta: object }[] }>}
+ */
+async function refreshDataset(bq, dataset, cached = {}, { force = false } = {}) {
+  const versions = await listTableVersions(bq, dataset);
+  const tables = {};
+  const stale = [];
+
+  for (const [name, lastModified] of Object.entries(versions)) {
+    const entry = cached[name];
+    if (!force && entry && lastModified !== null && entry.lastModified === lastModified) tables[name] = entry;
+    else stale.push(name);
+  }
+
+  const ref = bq.dataset(dataset.datasetId, { projectId: dataset.projectId });
+  const fetched = await mapLimit(stale, METADATA_CONCURRENCY, async (name) => {
+    const [meta] = await ref.table(name).getMetadata();
+    return { name, meta };
+  });
+  for (const { name, meta } of fetched) {
+    tables[name] = { fields: meta.schema?.fields || [], lastModified: Number(meta.lastModifiedTime) || null };
+  }
+
+  return { tables, fetched };
+}
+
+/**
+ * Persisted cache access, keyed by profile id.
+ * @param {import('electron-store')} schemaStore
+ */
+function createSchemaCache(schemaStore) {
+  const memory = {};
+  return {
+    get(profileId) {
+      if (!memory[profileId]) memory[profileId] = schemaStore.get(`profiles.${profileId}`) || { checkedAt: 0, datasets: {} };
+      return memory[profileId];
+    },
+    save(profileId, cache) {
+      memory[profileId] = cache;
+      schemaStore.set(`profiles.${profileId}`, cache);
+    },
+    delete(profileId) {
+      delete memory[profileId];
+      schemaStore.delete(`profiles.${profileId}`);
+    },
+  };
+}
+
+module.exports = { createSchemaCache, refreshDataset, mapLimit };
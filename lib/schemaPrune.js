@@ -0,0 +1,146 @@
+/**
+ * lib/schemaPrune.js — Picks the tables and columns a question needs
+ *
+ * Small 3CX datasets go to Gemini whole. Large ones (many tables, wide
+ * tables) would overflow the prompt, so we score each table by how many of
+ * the question's words appear in its name, its column names and its glossary
+ * descriptions, keep the best few, and trim very wide tables down to the
+ * matching columns plus the time columns almost every question filters on.
+ *
+ * This is word matching, not understanding: it errs towards keeping tables,
+ * and keeps everything when nothing matches at all.
+ */
+
+'use strict';
+
+const DEFAULTS = {
+  pruneAboveColumns: 250, // total columns (all tables) before pruning kicks in
+  maxTables: 8,
+  maxColumns: 40,         // per table
+};
+
+// Words that say nothing about which table is meant
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'for', 'to', 'in', 'on', 'at', 'by', 'and', 'or', 'with', 'from', 'per',
+  'how', 'many', 'much', 'what', 'which', 'who', 'whose', 'when', 'where', 'show', 'me', 'list', 'give',
+  'is', 'are', 'was', 'were', 'did', 'do', 'does', 'we', 'our', 'us', 'i', 'my', 'it', 'that', 'this',
+  'than', 'more', 'most', 'top', 'all', 'any', 'each', 'get', 'got', 'last', 'today', 'yesterday',
+  'week', 'month', 'year', 'day', 'days', 'now', 'only', 'break', 'down',
+]);
+
+// 3CX vocabulary: a question word → words that show up in column / table names
+const SYNONYMS = {
+  call: ['cdr', 'cl', 'leg', 'segment'],
+  caller: ['from', 'src', 'source'],
+  callee: ['to', 'dst', 'destination'],
+  agent: ['extension', 'ext', 'dn', 'user'],
+  person: ['extension', 'ext', 'dn', 'user'],
+  extension: ['ext', 'dn'],
+  queue: ['q', 'ringgroup', 'group'],
+  missed: ['answered', 'unanswered', 'status', 'reason'],
+  abandoned: ['answered', 'queue', 'status', 'reason'],
+  duration: ['time', 'seconds', 'talking', 'ringing'],
+  long: ['duration', 'time'],
+  inbound: ['direction', 'type'],
+  outbound: ['direction', 'type'],
+  internal: ['direction', 'type'],
+};
+
+// "CallHistory_v14", "call_start_time" → ['call', 'history', 'v14', 'start', 'time']
+function splitWords(text) {
+  return String(text || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(stem);
+}
+
+// Cheap plural folding so "calls" matches "call" and "queues" matches "queue"
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function questionTerms(question, glossary) {
+  const terms = new Set(splitWords(question).filter(w => !STOP_WORDS.has(w)));
+  for (const word of [...terms]) (SYNONYMS[word] || []).forEach(s => terms.add(s));
+
+  // A named metric pulls in the words of its definition (usually column names)
+  const text = String(question || '').toLowerCase();
+  for (const metric of glossary?.metrics || []) {
+    if (text.includes(metric.name.toLowerCase())) splitWords(metric.definition).forEach(w => terms.add(w));
+  }
+  // Naming a person means filtering by extension
+  if ((glossary?.people || []).some(p => text.includes(p.name.toLowerCase()))) {
+    ['extension', 'ext', 'dn'].forEach(w => terms.add(w));
+  }
+  return terms;
+}
+
+const countMatches = (words, terms) => words.reduce((n, w) => n + (terms.has(w) ? 1 : 0), 0);
+
+const TIME_TYPES = new Set(['TIMESTAMP', 'DATETIME', 'DATE', 'TIME']);
+
+/**
+ * @param {{ [tableName: string]: object[] }} tables  bare table name → BigQuery fields
+ * @param {string} question  the question (plus recent follow-up context, if any)
+ * @param {object} [options]  { glossary, pruneAboveColumns, maxTables, maxColumns }
+ * @returns {null | { [tableName: string]: { fields: object[], omitted: number } }}
+ *   null when the schema is small enough to send whole
+ */
+function pruneSchema(tables, question, options = {}) {
+  const { glossary, pruneAboveColumns, maxTables, maxColumns } = { ...DEFAULTS, ...options };
+  const names = Object.keys(tables);
+  const totalColumns = names.reduce((n, t) => n + tables[t].length, 0);
+  if (totalColumns <= pruneAboveColumns && names.length <= maxTables) return null;
+
+  const terms = questionTerms(question, glossary);
+  const describe = (t, col) => glossary?.tables?.[t]?.columns?.[col];
+
+  const scored = names.map((name, order) => {
+    const fieldScores = tables[name].map(f => {
+      const column = describe(name, f.name);
+      return countMatches(splitWords(f.name), terms) * 2 + countMatches(splitWords(column?.description), terms);
+    });
+    const score =
+      countMatches(splitWords(name), terms) * 3 +
+      countMatches(splitWords(glossary?.tables?.[name]?.description), terms) +
+      fieldScores.reduce((a, b) => a + b, 0);
+    return { name, order, score, fieldScores };
+  });
+
+  // Best matches first; with no matches at all keep the original order
+  const kept = scored
+    .filter(t => t.score > 0)
+    .sort((a, b) => b.score - a.score || a.order - b.order);
+  const chosen = (kept.length ? kept : scored).slice(0, maxTables);
+
+  const result = {};
+  for (const { name, fieldScores } of chosen) {
+    const fields = tables[name];
+    if (fields.length <= maxColumns) {
+      result[name] = { fields, omitted: 0 };
+      continue;
+    }
+    // Matching columns, then time columns, then described ones, then the rest — in table order
+    const priority = (f, i) => {
+      if (fieldScores[i] > 0) return 0;
+      if (TIME_TYPES.has(f.type)) return 1;
+      if (describe(name, f.name)) return 2;
+      return 3;
+    };
+    const keep = new Set(
+      fields
+        .map((f, i) => ({ i, p: priority(f, i) }))
+        .sort((a, b) => a.p - b.p || a.i - b.i)
+        .slice(0, maxColumns)
+        .map(x => x.i)
+    );
+    result[name] = { fields: fields.filter((f, i) => keep.has(i)), omitted: fields.length - keep.size };
+  }
+  return result;
+}
+
+module.exports = { pruneSchema };
@@ -0,0 +1,132 @@
+/**
+ * lib/secrets.js — OS-backed storage for credentials
+ *
+ * Service account keys, OAuth tokens, the OAuth client secret and the model
+ * API keys (Gemini, OpenAI-compatible) are encrypted with Electron's
+ * safeStorage, which uses the OS keychain (macOS Keychain, Windows DPAPI,
+ * libsecret/kwallet on Linux). Only the
+ * ciphertext is written to electron-store, under `secrets.<name>` — or
+ * `secrets.profiles.<profileId>.<name>` for credentials that belong to one
+ * connection profile (pass the profile id as `scope`).
+ *
+ * Earlier versions kept these as plain values in the same store (protected
+ * only by electron-store's hardcoded encryptionKey). migrateLegacy() moves
+ * them over once, on first launch after upgrading. Without a keychain they
+ * can't be moved, so until one is available get() still reads them: the
+ * app-wide keys unscoped, the connection credentials under the profile that
+ * adoptLegacy() hands them to (the one the old single connection became).
+ */
+
+'use strict';
+
+const SECRET_KEYS = ['serviceAccountJson', 'oauthTokens', 'oauthClientSecret', 'geminiKey', 'llmApiKey'];
+
+/**
+ * @param {import('electron-store')} store
+ * @param {Electron.SafeStorage} safeStorage
+ */
+function createSecretStore(store, safeStorage) {
+  const storeKey = (name, scope) => {
+    if (!SECRET_KEYS.includes(name)) throw new Error(`Unknown secret: ${name}`);
+    return scope ? `secrets.profiles.${scope}.${name}` : `secrets.${name}`;
+  };
+
+  // Plain legacy connection credentials → the profile id they belong to
+  const legacyOwners = {};
+
+  // The plain value an older version left, while it can't be migrated
+  const legacyValue = (name, scope) => {
+    if (secrets.isAvailable()) return undefined;
+    const owner = name in legacyOwners ? legacyOwners[name] : null;
+    if ((scope || null) !== owner) return undefined;
+    const plain = store.get(name);
+    return typeof plain === 'string' && plain !== '' ? plain : undefined;
+  };
+
+  const secrets = {
+    isAvailable() {
+      return safeStorage.isEncryptionAvailable();
+    },
+
+    has(name, scope) {
+      return !!store.get(storeKey(name, scope)) || legacyValue(name, scope) !== undefined;
+    },
+
+    get(name, scope) {
+      const encrypted = store.get(storeKey(name, scope));
+      if (!encrypted) return legacyValue(name, scope);
+      return safeStorage.decryptString(Buffer.from(encrypted, 'base64'));
+    },
+
+    set(name, value, scope) {
+      if (!secrets.isAvailable()) {
+        throw new Error('Secure credential storage is not available on this system (no OS keychain found), so credentials can\'t be saved.');
+      }
+      store.set(storeKey(name, scope), safeStorage.encryptString(String(value)).toString('base64'));
+    },
+
+    delete(name, scope) {
+      store.delete(storeKey(name, scope));
+      if (legacyValue(name, scope) !== undefined) store.delete(name);
+    },
+
+    // Moves the ciphertext as-is, so it works even while encryption is unavailable
+    move(name, fromScope, toScope) {
+      const encrypted = store.get(storeKey(name, fromScope));
+      if (!encrypted) return;
+      store.set(storeKey(name, toScope), encrypted);
+      store.delete(storeKey(name, fromScope));
+    },
+
+    deleteScope(scope) {
+      store.delete(`secrets.profiles.${scope}`);
+      for (const [name, owner] of Object.entries(legacyOwners)) {
+        if (owner === scope) store.delete(name);
+      }
+    },
+
+    // Plain connection credentials an older version left belong to `scope`
+    // (see migrateLegacy — they're only still there without a keychain)
+    adoptLegacy(names, scope) {
+      for (const name of names) legacyOwners[name] = scope;
+    },
+
+    /**
+     * Moves plain-value secrets from older versions into encrypted storage.
+     * Leaves them untouched if encryption isn't available — get() reads them
+     * from there until it is. Returns the names that were migrated.
+     */
+    migrateLegacy() {
+      if (!secrets.isAvailable()) return [];
+      const migrated = [];
+
+      // The old browser flow stashed { clientId, clientSecret } in one plain value
+      const pendingRaw = store.get('pendingOauthClient');
+      if (pendingRaw) {
+        try {
+          const pending = JSON.parse(pendingRaw);
+          if (pending.clientId && !store.get('oauthClientId')) store.set('oauthClientId', pending.clientId);
+          if (pending.clientSecret && !store.get('oauthClientSecret') && !secrets.has('oauthClientSecret')) {
+            store.set('oauthClientSecret', pending.clientSecret);
+          }
+        } catch {
+          // Unreadable leftovers are dropped below either way
+        }
+        store.delete('pendingOauthClient');
+      }
+
+      for (const name of SECRET_KEYS) {
+        const legacy = store.get(name);
+        if (legacy === undefined) continue;
+        if (!secrets.has(name) && legacy !== '') secrets.set(name, legacy);
+        store.delete(name);
+        migrated.push(name);
+      }
+      return migrated;
+    },
+  };
+
+  return secrets;
+}
+
+module.exports = { createSecretStore, SECRET_KEYS };
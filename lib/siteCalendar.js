@@ -0,0 +1,336 @@
+/**
+ * lib/siteCalendar.js — A site's time zone, business hours and holidays
+ *
+ * 3CX exports timestamps in UTC, but people ask in the site's local time:
+ * "yesterday" starts at local midnight, and "after hours" means after the
+ * office closes there. Each profile keeps
+ *
+ *   timeZone:      IANA name ("Europe/London"); '' means this computer's zone
+ *   businessHours: { days: [1..7] (ISO, Monday = 1), start: 'HH:MM', end: 'HH:MM' }
+ *   holidays:      [{ date: 'YYYY-MM-DD', name }] — closed all day
+ *
+ * Before SQL is generated, relative dates in the question ("last week",
+ * "past 3 days", "in March") are resolved here into an exact local window.
+ * The window and the rules go into the prompt as {{calendar}}, and the window
+ * is shown under the answer so the user can see which days were counted —
+ * once lib/sqlWindow.js has checked the SQL's date filters agree with it.
+ *
+ * The model is still asked to write boundaries relative to CURRENT_DATE in
+ * the site's zone rather than as literals, so a saved "yesterday" report
+ * stays about yesterday when the scheduler runs it next week.
+ */
+
+'use strict';
+
+const DEFAULT_BUSINESS_HOURS = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+
+const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december'];
+
+const TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const HOLIDAY_LINE = /^(\d{4})-(\d{2})-(\d{2})(?:\s+(.*))?$/;
+
+function systemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** A profile's settings with the defaults filled in */
+function calendarOf(profile) {
+  return {
+    timeZone: profile.timeZone || systemTimeZone(),
+    businessHours: { ...DEFAULT_BUSINESS_HOURS, ...profile.businessHours },
+    holidays: profile.holidays || [],
+  };
+}
+
+// ── Settings ─────────────────────────────────────────────────────────────────
+
+/**
+ * The settings form's fields → the stored profile fields. Throws with a
+ * message for the user if one can't be used.
+ */
+function parseCalendarSettings({ timeZone = '', businessDays = [], businessStart = '', businessEnd = '', holidays = '' }) {
+  const zone = String(timeZone).trim();
+  if (zone && !isValidTimeZone(zone)) throw new Error(`"${zone}" isn't a time zone. Use a name like Europe/London or America/New_York.`);
+
+  const start = String(businessStart || DEFAULT_BUSINESS_HOURS.start).trim();
+  const end = String(businessEnd || DEFAULT_BUSINESS_HOURS.end).trim();
+  if (!TIME.test(start) || !TIME.test(end)) throw new Error('Business hours must be times like 09:00 and 17:30.');
+  if (end <= start) throw new Error('Business hours must close after they open.');
+  const days = [...new Set(businessDays.map(Number))].filter(d => d >= 1 && d <= 7).sort();
+
+  return { timeZone: zone, businessHours: { days, start, end }, holidays: parseHolidayList(holidays) };
+}
+
+/** One "YYYY-MM-DD Name" per line (the name is optional) → sorted holidays */
+function parseHolidayList(text) {
+  const byDate = new Map();
+  String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .forEach(line => {
+      const match = line.match(HOLIDAY_LINE);
+      const [, y, m, d, name = ''] = match || [];
+      const date = match && new Date(Date.UTC(+y, +m - 1, +d));
+      if (!date || date.getUTCMonth() !== +m - 1 || date.getUTCDate() !== +d) {
+        throw new Error(`Can't read the holiday line "${line}". Use: 2025-12-25 Christmas Day`);
+      }
+      byDate.set(`${y}-${m}-${d}`, name.trim());
+    });
+  return [...byDate].sort(([a], [b]) => a.localeCompare(b)).map(([date, name]) => ({ date, name }));
+}
+
+// The inverse of parseHolidayList, for filling in the textarea
+function formatHolidayList(holidays = []) {
+  return holidays.map(h => (h.name ? `${h.date} ${h.name}` : h.date)).join('\n');
+}
+
+// "Mon–Fri 09:00–17:00"; days that aren't a run are listed ("Mon, Wed, Fri")
+function describeBusinessHours({ days, start, end }) {
+  if (!days.length) return 'closed every day';
+  const contiguous = days.every((d, i) => i === 0 || d === days[i - 1] + 1);
+  const dayText = contiguous && days.length > 2
+    ? `${DAY_NAMES[days[0] - 1]}–${DAY_NAMES[days[days.length - 1] - 1]}`
+    : days.map(d => DAY_NAMES[d - 1]).join(', ');
+  return `${dayText} ${start}–${end}`;
+}
+
+// ── Time zone arithmetic ─────────────────────────────────────────────────────
+//
+// Dates are handled as { year, month, day } wall-clock days in the site's
+// zone; Date.UTC does the calendar arithmetic (it rolls day 0 and day 32 over).
+
+const partFormats = new Map();
+
+// Wall-clock fields of an instant in a zone
+function zonedParts(instant, timeZone) {
+  if (!partFormats.has(timeZone)) {
+    partFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }));
+  }
+  const parts = Object.fromEntries(partFormats.get(timeZone).formatToParts(instant).map(p => [p.type, Number(p.value)]));
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+// Minutes the zone is ahead of UTC at an instant
+function zoneOffset(instant, timeZone) {
+  const p = zonedParts(instant, timeZone);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((wall - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+// A wall-clock time in the zone → the UTC instant. The second pass settles
+// days when the clocks change; a midnight that doesn't exist moves forward.
+function zonedToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const first = wall - zoneOffset(new Date(wall), timeZone) * 60000;
+  return new Date(wall - zoneOffset(new Date(first), timeZone) * 60000);
+}
+
+function addDays({ year, month, day }, n) {
+  const d = new Date(Date.UTC(year, month - 1, day + n));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+const addMonths = ({ year, month }, n) => addDays({ year, month: month + n, day: 1 }, 0);
+
+// ISO weekday, Monday = 1
+const weekday = ({ year, month, day }) => ((new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7) + 1;
+
+const pad = (n) => String(n).padStart(2, '0');
+const dayText = (d) => `${d.year}-${pad(d.month)}-${pad(d.day)}`;
+// UTC 'YYYY-MM-DD HH:MM:SS', as BigQuery TIMESTAMP literals take it
+const utcText = (instant) => instant.toISOString().slice(0, 19).replace('T', ' ');
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `UTC${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// ── Resolving the question ───────────────────────────────────────────────────
+
+const ROLLING = /\b(?:last|past|previous)\s+(\d+)\s+(hour|day|week|month)s?\b/;
+// Only "last Friday", "on Monday", "this Tuesday": a weekday on its own ("Monday vs Friday") isn't a period
+const WEEKDAY = new RegExp(`\\b(last|on|this past|this)\\s+(${WEEKDAYS.join('|')})\\b`);
+const MONTH = new RegExp(`\\b(?:in|during|for)\\s+(${MONTHS.join('|')})(?:\\s+(\\d{4}))?\\b|\\b(${MONTHS.join('|')})\\s+(\\d{4})\\b`);
+const NO_WINDOW = /\ball[- ]time\b|\bever\b|\bsince (?:the )?(?:start|beginning)\b/;
+
+const AFTER_HOURS = /\b(?:after|out[- ]of|outside(?: of)?|non[- ]?business|non[- ]?working)[- ](?:business |office |opening )?hours\b|\bovernight\b|\bwhen (?:we(?:'re| are)|the office is) closed\b/;
+const IN_HOURS = /\b(?:during|within|in(?:side)?)\s+(?:business |office |opening |working )?hours\b|\b(?:business|office|opening|working) hours\b/;
+
+/**
+ * The relative dates in a question → a window of whole local days (or hours,
+ * for "past 6 hours"), `end` exclusive:
+ * { label, start: Date, end: Date, wholeDays } — or null when the question
+ * names no period, and `{ none: true }` when it asks for all time.
+ */
+function resolveWindow(question, timeZone, now = new Date()) {
+  const q = String(question || '').toLowerCase();
+  if (NO_WINDOW.test(q)) return { none: true };
+
+  const { year, month, day } = zonedParts(now, timeZone);
+  const today = { year, month, day };
+  const days = (label, first, afterLast) => ({
+    label, start: zonedToUtc(first, timeZone), end: zonedToUtc(afterLast, timeZone), wholeDays: true,
+  });
+  const monday = addDays(today, 1 - weekday(today));
+  const monthStart = { year: today.year, month: today.month, day: 1 };
+
+  let match = q.match(ROLLING);
+  if (match) {
+    const n = Math.max(1, Number(match[1]));
+    const unit = match[2];
+    const label = `${match[0].split(/\s+/)[0]} ${n} ${unit}${n === 1 ? '' : 's'}`;
+    if (unit === 'hour') return { label, start: new Date(now.getTime() - n * 3600000), end: now, wholeDays: false };
+    // Days and weeks run up to today; months are calendar months, this one included
+    if (unit === 'month') return days(label, addMonths(monthStart, 1 - n), addDays(today, 1));
+    return days(label, addDays(today, 1 - n * (unit === 'week' ? 7 : 1)), addDays(today, 1));
+  }
+  if (/\btoday\b/.test(q)) return days('today', today, addDays(today, 1));
+  if (/\byesterday\b/.test(q)) return days('yesterday', addDays(today, -1), today);
+  if (/\bthis week\b/.test(q)) return days('this week', monday, addDays(monday, 7));
+  if (/\b(?:last|previous|past) week\b/.test(q)) return days('last week', addDays(monday, -7), monday);
+  if (/\bthis month\b/.test(q)) return days('this month', monthStart, addMonths(monthStart, 1));
+  if (/\b(?:last|previous|past) month\b/.test(q)) return days('last month', addMonths(monthStart, -1), monthStart);
+  if (/\bthis year\b/.test(q)) return days('this year', { ...monthStart, month: 1 }, { year: today.year + 1, month: 1, day: 1 });
+  if (/\b(?:last|previous|past) year\b/.test(q)) return days('last year', { year: today.year - 1, month: 1, day: 1 }, { ...monthStart, month: 1 });
+
+  match = q.match(WEEKDAY);
+  if (match) {
+    // The most recent one — today counts unless the question says "last"
+    const target = WEEKDAYS.indexOf(match[2]) + 1;
+    let back = (weekday(today) - target + 7) % 7;
+    if (back === 0 && match[1] === 'last') back = 7;
+    const day = addDays(today, -back);
+    return days(match[2][0].toUpperCase() + match[2].slice(1), day, addDays(day, 1));
+  }
+
+  match = q.match(MONTH);
+  if (match) {
+    // Without a year, the most recent one (this month counts)
+    const month = MONTHS.indexOf(match[1] || match[3]) + 1;
+    const year = Number(match[2] || match[4]) || (month > today.month ? today.year - 1 : today.year);
+    const name = (match[1] || match[3]);
+    return days(`${name[0].toUpperCase()}${name.slice(1)} ${year}`, { year, month, day: 1 }, { year, month: month + 1, day: 1 });
+  }
+  return null;
+}
+
+// 'after' | 'business' | null
+function hoursFilter(question) {
+  const q = String(question || '').toLowerCase();
+  if (AFTER_HOURS.test(q)) return 'after';
+  if (IN_HOURS.test(q)) return 'business';
+  return null;
+}
+
+/**
+ * What the question resolves to, in a form that crosses IPC and is shown
+ * under the answer: { label, timeZone, start, end (ISO, end exclusive),
+ * hours, text }. `start`/`end` are null when no period was named.
+ * `previous` is the last turn's window, kept for follow-ups that don't
+ * name a period of their own ("now by hour").
+ */
+function resolveTimeWindow(question, calendar, { now = new Date(), previous = null } = {}) {
+  const window = resolveWindow(question, calendar.timeZone, now);
+  const hours = hoursFilter(question) || (window ? null : previous?.hours || null);
+  if (!window && previous?.start && previous.timeZone === calendar.timeZone) return { ...previous, hours, text: describeTimeWindow({ ...previous, hours }, calendar) };
+  const resolved = {
+    label: window && !window.none ? window.label : null,
+    timeZone: calendar.timeZone,
+    start: window?.start ? window.start.toISOString() : null,
+    end: window?.end ? window.end.toISOString() : null,
+    wholeDays: !!window?.wholeDays,
+    hours,
+  };
+  return { ...resolved, text: describeTimeWindow(resolved, calendar) };
+}
+
+// "Yesterday: Sat 17 Oct 2026 (Europe/London) · after hours (outside Mon–Fri 09:00–17:00)"
+function describeTimeWindow(window, calendar) {
+  const { timeZone } = calendar;
+  const date = new Intl.DateTimeFormat('en-GB', { timeZone, weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+  const dateTime = new Intl.DateTimeFormat('en-GB', { timeZone, day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+  let text;
+  if (!window.start) {
+    text = `All dates (times in ${timeZone})`;
+  } else {
+    const start = new Date(window.start);
+    const end = new Date(window.end);
+    let range;
+    if (window.wholeDays) {
+      const last = new Date(end.getTime() - 1);
+      range = date.format(start) === date.format(last) ? date.format(start) : `${date.format(start)} – ${date.format(last)}`;
+    } else {
+      range = `${dateTime.format(start)} – ${dateTime.format(end)}`;
+    }
+    const label = window.label ? `${window.label[0].toUpperCase()}${window.label.slice(1)}: ` : '';
+    text = `${label}${range} (${timeZone})`;
+  }
+  const hoursText = describeBusinessHours(calendar.businessHours);
+  if (window.hours === 'after') text += ` · after hours (outside ${hoursText})`;
+  if (window.hours === 'business') text += ` · business hours (${hoursText})`;
+  return text;
+}
+
+// ── Prompt text ──────────────────────────────────────────────────────────────
+
+/** The {{calendar}} section of the SQL prompt */
+function buildCalendarText(calendar, window, now = new Date()) {
+  const { timeZone, businessHours, holidays } = calendar;
+  const tz = `'${timeZone}'`;
+  const local = zonedParts(now, timeZone);
+  const lines = [
+    `Timestamps are stored in UTC. The site's local time zone is ${timeZone} (${formatOffset(zoneOffset(now, timeZone))} right now); ` +
+      `there it is ${DAY_NAMES[weekday(local) - 1]} ${dayText(local)} ${pad(local.hour)}:${pad(local.minute)}.`,
+    `Work out days, weeks, months and hours of day in the site's time zone, never in UTC: CURRENT_DATE(${tz}), ` +
+      `DATE(ts, ${tz}), TIMESTAMP_TRUNC(ts, DAY, ${tz}), EXTRACT(HOUR FROM DATETIME(ts, ${tz})).`,
+    `Write period boundaries relative to CURRENT_DATE(${tz}) and convert them with TIMESTAMP(date, ${tz}), e.g. yesterday is ` +
+      `ts >= TIMESTAMP(DATE_SUB(CURRENT_DATE(${tz}), INTERVAL 1 DAY), ${tz}) AND ts < TIMESTAMP(CURRENT_DATE(${tz}), ${tz}).`,
+  ];
+  if (window?.start) {
+    lines.push(`For this question "${window.label}" means ${describeLocalRange(window, timeZone)} site time ` +
+      `(TIMESTAMP '${utcText(new Date(window.start))}' to TIMESTAMP '${utcText(new Date(window.end))}' UTC, end exclusive).`);
+  }
+
+  const bq = businessHours.days.map(d => (d % 7) + 1).sort(); // BigQuery DAYOFWEEK: Sunday = 1
+  lines.push(businessHours.days.length
+    ? `Business hours are ${describeBusinessHours(businessHours)} site time: EXTRACT(DAYOFWEEK FROM DATETIME(ts, ${tz})) IN (${bq.join(', ')}) ` +
+      `AND TIME(DATETIME(ts, ${tz})) >= '${businessHours.start}:00' AND TIME(DATETIME(ts, ${tz})) < '${businessHours.end}:00'.`
+    : 'The site has no business hours set: every call is after hours.');
+  lines.push('"After hours" / "out of hours" means outside business hours: before opening, after closing, on a non-working day or on a holiday.');
+  if (holidays.length) {
+    lines.push(`Holidays (closed all day): ${holidays.map(h => (h.name ? `${h.date} ${h.name}` : h.date)).join(', ')}. ` +
+      `Compare DATE(ts, ${tz}) with these dates.`);
+  }
+  return `TIME ZONE AND BUSINESS HOURS:\n${lines.map(l => `- ${l}`).join('\n')}\n`;
+}
+
+// "2026-10-12 00:00 to 2026-10-19 00:00"
+function describeLocalRange(window, timeZone) {
+  const text = (iso) => {
+    const p = zonedParts(new Date(iso), timeZone);
+    return `${dayText(p)} ${pad(p.hour)}:${pad(p.minute)}`;
+  };
+  return `${text(window.start)} to ${text(window.end)}`;
+}
+
+module.exports = {
+  DEFAULT_BUSINESS_HOURS, calendarOf, systemTimeZone, parseCalendarSettings, formatHolidayList,
+  resolveWindow, resolveTimeWindow, buildCalendarText, zonedParts, zonedToUtc,
+};
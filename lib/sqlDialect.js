@@ -0,0 +1,393 @@
+/**
+ * lib/sqlDialect.js — BigQuery Standard SQL → SQLite, for the local engine
+ *
+ * The model always writes BigQuery SQL (that's what the prompt asks for, and
+ * what saved reports hold). For sample-data profiles it runs on SQLite, so the
+ * common differences are rewritten first:
+ *
+ *   `project.dataset.Table`        → "dataset__Table"
+ *   `column`, "string literal"     → "column", 'string literal'
+ *   DATE_SUB(d, INTERVAL 7 DAY)    → date(d, '-7 day')
+ *   TIMESTAMP_TRUNC(t, HOUR)       → strftime('%Y-%m-%d %H:00:00', t)
+ *   EXTRACT(HOUR FROM t)           → CAST(strftime('%H', t) AS INTEGER)
+ *   DATE(t, 'Europe/London')       → date(tz_local(t, 'Europe/London'))
+ *   COUNTIF(c), SAFE_DIVIDE(a, b), IF(c, a, b), CAST(x AS INT64), …
+ *
+ * This covers the functions 3CX questions actually use, not the whole
+ * language; anything else reaches SQLite as-is, and its error goes back to
+ * the model like a BigQuery error would. Timestamps are compared as UTC
+ * 'YYYY-MM-DD HH:MM:SS' text, which is how the local engine stores them.
+ * SQLite has no time zones: zone arguments (and EXTRACT's AT TIME ZONE) are
+ * rewritten to call two JavaScript functions the local engine registers,
+ * SQLITE_FUNCTIONS below (registerSqliteFunctions), which convert row by row
+ * — clock changes included.
+ */
+
+'use strict';
+
+const { zonedParts, zonedToUtc } = require('./siteCalendar');
+const { tokenize: tokenizeSql } = require('./sqlGuard');
+
+// ── Tokens ───────────────────────────────────────────────────────────────────
+
+/**
+ * lib/sqlGuard.js's tokens, spacing and comments included so the SQL can be
+ * written back out, with dotted paths (pbx.CallHistory, c.start_time) as one
+ * word and @name as one 'param': the units the rewrites below work on.
+ * A hyphen is never part of a path — "a.x-b.y" is subtraction; hyphenated
+ * project ids need backticks.
+ */
+function tokenize(sql) {
+  const source = tokenizeSql(sql, { keepSpace: true });
+  const tokens = [];
+  for (let i = 0; i < source.length; i++) {
+    const token = source[i];
+    if (token.type === 'word') {
+      let text = token.text;
+      while (source[i + 1]?.text === '.' && source[i + 2]?.type === 'word') {
+        text += `.${source[i + 2].text}`;
+        i += 2;
+      }
+      tokens.push({ type: 'word', text });
+    } else if (token.type === 'punct' && token.text === '@' && source[i + 1]?.type === 'word') {
+      tokens.push({ type: 'param', text: `@${source[++i].text}` });
+    } else {
+      tokens.push(token);
+    }
+  }
+  return tokens;
+}
+
+// ── Literals and names ───────────────────────────────────────────────────────
+
+// BigQuery accepts "...", '...', triple-quoted and raw strings, with backslash
+// escapes unless raw; SQLite wants '...' with ''
+function toSqliteString({ value, raw }) {
+  const body = raw ? value : value.replace(/\\(.)/g, (m, c) => ({ n: '\n', t: '\t', r: '\r' }[c] ?? c));
+  return `'${body.replace(/'/g, "''")}'`;
+}
+
+const quoteIdent = (name) => `"${name.replace(/"/g, '""')}"`;
+
+// ── Function rewrites ────────────────────────────────────────────────────────
+
+const TRUNC_FORMATS = {
+  SECOND: '%Y-%m-%d %H:%M:%S',
+  MINUTE: '%Y-%m-%d %H:%M:00',
+  HOUR:   '%Y-%m-%d %H:00:00',
+};
+
+// TIMESTAMP_TRUNC / DATETIME_TRUNC / DATE_TRUNC; `fn` is datetime or date
+function truncate(fn, value, part) {
+  const unit = String(part).trim().toUpperCase().replace(/\(.*\)$/, ''); // WEEK(MONDAY) → WEEK
+  if (TRUNC_FORMATS[unit]) {
+    return fn === 'date' ? `date(${value})` : `strftime('${TRUNC_FORMATS[unit]}', ${value})`;
+  }
+  switch (unit) {
+    case 'DAY':     return `${fn}(${value}, 'start of day')`;
+    case 'WEEK':    return `${fn}(${value}, 'start of day', '-' || strftime('%w', ${value}) || ' days')`;
+    case 'ISOWEEK': return `${fn}(${value}, 'start of day', '-' || ((strftime('%w', ${value}) + 6) % 7) || ' days')`;
+    case 'MONTH':   return `${fn}(${value}, 'start of month')`;
+    case 'QUARTER': return `${fn}(${value}, 'start of month', '-' || ((strftime('%m', ${value}) - 1) % 3) || ' months')`;
+    case 'YEAR':    return `${fn}(${value}, 'start of year')`;
+    default: throw new Error(`Unsupported date part ${unit} in the local engine.`);
+  }
+}
+
+// SQLite date modifiers for "INTERVAL n UNIT"
+const INTERVAL_UNITS = {
+  SECOND: ['second', 1], MINUTE: ['minute', 1], HOUR: ['hour', 1], DAY: ['day', 1],
+  WEEK: ['day', 7], MONTH: ['month', 1], QUARTER: ['month', 3], YEAR: ['year', 1],
+};
+
+// date(d, '-7 day') — the amount may be an expression or a parameter
+function shift(fn, value, interval, sign) {
+  const match = String(interval).trim().match(/^INTERVAL\s+([\s\S]+?)\s+(\w+)$/i);
+  if (!match || !INTERVAL_UNITS[match[2].toUpperCase()]) throw new Error(`Can't read the interval "${interval}".`);
+  const [unit, factor] = INTERVAL_UNITS[match[2].toUpperCase()];
+  const amount = match[1].trim();
+  if (/^\d+$/.test(amount)) return `${fn}(${value}, '${sign}${Number(amount) * factor} ${unit}')`;
+  return `${fn}(${value}, '${sign}' || ((${amount}) * ${factor}) || ' ${unit}')`;
+}
+
+const DIFF_SECONDS = { SECOND: 1, MINUTE: 60, HOUR: 3600, DAY: 86400 };
+
+function diff(a, b, part) {
+  const unit = String(part).trim().toUpperCase();
+  if (DIFF_SECONDS[unit]) return `((unixepoch(${a}) - unixepoch(${b})) / ${DIFF_SECONDS[unit]})`;
+  if (unit === 'WEEK') return `((unixepoch(date(${a})) - unixepoch(date(${b}))) / 604800)`;
+  const months = (v) => `(strftime('%Y', ${v}) * 12 + strftime('%m', ${v}))`;
+  if (unit === 'MONTH') return `(${months(a)} - ${months(b)})`;
+  if (unit === 'YEAR') return `(strftime('%Y', ${a}) - strftime('%Y', ${b}))`;
+  throw new Error(`Unsupported date part ${unit} in the local engine.`);
+}
+
+const EXTRACT_FORMATS = { SECOND: '%S', MINUTE: '%M', HOUR: '%H', DAY: '%d', DAYOFYEAR: '%j', WEEK: '%U', MONTH: '%m', YEAR: '%Y' };
+
+function extract(arg) {
+  const match = arg.match(/^\s*(\w+)\s+FROM\s+([\s\S]+)$/i);
+  if (!match) throw new Error(`Can't read EXTRACT(${arg}).`);
+  const [, part] = match;
+  // EXTRACT(HOUR FROM t AT TIME ZONE 'Europe/London')
+  const zoned = match[2].match(/^([\s\S]+?)\s+AT\s+TIME\s+ZONE\s+([\s\S]+)$/i);
+  const value = zoned ? `tz_local(${zoned[1]}, ${zoned[2]})` : match[2];
+  const unit = part.toUpperCase();
+  if (unit === 'DATE') return `date(${value})`;
+  if (unit === 'DAYOFWEEK') return `(CAST(strftime('%w', ${value}) AS INTEGER) + 1)`; // BigQuery: Sunday = 1
+  if (unit === 'QUARTER') return `((CAST(strftime('%m', ${value}) AS INTEGER) + 2) / 3)`;
+  if (!EXTRACT_FORMATS[unit]) throw new Error(`Unsupported date part ${unit} in the local engine.`);
+  return `CAST(strftime('${EXTRACT_FORMATS[unit]}', ${value}) AS INTEGER)`;
+}
+
+const CAST_TYPES = {
+  INT64: 'INTEGER', INTEGER: 'INTEGER', BOOL: 'INTEGER', BOOLEAN: 'INTEGER',
+  FLOAT64: 'REAL', NUMERIC: 'REAL', BIGNUMERIC: 'REAL', DECIMAL: 'REAL',
+  STRING: 'TEXT', BYTES: 'BLOB',
+};
+
+function cast(arg) {
+  const match = arg.match(/^([\s\S]+)\s+AS\s+(\w+)\s*$/i);
+  if (!match) throw new Error(`Can't read CAST(${arg}).`);
+  const [, value, type] = match;
+  const upper = type.toUpperCase();
+  if (upper === 'DATE') return `date(${value})`;
+  if (upper === 'TIMESTAMP' || upper === 'DATETIME') return `datetime(${value})`;
+  return `CAST(${value} AS ${CAST_TYPES[upper] || type})`;
+}
+
+// DATETIME(d, t) and TIME(h, m, s) take other arguments where a zone could go;
+// a zone is a string literal naming one ('Europe/London', 'UTC', '+01:00')
+const isZone = (arg) => /^'(?:[A-Za-z]|[+-]\d)[^']*'$/.test(arg);
+
+// Wall-clock time in a zone; without a zone, UTC
+const local = (value, zone) => (zone ? `tz_local(${value}, ${zone})` : `datetime(${value})`);
+
+// `now` is the SQLite time the CURRENT_* functions read: 'now', or a fixed one
+const FUNCTIONS = {
+  CURRENT_DATE:      (a, { now }) => (a.length ? `date(${local(`datetime(${now})`, a[0])})` : `date(${now})`),
+  CURRENT_TIMESTAMP: (a, { now }) => `datetime(${now})`,
+  CURRENT_DATETIME:  (a, { now }) => local(`datetime(${now})`, a[0]),
+  DATE: (a) => {
+    if (a.length === 3) return `printf('%04d-%02d-%02d', ${a[0]}, ${a[1]}, ${a[2]})`;
+    return a.length === 2 ? `date(${local(a[0], a[1])})` : `date(${a[0]})`;
+  },
+  // TIMESTAMP(datetime, zone): the zone's wall-clock time → UTC
+  TIMESTAMP: (a) => (a.length === 2 ? `tz_utc(${a[0]}, ${a[1]})` : `datetime(${a[0]})`),
+  DATETIME: (a) => {
+    if (a.length === 2 && isZone(a[1])) return local(a[0], a[1]);
+    if (a.length === 2) return `datetime(date(${a[0]}) || ' ' || time(${a[1]}))`;
+    return `datetime(${a[0]})`;
+  },
+  TIME: (a) => {
+    if (a.length === 3) return `printf('%02d:%02d:%02d', ${a[0]}, ${a[1]}, ${a[2]})`;
+    return a.length === 2 ? `time(${local(a[0], a[1])})` : `time(${a[0]})`;
+  },
+  // Truncated in the zone (local midnight, not UTC midnight), then back to UTC
+  TIMESTAMP_TRUNC: (a) => (a.length === 3
+    ? `tz_utc(${truncate('datetime', local(a[0], a[2]), a[1])}, ${a[2]})`
+    : truncate('datetime', a[0], a[1])),
+  DATETIME_TRUNC:  (a) => truncate('datetime', a[0], a[1]),
+  DATE_TRUNC:      (a) => truncate('date', a[0], a[1]),
+  DATE_SUB:      (a) => shift('date', a[0], a[1], '-'),
+  DATE_ADD:      (a) => shift('date', a[0], a[1], '+'),
+  TIMESTAMP_SUB: (a) => shift('datetime', a[0], a[1], '-'),
+  TIMESTAMP_ADD: (a) => shift('datetime', a[0], a[1], '+'),
+  DATETIME_SUB:  (a) => shift('datetime', a[0], a[1], '-'),
+  DATETIME_ADD:  (a) => shift('datetime', a[0], a[1], '+'),
+  DATE_DIFF:      (a) => diff(`date(${a[0]})`, `date(${a[1]})`, a[2]),
+  TIMESTAMP_DIFF: (a) => diff(a[0], a[1], a[2]),
+  DATETIME_DIFF:  (a) => diff(a[0], a[1], a[2]),
+  FORMAT_DATE:      (a) => `strftime(${a[0]}, ${a[1]})`,
+  FORMAT_TIMESTAMP: (a) => `strftime(${a[0]}, ${a.length === 3 ? local(a[1], a[2]) : a[1]})`,
+  FORMAT_DATETIME:  (a) => `strftime(${a[0]}, ${a[1]})`,
+  EXTRACT:     (a) => extract(a[0]),
+  CAST:        (a) => cast(a[0]),
+  SAFE_CAST:   (a) => cast(a[0]),
+  COUNTIF:     (a) => `COUNT(CASE WHEN ${a[0]} THEN 1 END)`,
+  SAFE_DIVIDE: (a) => `(CASE WHEN (${a[1]}) = 0 THEN NULL ELSE CAST(${a[0]} AS REAL) / (${a[1]}) END)`,
+  DIV:         (a) => `CAST((${a[0]}) / (${a[1]}) AS INTEGER)`,
+  IF:          (a) => `(CASE WHEN ${a[0]} THEN ${a[1]} ELSE ${a[2]} END)`,
+  CONCAT:      (a) => `(${a.join(' || ')})`,
+  STRING_AGG:  (a) => `GROUP_CONCAT(${a.join(', ')})`,
+  ANY_VALUE:   (a) => `MIN(${a[0]})`,
+  LOGICAL_OR:  (a) => `MAX(CASE WHEN ${a[0]} THEN 1 ELSE 0 END)`,
+  LOGICAL_AND: (a) => `MIN(CASE WHEN ${a[0]} THEN 1 ELSE 0 END)`,
+  STARTS_WITH: (a) => `(substr(${a[0]}, 1, length(${a[1]})) = ${a[1]})`,
+  ENDS_WITH:   (a) => `(substr(${a[0]}, -length(${a[1]})) = ${a[1]})`,
+};
+
+const TYPED_LITERALS = { DATE: 'date', TIMESTAMP: 'datetime', DATETIME: 'datetime' };
+
+// ── Translation ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} sql  BigQuery Standard SQL
+ * @param {object} options
+ * @param {(parts: string[]) => string | null} options.resolveTable
+ *   ['project', 'dataset', 'Table'] or ['dataset', 'Table'] → SQLite table
+ *   name, or null if it isn't a known table (then it's a column path)
+ * @param {Date} [options.now]  the time CURRENT_DATE() and the like read,
+ *   instead of the clock
+ * @returns {string} SQLite SQL. Throws if a rewrite can't read its arguments.
+ */
+function toSqlite(sql, { resolveTable, now }) {
+  const tokens = tokenize(sql);
+  const context = { resolveTable, now: now ? `'${sqliteTime(utcParts(now.getTime()))}'` : `'now'` };
+  return translateRange(tokens, 0, tokens.length, context);
+}
+
+function translateRange(tokens, start, end, context) {
+  let out = '';
+  for (let i = start; i < end; i++) {
+    const token = tokens[i];
+    switch (token.type) {
+      case 'comment':
+        out += ' ';
+        break;
+      case 'string':
+        out += toSqliteString(token);
+        break;
+      case 'ident':
+        out += name(token.value, context.resolveTable);
+        break;
+      case 'word': {
+        const open = nextNonSpace(tokens, i + 1, end);
+        const fn = FUNCTIONS[token.text.toUpperCase()];
+        if (fn && open < end && tokens[open].text === '(') {
+          const close = matchingParen(tokens, open, end);
+          const args = splitArgs(tokens, open + 1, close).map(([s, e]) => translateRange(tokens, s, e, context).trim());
+          out += fn(args.filter((a, n) => a || n > 0), context);
+          i = close;
+        } else if (TYPED_LITERALS[token.text.toUpperCase()] && open < end && tokens[open].type === 'string') {
+          // TIMESTAMP '2024-01-01 09:00:00' → datetime('2024-01-01 09:00:00')
+          out += `${TYPED_LITERALS[token.text.toUpperCase()]}(${toSqliteString(tokens[open])})`;
+          i = open;
+        } else if (token.text.includes('.')) {
+          out += name(token.text, context.resolveTable);
+        } else {
+          out += token.text;
+        }
+        break;
+      }
+      default:
+        out += token.text;
+    }
+  }
+  return out;
+}
+
+// `project.dataset.Table` → "dataset__Table"; `alias.column` stays a path
+function name(text, resolveTable) {
+  const parts = text.split('.');
+  const table = parts.length > 1 ? resolveTable(parts) : null;
+  if (table) return quoteIdent(table);
+  return parts.map(quoteIdent).join('.');
+}
+
+function nextNonSpace(tokens, i, end) {
+  while (i < end && (tokens[i].type === 'space' || tokens[i].type === 'comment')) i++;
+  return i;
+}
+
+function matchingParen(tokens, open, end) {
+  let depth = 0;
+  for (let i = open; i < end; i++) {
+    if (tokens[i].text === '(') depth++;
+    else if (tokens[i].text === ')' && --depth === 0) return i;
+  }
+  throw new Error('Unbalanced parentheses in the SQL.');
+}
+
+// Top-level comma-separated argument ranges between two parentheses
+function splitArgs(tokens, start, end) {
+  const ranges = [];
+  let depth = 0;
+  let from = start;
+  for (let i = start; i < end; i++) {
+    const text = tokens[i].text;
+    if (text === '(') depth++;
+    else if (text === ')') depth--;
+    else if (text === ',' && depth === 0) {
+      ranges.push([from, i]);
+      from = i + 1;
+    }
+  }
+  ranges.push([from, end]);
+  return ranges;
+}
+
+// ── Time zone functions ──────────────────────────────────────────────────────
+//
+// Registered on the local engine's database (sql.js create_function). Values
+// are SQLite date text: 'YYYY-MM-DD', 'YYYY-MM-DD HH:MM:SS' (or with a T).
+
+const SQLITE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?Z?)?$/;
+const OFFSET_ZONE = /^(?:UTC)?([+-])(\d{1,2})(?::?(\d{2}))?$/i;
+
+function readSqliteTime(text) {
+  const match = String(text).trim().match(SQLITE_TIME);
+  if (!match) return null;
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map(v => (v === undefined ? v : Number(v)));
+  return { year, month, day, hour, minute, second };
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+const sqliteTime = (p) => `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+
+function utcParts(ms) {
+  const d = new Date(ms);
+  return {
+    year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(),
+    hour: d.getUTCHours(), minute: d.getUTCMinutes(), second: d.getUTCSeconds(),
+  };
+}
+
+// '+05:30' → 330; null for named zones
+function fixedOffset(zone) {
+  const match = String(zone).trim().match(OFFSET_ZONE);
+  if (!match) return null;
+  return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3] || 0));
+}
+
+const SQLITE_FUNCTIONS = {
+  // UTC timestamp → wall-clock datetime in the zone
+  tz_local(value, zone) {
+    const p = value == null ? null : readSqliteTime(value);
+    if (!p || zone == null) return null;
+    const utc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    const offset = fixedOffset(zone);
+    return sqliteTime(offset == null ? zonedParts(new Date(utc), zone) : utcParts(utc + offset * 60000));
+  },
+  // Wall-clock datetime (or date, meaning midnight) in the zone → UTC timestamp
+  tz_utc(value, zone) {
+    const p = value == null ? null : readSqliteTime(value);
+    if (!p || zone == null) return null;
+    const offset = fixedOffset(zone);
+    const utc = offset == null
+      ? zonedToUtc(p, zone).getTime()
+      : Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - offset * 60000;
+    return sqliteTime(utcParts(utc));
+  },
+};
+
+// sql.js reports an Error thrown by a JavaScript function as an empty
+// message; a thrown string comes through ("Invalid time zone specified: …").
+// The wrapper keeps fn's arity, which sql.js registers as the argument count.
+function sqliteFunction(fn) {
+  const wrapped = (...args) => {
+    try {
+      return fn(...args);
+    } catch (e) {
+      throw String(e.message || e);
+    }
+  };
+  return Object.defineProperty(wrapped, 'length', { value: fn.length });
+}
+
+/** Adds SQLITE_FUNCTIONS to a sql.js database */
+function registerSqliteFunctions(db) {
+  for (const [name, fn] of Object.entries(SQLITE_FUNCTIONS)) db.create_function(name, sqliteFunction(fn));
+  return db;
+}
+
+module.exports = { toSqlite, tokenize, SQLITE_FUNCTIONS, registerSqliteFunctions };
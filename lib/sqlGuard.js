@@ -0,0 +1,388 @@
+/**
+ * lib/sqlGuard.js — Read-only SQL safety gate
+ *
+ * Gemini writes the SQL, but it runs with whatever credentials the user
+ * configured — and those often carry write access. Before anything reaches
+ * BigQuery we tokenize the generated text and check that it is exactly one
+ * read-only SELECT/WITH statement that only touches tables in the configured
+ * `projectId.datasetId` (or, for multi-site profiles, one of several datasets).
+ *
+ * This is deliberately a small tokenizer rather than a full SQL parser: we
+ * don't need to understand the query, only to prove it can't change anything
+ * or read from somewhere it shouldn't.
+ */
+
+'use strict';
+
+// Words that only appear in DML, DDL, DCL or BigQuery scripting. If any of
+// these show up as a bare keyword the statement is not a plain read.
+// REPEAT isn't here: it's also a string function (REPEAT('-', n)). A REPEAT
+// loop is a statement of its own, and only SELECT or WITH may start one.
+const FORBIDDEN_KEYWORDS = new Set([
+  'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'TRUNCATE',
+  'CREATE', 'DROP', 'ALTER', 'UNDROP', 'RENAME',
+  'GRANT', 'REVOKE',
+  'DECLARE', 'SET', 'BEGIN', 'COMMIT', 'ROLLBACK', 'TRANSACTION',
+  'CALL', 'EXECUTE', 'IMMEDIATE', 'EXPORT', 'LOAD',
+  'ASSERT', 'RAISE', 'LOOP', 'WHILE', 'RETURN', 'LEAVE', 'CONTINUE', 'BREAK',
+]);
+
+// Keywords that end the FROM clause at the current nesting level
+const FROM_CLAUSE_END = new Set([
+  'WHERE', 'GROUP', 'HAVING', 'QUALIFY', 'WINDOW', 'ORDER', 'LIMIT',
+  'UNION', 'INTERSECT', 'EXCEPT', 'SELECT',
+]);
+
+// Words that can follow a table reference but are never an alias
+const NOT_AN_ALIAS = new Set([
+  ...FROM_CLAUSE_END,
+  'ON', 'USING', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS',
+  'FOR', 'TABLESAMPLE', 'WITH', 'PIVOT', 'UNPIVOT', 'AS',
+]);
+
+// ── Tokenizer ────────────────────────────────────────────────────────────────
+
+/**
+ * Splits BigQuery Standard SQL into tokens. Comments are dropped; strings and
+ * backtick identifiers are kept whole so their contents are never mistaken
+ * for keywords. Each token's `text` is its source text, so that with
+ * `keepSpace` (spacing and comments kept as tokens too) joining the texts
+ * gives back the SQL — lib/sqlDialect.js rewrites it that way.
+ *
+ * Token types: 'word' | 'ident' (backticked) | 'string' | 'number' | 'punct',
+ * and with `keepSpace` 'space' | 'comment'
+ */
+function tokenize(sql, { keepSpace = false } = {}) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const start = i;
+    const count = tokens.length;
+    i = readToken(sql, i, tokens);
+    if (tokens.length > count) tokens[count].text = sql.slice(start, i);
+    else if (keepSpace) tokens.push({ type: /\s/.test(sql[start]) ? 'space' : 'comment', text: sql.slice(start, i) });
+  }
+
+  return tokens;
+}
+
+// Reads the token at sql[i], pushes it (nothing for spacing or a comment)
+// and returns the index after it
+function readToken(sql, i, tokens) {
+  const ch = sql[i];
+  const next = sql[i + 1];
+
+  // Whitespace
+  if (/\s/.test(ch)) {
+    while (i < sql.length && /\s/.test(sql[i])) i++;
+    return i;
+  }
+
+  // Line comments: -- and #
+  if ((ch === '-' && next === '-') || ch === '#') {
+    while (i < sql.length && sql[i] !== '\n') i++;
+    return i;
+  }
+
+  // Block comments
+  if (ch === '/' && next === '*') {
+    const end = sql.indexOf('*/', i + 2);
+    if (end === -1) throw new Error('Unterminated block comment');
+    return end + 2;
+  }
+
+  // Backtick-quoted identifiers (may contain dots: `project.dataset.table`)
+  if (ch === '`') {
+    let j = i + 1;
+    let value = '';
+    while (j < sql.length && sql[j] !== '`') {
+      if (sql[j] === '\\') { value += sql[j + 1]; j += 2; continue; }
+      value += sql[j++];
+    }
+    if (j >= sql.length) throw new Error('Unterminated quoted identifier');
+    tokens.push({ type: 'ident', value });
+    return j + 1;
+  }
+
+  // Words (keywords and unquoted identifiers), including r'' / b'' string prefixes
+  if (/[A-Za-z_]/.test(ch)) {
+    let j = i;
+    while (j < sql.length && /[A-Za-z0-9_]/.test(sql[j])) j++;
+    const word = sql.slice(i, j);
+    if (/^(r|b|rb|br)$/i.test(word) && (sql[j] === "'" || sql[j] === '"')) {
+      return readString(sql, j, tokens, /r/i.test(word));
+    }
+    tokens.push({ type: 'word', value: word, upper: word.toUpperCase() });
+    return j;
+  }
+
+  // String literals
+  if (ch === "'" || ch === '"') return readString(sql, i, tokens, false);
+
+  // Numbers
+  if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next))) {
+    let j = i;
+    while (j < sql.length && /[0-9A-Za-z_.]/.test(sql[j])) {
+      // Exponent sign: 1e-5
+      if (/[eE]/.test(sql[j]) && /[+-]/.test(sql[j + 1])) j++;
+      j++;
+    }
+    tokens.push({ type: 'number', value: sql.slice(i, j) });
+    return j;
+  }
+
+  // System variables (@@...) are scripting-only
+  if (ch === '@' && next === '@') {
+    tokens.push({ type: 'punct', value: '@@' });
+    return i + 2;
+  }
+
+  tokens.push({ type: 'punct', value: ch });
+  return i + 1;
+}
+
+// Reads a quoted string starting at sql[start] (the quote) and pushes a token.
+// Handles triple-quoted strings and backslash escapes (unless raw).
+function readString(sql, start, tokens, raw) {
+  const quote = sql[start];
+  const triple = sql.slice(start, start + 3) === quote.repeat(3);
+  const terminator = triple ? quote.repeat(3) : quote;
+  let j = start + terminator.length;
+
+  while (j < sql.length) {
+    if (!raw && sql[j] === '\\') { j += 2; continue; }
+    if (sql.startsWith(terminator, j)) {
+      tokens.push({ type: 'string', value: sql.slice(start + terminator.length, j), raw });
+      return j + terminator.length;
+    }
+    j++;
+  }
+  throw new Error('Unterminated string literal');
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const isWord  = (t, upper) => t && t.type === 'word' && t.upper === upper;
+const isPunct = (t, value) => t && t.type === 'punct' && t.value === value;
+
+/**
+ * Gemini is told not to, but sometimes wraps its answer in a markdown fence.
+ * Strip that (and surrounding whitespace) so we validate the SQL itself.
+ */
+function stripSqlFences(text) {
+  const trimmed = String(text || '').trim();
+  const fenced = trimmed.match(/^```[a-zA-Z]*\s*\n?([\s\S]*?)\n?```$/);
+  return (fenced ? fenced[1] : trimmed).trim();
+}
+
+// Reads a dotted path (`a.b.c`, a.b.c, my-project.ds.t, `proj.ds`.t) starting
+// at tokens[start]. Returns { parts, end } where end is the index after the path.
+function readPath(tokens, start) {
+  let text = '';
+  let j = start;
+
+  while (j < tokens.length) {
+    const t = tokens[j];
+    if (t.type === 'ident' || t.type === 'word' || t.type === 'number') {
+      text += t.value;
+    } else if (isPunct(t, '.') || isPunct(t, '-') || isPunct(t, '*')) {
+      // '-' appears in unquoted project IDs, '*' in wildcard tables
+      text += t.value;
+    } else {
+      break;
+    }
+    j++;
+    // A path component must be followed by a joiner to continue
+    const after = tokens[j];
+    if (t.type !== 'punct' && !(isPunct(after, '.') || isPunct(after, '-') || isPunct(after, '*'))) break;
+  }
+
+  return { parts: text.split('.').filter(Boolean), end: j };
+}
+
+// ── Validation ───────────────────────────────────────────────────────────────
+
+/**
+ * Checks that `sql` is a single read-only query against the allowed datasets.
+ *
+ * `projectId` is the project the job runs in, which is what two-part
+ * `dataset.table` names resolve against. `datasets` lists every queryable
+ * dataset; without it only `projectId.datasetId` is allowed.
+ *
+ * @param {string} sql
+ * @param {{ projectId: string, datasetId?: string, datasets?: { projectId: string, datasetId: string }[] }} scope
+ * @returns {{ ok: true } | { ok: false, reason: string, message: string }}
+ */
+function validateReadOnlySql(sql, { projectId, datasetId, datasets }) {
+  const refuse = (reason, message) => ({ ok: false, reason, message });
+  const allowed = datasets?.length ? datasets : [{ projectId, datasetId }];
+  const isAllowed = (project, dataset) => allowed.some(d =>
+    String(d.projectId).toLowerCase() === String(project).toLowerCase() && isDatasetName(dataset, d.datasetId));
+  const isAllowedDatasetName = (name) => allowed.some(d => isDatasetName(name, d.datasetId));
+
+  let tokens;
+  try {
+    tokens = tokenize(sql);
+  } catch (e) {
+    return refuse('unparseable', `The generated SQL could not be parsed: ${e.message}.`);
+  }
+
+  if (tokens.length === 0) return refuse('empty', 'The generated SQL was empty.');
+
+  // ── Single statement only (one optional trailing semicolon) ───────────────
+  const semi = tokens.findIndex(t => isPunct(t, ';'));
+  if (semi !== -1) {
+    if (semi < tokens.length - 1) {
+      return refuse('multiple_statements', 'Only a single SQL statement is allowed, but the generated SQL contains several.');
+    }
+    tokens = tokens.slice(0, semi);
+  }
+
+  // ── Must start with SELECT or WITH (optionally inside parentheses) ────────
+  const first = tokens.find(t => !isPunct(t, '('));
+  if (!first || !(isWord(first, 'SELECT') || isWord(first, 'WITH'))) {
+    const label = first ? first.value : 'nothing';
+    return refuse('not_select', `Only SELECT queries are allowed, but the generated SQL starts with "${label}".`);
+  }
+
+  // ── No DML/DDL/scripting keywords anywhere ────────────────────────────────
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (isPunct(t, '@@')) {
+      return refuse('scripting', 'System variables (@@…) are scripting features and are not allowed.');
+    }
+    if (t.type !== 'word' || !FORBIDDEN_KEYWORDS.has(t.upper)) continue;
+    // Field access like calls.load or load.value is a column, not a keyword
+    if (isPunct(tokens[i - 1], '.') || isPunct(tokens[i + 1], '.')) continue;
+    return refuse('forbidden_keyword', `The generated SQL contains "${t.upper}", which is not allowed in a read-only query.`);
+  }
+
+  // ── Every table reference must be inside the configured dataset ───────────
+  // A bare name may be a CTE. A dotted name may be a path into a FROM-clause
+  // alias (FROM calls c, c.legs) — but only once that alias is in scope:
+  // anywhere else BigQuery reads `other.secret` as dataset `other`, so it
+  // has to pass the dataset check like any other table.
+  const cteNames = new Set();
+  tokens.forEach((t, i) => {
+    // `name AS (` introduces a CTE (or a named window, which is harmless)
+    if ((t.type === 'word' || t.type === 'ident') && isWord(tokens[i + 1], 'AS') && isPunct(tokens[i + 2], '(')) {
+      cteNames.add(t.value.toLowerCase());
+    }
+  });
+
+  const fromActive = [false];     // per paren depth: are we inside a FROM clause?
+  const openers = [null];         // per paren depth: the word before '(' (e.g. EXTRACT)
+  const aliases = [new Set()];    // per paren depth: aliases defined so far in this query block
+  const aliasInScope = (name) => aliases.some(set => set.has(name));
+
+  // FROM (a JOIN b): the parentheses at [start, end] hold a join, not a
+  // subquery, so they are FROM clauses and the path after them is a table
+  let joinParens = null;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    let depth = fromActive.length - 1;
+
+    if (isPunct(t, '(')) {
+      const prev = tokens[i - 1];
+      openers.push(prev && prev.type === 'word' ? prev.upper : null);
+      const inJoin = joinParens && i >= joinParens.start && i <= joinParens.end;
+      fromActive.push(!!inJoin);
+      aliases.push(new Set());
+      if (!inJoin || i !== joinParens.end) continue;
+      depth++;
+    }
+    if (isPunct(t, ')')) {
+      if (fromActive.length > 1) { fromActive.pop(); openers.pop(); aliases.pop(); }
+      continue;
+    }
+
+    if (t.type === 'word' && FROM_CLAUSE_END.has(t.upper)) {
+      fromActive[depth] = false;
+      // A new query block (after UNION, or a CTE's main query) sees none of the previous one's aliases
+      if (t.upper === 'SELECT') aliases[depth].clear();
+      continue;
+    }
+
+    const startsTable =
+      isPunct(t, '(') || // the last of joinParens, from above
+      (isWord(t, 'FROM') && openers[depth] !== 'EXTRACT') ||
+      isWord(t, 'JOIN') ||
+      (isPunct(t, ',') && fromActive[depth]);
+
+    if (!startsTable) continue;
+    if (isWord(t, 'FROM')) fromActive[depth] = true;
+
+    const next = tokens[i + 1];
+    if (!next || isWord(next, 'UNNEST')) continue; // array
+    if (isPunct(next, '(')) {
+      // A subquery is checked where its own FROM starts; a parenthesized join's first table isn't after a FROM
+      let k = i + 1;
+      while (isPunct(tokens[k], '(')) k++;
+      if (!isWord(tokens[k], 'SELECT') && !isWord(tokens[k], 'WITH')) joinParens = { start: i + 1, end: k - 1 };
+      continue;
+    }
+
+    const { parts, end } = readPath(tokens, i + 1);
+    if (parts.length === 0) continue;
+    const refused = checkTableRef(parts);
+    if (refused) return refused;
+
+    // Remember the alias so later correlated references (FROM calls c, c.legs) pass.
+    // Without one, the table's own (last) name is its alias.
+    let k = end;
+    if (isWord(tokens[k], 'AS')) k++;
+    const alias = tokens[k];
+    if (alias && (alias.type === 'ident' || (alias.type === 'word' && !NOT_AN_ALIAS.has(alias.upper)))) {
+      aliases[depth].add(alias.value.toLowerCase());
+    } else {
+      aliases[depth].add(parts[parts.length - 1].toLowerCase());
+    }
+    i = end - 1;
+  }
+
+  return { ok: true };
+
+  function checkTableRef(parts) {
+    const head = parts[0].toLowerCase();
+    const fullName = parts.join('.');
+
+    if (parts.length === 1 && cteNames.has(head)) return null;
+    if (parts.length > 1 && aliasInScope(head) && !isAllowedDatasetName(parts[0])) return null;
+
+    const names = allowed.map(d => `\`${d.projectId}.${d.datasetId}\``).join(', ');
+    const outside = refuse('outside_dataset', allowed.length > 1
+      ? `The generated SQL reads from \`${fullName}\`, which is not one of the configured datasets (${names}).`
+      : `The generated SQL reads from \`${fullName}\`, which is outside the configured dataset ${names}.`);
+
+    if (parts.length === 2) {
+      // dataset.table resolves against the project the job runs in
+      return isAllowed(projectId, parts[0]) ? null : outside;
+    }
+    if (parts.length === 3) return isAllowed(parts[0], parts[1]) ? null : outside;
+    // Bare unknown names, INFORMATION_SCHEMA views, region qualifiers, etc.
+    return outside;
+  }
+}
+
+/**
+ * Lists the named query parameters (@start_date, @extension, …) used in `sql`,
+ * in order of first appearance. Text inside strings and comments is ignored.
+ */
+function findQueryParameters(sql) {
+  const names = [];
+  const tokens = tokenize(sql);
+  tokens.forEach((t, i) => {
+    const next = tokens[i + 1];
+    if (isPunct(t, '@') && next && next.type === 'word' && !names.includes(next.value)) names.push(next.value);
+  });
+  return names;
+}
+
+// BigQuery dataset names are case-sensitive
+function isDatasetName(name, datasetId) {
+  return name === datasetId;
+}
+
+module.exports = { validateReadOnlySql, stripSqlFences, findQueryParameters, tokenize };
@@ -0,0 +1,184 @@
+/**
+ * lib/sqlWindow.js — Does the SQL count the period shown under the answer?
+ *
+ * The window under an answer ("Yesterday: Sat 17 Oct 2026 (Europe/London)")
+ * is resolved from the question's words before any SQL exists
+ * (lib/siteCalendar.js). The model is told about it, but may still filter
+ * other days — or the question's words were misread — so main.js shows the
+ * window only when the query's own date filters land on its boundaries.
+ *
+ * Every comparison in the SQL (a >= b, a < b, a = b, a BETWEEN b AND c) is
+ * read, and both sides are evaluated in an empty SQLite database through the
+ * local engine's translation (lib/sqlDialect.js): CURRENT_DATE('Europe/London'),
+ * TIMESTAMP(DATE_SUB(…), 'Europe/London') and TIMESTAMP '…' literals come out
+ * as values; a side that names a column doesn't evaluate at all, which is how
+ * the filtered side and the boundary are told apart.
+ */
+
+'use strict';
+
+const initSqlJs = require('sql.js');
+const { toSqlite, tokenize, registerSqliteFunctions, SQLITE_FUNCTIONS } = require('./sqlDialect');
+
+let database = null; // sql.js, loaded on first use; it holds no tables
+
+// ── Reading comparisons ──────────────────────────────────────────────────────
+
+// Words that end an operand: the clause or condition around the comparison
+const STOP_WORDS = new Set(['AND', 'OR', 'NOT', 'WHERE', 'ON', 'HAVING', 'QUALIFY', 'SELECT', 'FROM', 'GROUP',
+  'ORDER', 'LIMIT', 'WINDOW', 'UNION', 'EXCEPT', 'INTERSECT', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'BETWEEN', 'IS', 'IN']);
+const OPERATOR_CHARS = '<>=!';
+
+const isStop = (token) => (token.type === 'word' && STOP_WORDS.has(token.text.toUpperCase()))
+  || (token.type === 'punct' && (',;'.includes(token.text) || OPERATOR_CHARS.includes(token.text)));
+
+// [start, end) of the operand that ends just before `at`
+function operandBefore(tokens, at) {
+  let depth = 0;
+  let i = at - 1;
+  for (; i >= 0; i--) {
+    const t = tokens[i];
+    if (t.text === ')') depth++;
+    else if (t.text === '(' && depth-- === 0) break;
+    else if (depth === 0 && isStop(t)) break;
+  }
+  return [i + 1, at];
+}
+
+// [start, end) of the operand that starts at `from`
+function operandAfter(tokens, from) {
+  let depth = 0;
+  let i = from;
+  for (; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (t.text === '(') depth++;
+    else if (t.text === ')' && depth-- === 0) break;
+    else if (depth === 0 && isStop(t)) break;
+  }
+  return [from, i];
+}
+
+const textOf = (tokens, [start, end]) => tokens.slice(start, end).map(t => t.text).join('').trim();
+
+/** a >= b, a < b, a = b and a BETWEEN b AND c → [{ left, op, right }] (BigQuery text) */
+function comparisons(sql) {
+  const tokens = tokenize(String(sql || ''));
+  const found = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (t.type === 'punct' && OPERATOR_CHARS.includes(t.text)) {
+      let end = i + 1;
+      while (end < tokens.length && OPERATOR_CHARS.includes(tokens[end].text)) end++;
+      const op = tokens.slice(i, end).map(x => x.text).join('');
+      if (['>=', '>', '<=', '<', '='].includes(op)) {
+        found.push({ left: textOf(tokens, operandBefore(tokens, i)), op, right: textOf(tokens, operandAfter(tokens, end)) });
+      }
+      i = end - 1;
+    } else if (t.type === 'word' && t.text.toUpperCase() === 'BETWEEN') {
+      const low = operandAfter(tokens, i + 1);
+      if (tokens[low[1]]?.text.toUpperCase() !== 'AND') continue;
+      const high = operandAfter(tokens, low[1] + 1);
+      const left = textOf(tokens, operandBefore(tokens, i));
+      // NOT BETWEEN leaves no operand before it: NOT is a stop word
+      if (left) found.push({ left, op: '>=', right: textOf(tokens, low) }, { left, op: '<=', right: textOf(tokens, high) });
+      i = high[1] - 1;
+    }
+  }
+  return found;
+}
+
+// ── Evaluating boundaries ────────────────────────────────────────────────────
+
+async function emptyDatabase() {
+  if (!database) database = initSqlJs().then(SQL => registerSqliteFunctions(new SQL.Database()));
+  return database;
+}
+
+// The value of a constant expression at `now`; undefined if it names a column or doesn't translate
+function evaluate(db, expression, now) {
+  if (!expression) return undefined;
+  try {
+    const [result] = db.exec(toSqlite(`SELECT ${expression}`, { resolveTable: () => null, now }));
+    const value = result?.values[0]?.[0];
+    return value == null ? undefined : value;
+  } catch {
+    return undefined;
+  }
+}
+
+const DATE_TEXT = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_TEXT = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?Z?$/;
+// A zone named on the filtered side: DATE(start_time, 'Europe/London')
+const ZONE_LITERAL = /'([A-Za-z]+(?:\/[\w+-]+)+|UTC|[+-]\d{1,2}(?::?\d{2})?)'/;
+const FLIPPED = { '>=': '<=', '>': '<', '<=': '>=', '<': '>', '=': '=' };
+
+function nextDay(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+}
+
+// Wall-clock text in a zone → epoch milliseconds
+function instant(text, zone) {
+  const utc = SQLITE_FUNCTIONS.tz_utc(text, zone);
+  return utc == null ? NaN : Date.parse(`${utc.replace(' ', 'T')}Z`);
+}
+
+/**
+ * The instants the SQL's date filters start and stop at, were it run at `now`:
+ * { from: [ms], to: [ms] } — `to` end exclusive. A date compared with a
+ * column counts in the zone named on the column's side (UTC if none).
+ */
+async function dateBounds(sql, now) {
+  const db = await emptyDatabase();
+  const from = [];
+  const to = [];
+  for (const { left, op, right } of comparisons(sql)) {
+    const leftValue = evaluate(db, left, now);
+    const rightValue = evaluate(db, right, now);
+    // Exactly one side must be a constant; that's the boundary
+    if ((leftValue === undefined) === (rightValue === undefined)) continue;
+    const [column, value, cmp] = rightValue !== undefined ? [left, String(rightValue), op] : [right, String(leftValue), FLIPPED[op]];
+    const isDate = DATE_TEXT.test(value);
+    if (!isDate && !TIME_TEXT.test(value)) continue; // hours of day, counts, names…
+    if (cmp === '=' && !isDate) continue;
+    const zone = column.match(ZONE_LITERAL)?.[1] || 'UTC';
+    const at = (text) => instant(text, zone);
+    if (cmp === '>=' || cmp === '=') from.push(at(value));
+    if (cmp === '>') from.push(at(isDate ? nextDay(value) : value));
+    if (cmp === '<') to.push(at(value));
+    if (cmp === '<=' || cmp === '=') to.push(at(isDate ? nextDay(value) : value));
+  }
+  return { from: from.filter(Number.isFinite), to: to.filter(Number.isFinite) };
+}
+
+// ── Matching ─────────────────────────────────────────────────────────────────
+
+const HOUR_FILTER = /\bEXTRACT\s*\(\s*(?:HOUR|DAYOFWEEK)\b|\bTIME\s*\(/i;
+
+/**
+ * Whether the SQL filters the window from lib/siteCalendar.js's
+ * resolveTimeWindow: a query with no date filters for "all dates", one that
+ * starts and ends on the window's boundaries otherwise. A query with no end
+ * filter counts when the window runs to now. "After hours" and "business
+ * hours" need some filter on the time of day or weekday as well.
+ * CURRENT_DATE() and the like in the SQL are read at `now`.
+ *
+ * @param {string} sql
+ * @param {object} window
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<boolean>}
+ */
+async function sqlCoversWindow(sql, window, { now = new Date() } = {}) {
+  const { from, to } = await dateBounds(sql, now);
+  if (window.hours && !HOUR_FILTER.test(sql)) return false;
+  if (!window.start) return !from.length && !to.length;
+
+  // "Past 6 hours" was resolved a little before the SQL's CURRENT_TIMESTAMP()
+  const slack = window.wholeDays ? 1000 : 10 * 60000;
+  const near = (list, iso) => list.some(ms => Math.abs(ms - Date.parse(iso)) <= slack);
+  if (!near(from, window.start)) return false;
+  return near(to, window.end) || (!to.length && Date.parse(window.end) >= now.getTime() - slack);
+}
+
+module.exports = { sqlCoversWindow, comparisons };
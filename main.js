@@ -7,24 +7,75 @@
  * security reasons — instead it sends IPC messages here and we do the work.
  */
 
-const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, safeStorage, Tray, Menu, Notification, nativeImage } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const { BigQuery } = require('@google-cloud/bigquery');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { google } = require('googleapis');
 const Store = require('electron-store');
+const { validateReadOnlySql, stripSqlFences, findQueryParameters } = require('./lib/sqlGuard');
+const { exportRows, FORMATS: EXPORT_FORMATS } = require('./lib/exporters');
+const { parseCron, cronMatches } = require('./lib/cron');
+const { createSecretStore } = require('./lib/secrets');
+const { createProfileStore, datasetsOf, parseDatasetList, formatDatasetList } = require('./lib/profiles');
+const { emptyGlossary, normalizeGlossary, seedFromMetadata, describeColumn, describeTable, buildGlossaryText } = require('./lib/glossary');
+const { createSchemaCache, refreshDataset } = require('./lib/schemaCache');
+const { pruneSchema } = require('./lib/schemaPrune');
+const { signInWithLoopback, emailFromIdToken } = require('./lib/oauthLoopback');
+const { DEFAULT_SQL_TEMPLATE, DEFAULT_SQL_TEMPLATE_VERSION, validateTemplate, templateWarnings, renderTemplate } = require('./lib/promptTemplate');
+const { createProvider, PROVIDERS, DEFAULT_VERTEX_LOCATION, VERTEX_LOCATION } = require('./lib/llmProviders');
+const { createLocalBigQuery, SAMPLE_DATA_DIR } = require('./lib/localBigQuery');
+const { createQueryRunner } = require('./lib/queryRunner');
+const { calendarOf, systemTimeZone, parseCalendarSettings, formatHolidayList, resolveTimeWindow, buildCalendarText, zonedParts } = require('./lib/siteCalendar');
+const { sqlCoversWindow } = require('./lib/sqlWindow');
 
 // electron-store persists config between sessions in the OS userData directory
 // (e.g. %APPDATA%/3cx-bigquery-agent on Windows, ~/Library/Application Support/... on Mac)
 const store = new Store({
-  encryptionKey: 'engage-3cx-agent-v1', // basic obfuscation for stored credentials
+  // Kept so existing config files still open. This is obfuscation only — the
+  // key is in the source — which is why credentials don't rely on it (below).
+  encryptionKey: 'engage-3cx-agent-v1',
 });
 
+// Credentials (service account JSON, OAuth tokens and client secret, Gemini
+// key) are encrypted with the OS keychain via safeStorage — see lib/secrets.js
+const secrets = createSecretStore(store, safeStorage);
+
+// Named connection profiles (one per site / project / dataset) — see lib/profiles.js
+const profiles = createProfileStore(store, secrets);
+
+// Query history lives in its own file (history.json next to config.json) so
+// it can grow and be cleared without touching credentials or settings.
+const historyStore = new Store({ name: 'history', defaults: { entries: [] } });
+
+// Table schemas, per profile, so a launch doesn't re-read every table's
+// metadata (schema-cache.json) — see lib/schemaCache.js
+const schemaCache = createSchemaCache(new Store({ name: 'schema-cache', defaults: { profiles: {} } }));
+// Schemas are re-checked against BigQuery's last-modified times at most this
+// often when asking questions; Test Connection always re-checks
+const SCHEMA_RECHECK_MS = 60 * 60 * 1000;
+const MAX_HISTORY_ENTRIES = 500;
+
 let mainWindow;
-let bigqueryClient = null;
-let geminiClient = null;
-let tableSchemaCache = {}; // cache discovered BigQuery table schemas
+let tray = null;
+let isQuitting = false; // set on a real quit so the window close isn't turned into "hide to tray"
+// Keyed by profile id, so switching profiles keeps each one's client
+const bigqueryClients = {};
+const vertexAuths = {};
+
+// The current conversation: recent question → SQL → result-summary turns that
+// are replayed into the prompt so follow-ups ("now by extension") make sense.
+// Lives only in memory; "New conversation" in the chat panel clears it.
+const MAX_CONVERSATION_TURNS = 6;
+let conversation = [];
+let nextTurnId = 1;
+
+// When BigQuery rejects the generated SQL (unknown column, wrong function
+// signature…) we hand the error back to the model and try again this many times.
+const MAX_SQL_REPAIRS = 2;
+
+// The plain-English answer pass sees at most this many result rows
+const SUMMARY_SAMPLE_ROWS = 50;
 
 // ── Window creation ──────────────────────────────────────────────────────────
 
@@ -46,42 +97,240 @@ function createWindow() {
   });
 
   mainWindow.loadFile(path.join(__dirname, 'src', 'index.html'));
+
+  // With scheduled reports enabled, closing the window hides it to the tray so
+  // the schedules keep running. Quit from the tray menu to really exit.
+  mainWindow.on('close', (e) => {
+    if (!isQuitting && hasEnabledSchedules()) {
+      e.preventDefault();
+      mainWindow.hide();
+    }
+  });
+}
+
+// 16×16 amber square — small enough to inline, so the tray works without
+// shipping an image file
+const TRAY_ICON = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAABAAAAAQCAYAAAAf8/9hAAAAHElEQVR42mNgGDTg6zzu/6TgUQNGDRiuBgwYAAC0PHhgtr29IQAAAABJRU5ErkJggg==';
+
+// The tray is only there while scheduled reports are enabled: it's how the
+// hidden window comes back, and how the app is quit while it runs them
+function updateTray() {
+  if (hasEnabledSchedules() && !tray) createTray();
+  if (!hasEnabledSchedules() && tray) {
+    tray.destroy();
+    tray = null;
+  }
+}
+
+function createTray() {
+  tray = new Tray(nativeImage.createFromDataURL(TRAY_ICON));
+  tray.setToolTip('3CX Query Agent');
+  tray.setContextMenu(Menu.buildFromTemplate([
+    { label: 'Open 3CX Query Agent', click: showMainWindow },
+    { type: 'separator' },
+    { label: 'Quit', click: () => { isQuitting = true; app.quit(); } },
+  ]));
+  tray.on('click', showMainWindow);
+}
+
+function showMainWindow() {
+  if (!mainWindow || mainWindow.isDestroyed()) createWindow();
+  mainWindow.show();
+  mainWindow.focus();
 }
 
 app.whenReady().then(() => {
+  // safeStorage only works once the app is ready: move any plain-value
+  // credentials from older versions into encrypted storage first
+  secrets.migrateLegacy();
+  profiles.migrateLegacy();
+  // The model setting was Gemini-only before providers became pluggable
+  if (store.has('geminiModel')) {
+    store.set('llmModel', store.get('geminiModel'));
+    store.delete('geminiModel');
+  }
   createWindow();
-  app.on('activate', () => {
-    if (BrowserWindow.getAllWindows().length === 0) createWindow();
-  });
+  updateTray();
+  startScheduler();
+  app.on('activate', showMainWindow);
 });
 
+app.on('before-quit', () => { isQuitting = true; });
+
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit();
 });
 
 // ── IPC: Config management ───────────────────────────────────────────────────
 
-// Load whatever config is currently saved so the renderer can pre-fill the UI
+// Load whatever config is currently saved so the renderer can pre-fill the UI.
+// Connection fields are the active profile's; the rest is app-wide.
 ipcMain.handle('config:load', () => {
+  const profile = activeProfile();
+  const calendar = calendarOf(profile);
   return {
-    projectId:   store.get('projectId', ''),
-    datasetId:   store.get('datasetId', ''),
-    geminiKey:   store.get('geminiKey', ''),
-    authMethod:  store.get('authMethod', 'serviceAccount'), // 'serviceAccount' | 'apiKey' | 'browser'
-    hasJsonKey:  !!store.get('serviceAccountJson'),
+    profileId:   profile.id,
+    profileName: profile.name,
+    projectId:   profile.projectId,
+    datasetId:   profile.datasetId,
+    extraDatasets: formatDatasetList(profile.datasets),
+    // Secrets never go back to the renderer — only whether one is saved
+    hasGeminiKey: secrets.has('geminiKey'),
+    authMethod:  profile.authMethod, // 'serviceAccount' | 'apiKey' | 'browser' | 'local'
+    localDataDir: profile.localDataDir || '',
+    timeZone:     profile.timeZone || '', // blank: this computer's zone
+    systemTimeZone: systemTimeZone(),
+    businessDays:  calendar.businessHours.days,
+    businessStart: calendar.businessHours.start,
+    businessEnd:   calendar.businessHours.end,
+    holidays:      formatHolidayList(calendar.holidays),
+    hasJsonKey:  secrets.has('serviceAccountJson', profile.id),
+    oauthClientId:        profile.oauthClientId,
+    hasOauthClientSecret: secrets.has('oauthClientSecret', profile.id),
+    oauthSignedIn:        secrets.has('oauthTokens', profile.id),
+    oauthEmail:           profile.oauthEmail,
+    secureStorage:        secrets.isAvailable(),
+    maxBytesBilledGb: store.get('maxBytesBilledGb', 10),
+    confirmAboveGb:   store.get('confirmAboveGb', 1),
+    summarizeResults: store.get('summarizeResults', true),
+    llmProvider:      store.get('llmProvider', 'gemini'),
+    llmModel:         store.get('llmModel', ''),
+    llmBaseUrl:       store.get('llmBaseUrl', ''),
+    hasLlmApiKey:     secrets.has('llmApiKey'),
+    vertexProject:    store.get('vertexProject', ''),
+    vertexLocation:   store.get('vertexLocation', ''),
+    providers: Object.fromEntries(Object.entries(PROVIDERS).map(([id, p]) =>
+      [id, { label: p.label, defaultModel: p.defaultModel, defaultBaseUrl: p.defaultBaseUrl || '' }])),
+    defaultVertexLocation: DEFAULT_VERTEX_LOCATION,
+    temperature:      store.get('temperature', null),
+    maxOutputTokens:  store.get('maxOutputTokens', null),
+    promptTemplate:   sqlPromptTemplate().text,
+    promptTemplateVersion: sqlPromptTemplate().version,
+    defaultPromptTemplate: DEFAULT_SQL_TEMPLATE,
   };
 });
 
 // Save config from the renderer's settings form
 ipcMain.handle('config:save', (event, config) => {
-  if (config.projectId)  store.set('projectId',  config.projectId.trim());
-  if (config.datasetId)  store.set('datasetId',   config.datasetId.trim());
-  if (config.geminiKey)  store.set('geminiKey',   config.geminiKey.trim());
-  if (config.authMethod) store.set('authMethod',  config.authMethod);
+  const profile = activeProfile();
+  const fields = {};
+  if (config.profileName)   fields.name          = config.profileName.trim();
+  if (config.projectId)     fields.projectId     = config.projectId.trim();
+  if (config.datasetId)     fields.datasetId     = config.datasetId.trim();
+  if (config.authMethod)    fields.authMethod    = config.authMethod;
+  if (config.oauthClientId) fields.oauthClientId = config.oauthClientId.trim();
+  // Extra sites: an empty textarea is a valid value ("just the main dataset")
+  if (config.extraDatasets !== undefined) {
+    try {
+      fields.datasets = parseDatasetList(config.extraDatasets);
+    } catch (e) {
+      return { ok: false, error: e.message };
+    }
+  }
+  // Time zone, business hours and holidays arrive together from the Site Hours section
+  if (config.businessStart !== undefined) {
+    try {
+      Object.assign(fields, parseCalendarSettings(config));
+    } catch (e) {
+      return { ok: false, error: e.message };
+    }
+  }
+  // Sample data needs no Google project, but table names still go project.dataset.table
+  if (fields.authMethod === 'local') {
+    fields.projectId = fields.projectId || profile.projectId || 'local';
+    fields.datasetId = fields.datasetId || profile.datasetId || 'sample';
+  }
+  if (fields.name && profiles.list().some(p => p.id !== profile.id && p.name.toLowerCase() === fields.name.toLowerCase())) {
+    return { ok: false, error: `There is already a profile called "${fields.name}".` };
+  }
+  let generation;
+  try {
+    generation = parseGenerationSettings(config);
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+  // Blank secret fields mean "keep the saved one" — the renderer never has it to resend.
+  // Secrets go first: without a keychain they fail, and then nothing is saved.
+  try {
+    if (config.geminiKey)         secrets.set('geminiKey',         config.geminiKey.trim());
+    if (config.llmApiKey)         secrets.set('llmApiKey',         config.llmApiKey.trim());
+    if (config.oauthClientSecret) secrets.set('oauthClientSecret', config.oauthClientSecret.trim(), profile.id);
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+  profiles.update(profile.id, fields);
+  // Cost limits: 0 is a valid value ("no limit"), so check for presence, not truthiness
+  if (config.maxBytesBilledGb !== undefined) store.set('maxBytesBilledGb', Math.max(0, Number(config.maxBytesBilledGb) || 0));
+  if (config.confirmAboveGb   !== undefined) store.set('confirmAboveGb',   Math.max(0, Number(config.confirmAboveGb)   || 0));
+  if (config.summarizeResults !== undefined) store.set('summarizeResults', !!config.summarizeResults);
+  saveGenerationSettings(generation);
   // Reset clients so they're re-initialized with new credentials on next query
-  bigqueryClient = null;
-  geminiClient   = null;
-  tableSchemaCache = {};
+  resetProfileClients(profile.id);
+  conversation = [];
+  // A custom template is saved even without {{conversation}} etc., but the form says what that turns off
+  return { ok: true, warnings: generation.promptTemplate ? templateWarnings(generation.promptTemplate) : [] };
+});
+
+// ── IPC: Connection profiles ─────────────────────────────────────────────────
+
+function activeProfile() {
+  const profile = profiles.active();
+  if (!profile) throw new Error('No connection profile configured. Go to Settings.');
+  return profile;
+}
+
+// Credentials or datasets changed. Cached schemas stay: the next check
+// refreshes whatever changed and drops datasets that are no longer listed.
+function resetProfileClients(profileId) {
+  delete bigqueryClients[profileId];
+  delete vertexAuths[profileId];
+}
+
+// What the sidebar switcher needs — no auth details
+function profileSummary(profile) {
+  return { id: profile.id, name: profile.name, projectId: profile.projectId, datasetId: profile.datasetId };
+}
+
+ipcMain.handle('profiles:list', () => ({
+  activeId: activeProfile().id,
+  profiles: profiles.list().map(profileSummary),
+}));
+
+// Creates an empty profile and switches to it so Settings can fill it in
+ipcMain.handle('profiles:create', (event, name) => {
+  const profile = profiles.create({ name });
+  profiles.setActive(profile.id);
+  conversation = []; // earlier questions were about another site's data
+  return { ok: true, profile: profileSummary(profile) };
+});
+
+ipcMain.handle('profiles:switch', (event, id) => {
+  try {
+    profiles.setActive(id);
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+  conversation = [];
+  return { ok: true };
+});
+
+// Deletes the profile, its credentials, and the saved reports (and their
+// schedules) that ran against it
+ipcMain.handle('profiles:delete', (event, id) => {
+  try {
+    profiles.remove(id);
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+  resetProfileClients(id);
+  schemaCache.delete(id);
+  store.delete(`glossaries.${id}`);
+  const reports = store.get('savedReports', []);
+  const removedReports = new Set(reports.filter(r => r.profileId === id).map(r => r.id));
+  store.set('savedReports', reports.filter(r => !removedReports.has(r.id)));
+  store.set('schedules', store.get('schedules', []).filter(s => !removedReports.has(s.reportId)));
+  updateTray();
+  conversation = [];
   return { ok: true };
 });
 
@@ -97,137 +346,485 @@ ipcMain.handle('auth:pickJsonFile', async () => {
 
   if (result.canceled || !result.filePaths.length) return { ok: false };
 
+  let raw, parsed;
   try {
-    const raw = fs.readFileSync(result.filePaths[0], 'utf8');
-    const parsed = JSON.parse(raw);
+    raw = fs.readFileSync(result.filePaths[0], 'utf8');
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    return { ok: false, error: `Could not read file: ${e.message}` };
+  }
 
-    // Basic validation — Google service account files always have these fields
-    if (!parsed.type || parsed.type !== 'service_account') {
-      return { ok: false, error: 'Not a valid service account JSON file. Make sure you downloaded the right key.' };
-    }
+  // Basic validation — Google service account files always have these fields
+  if (!parsed || parsed.type !== 'service_account') {
+    return { ok: false, error: 'Not a valid service account JSON file. Make sure you downloaded the right key.' };
+  }
 
-    store.set('serviceAccountJson', raw);
-    store.set('authMethod', 'serviceAccount');
-    bigqueryClient = null; // force re-init
-    return { ok: true, email: parsed.client_email };
+  // The file was fine; a failure here is the keychain (or the profile), and says so
+  try {
+    const profile = activeProfile();
+    secrets.set('serviceAccountJson', raw, profile.id);
+    profiles.update(profile.id, { authMethod: 'serviceAccount' });
+    resetProfileClients(profile.id); // force re-init
   } catch (e) {
-    return { ok: false, error: `Could not read file: ${e.message}` };
+    return { ok: false, error: `Could not save the key: ${e.message}` };
   }
+  return { ok: true, email: parsed.client_email };
 });
 
+// ── IPC: Local sample data ───────────────────────────────────────────────────
+
+// A folder of 3CX CDR CSV exports to query offline instead of BigQuery
+ipcMain.handle('auth:pickDataFolder', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Select a folder of 3CX CSV exports',
+    properties: ['openDirectory'],
+  });
+  if (result.canceled || !result.filePaths.length) return { ok: false };
+
+  const dir = result.filePaths[0];
+  if (!fs.readdirSync(dir).some(name => name.toLowerCase().endsWith('.csv'))) {
+    return { ok: false, error: 'That folder has no .csv files in it.' };
+  }
+  const profile = activeProfile();
+  profiles.update(profile.id, { localDataDir: dir });
+  resetProfileClients(profile.id);
+  return { ok: true, dir };
+});
+
+// Back to the sample that ships with the app
+ipcMain.handle('auth:useBundledSample', () => {
+  const profile = activeProfile();
+  profiles.update(profile.id, { localDataDir: '' });
+  resetProfileClients(profile.id);
+  return { ok: true };
+});
+
+// Where each of a sample-data profile's datasets is read from: a subfolder
+// named after the dataset if there is one, else (main dataset only) the
+// folder itself. Several sites = one subfolder per site.
+function localDatasets(profile) {
+  const root = profile.localDataDir || SAMPLE_DATA_DIR;
+  return datasetsOf(profile).map((d, i) => {
+    const sub = path.join(root, d.datasetId);
+    if (fs.existsSync(sub) && fs.statSync(sub).isDirectory()) return { datasetId: d.datasetId, dir: sub };
+    if (i === 0) return { datasetId: d.datasetId, dir: root };
+    throw new Error(`No folder for site "${d.site}": expected ${sub}`);
+  });
+}
+
 // ── IPC: Browser OAuth flow ──────────────────────────────────────────────────
 
-// Triggers Google's OAuth2 device/browser flow for users who don't have a key file.
-// This is the "Sign in with Google" path.
-ipcMain.handle('auth:browserLogin', async () => {
-  const clientId     = store.get('oauthClientId', '');
-  const clientSecret = store.get('oauthClientSecret', '');
+const OAUTH_SCOPES = [
+  'openid',
+  'email', // Only so settings can show which account is signed in
+  'https://www.googleapis.com/auth/bigquery.readonly',
+  'https://www.googleapis.com/auth/cloud-platform.read-only',
+];
 
-  if (!clientId || !clientSecret) {
+// Endpoint overrides let the flow run against a local mock token server,
+// e.g. OAUTH_TOKEN_URL=http://127.0.0.1:9000/token npm start
+function oauthEndpoints() {
+  const endpoints = {};
+  if (process.env.OAUTH_AUTH_URL)   endpoints.oauth2AuthBaseUrl = process.env.OAUTH_AUTH_URL;
+  if (process.env.OAUTH_TOKEN_URL)  endpoints.oauth2TokenUrl    = process.env.OAUTH_TOKEN_URL;
+  if (process.env.OAUTH_REVOKE_URL) endpoints.oauth2RevokeUrl   = process.env.OAUTH_REVOKE_URL;
+  return endpoints;
+}
+
+function createOAuthClient(profile) {
+  return new google.auth.OAuth2({
+    clientId:     profile.oauthClientId,
+    clientSecret: secrets.get('oauthClientSecret', profile.id), // Desktop clients still send it, though PKCE is what protects the code
+    endpoints:    oauthEndpoints(),
+  });
+}
+
+let pendingSignIn = null; // AbortController for the sign-in waiting on the browser
+
+// "Sign in with Google": opens the consent page in the user's browser and
+// waits on a temporary 127.0.0.1 listener for the redirect (lib/oauthLoopback.js)
+// The tokens go to the profile that was active when sign-in started.
+ipcMain.handle('auth:browserLogin', async () => {
+  const profile = activeProfile();
+  if (!profile.oauthClientId) {
     return {
       ok: false,
-      error: 'OAuth client credentials not configured. Add your OAuth2 Client ID and Secret in settings, or use a service account JSON instead.',
+      error: 'OAuth client not configured. Add your OAuth2 Client ID in settings, or use a service account JSON instead.',
     };
   }
 
-  const oauth2Client = new google.auth.OAuth2(
-    clientId,
-    clientSecret,
-    'urn:ietf:wg:oauth:2.0:oob' // "out of band" — shows the auth code in the browser for manual paste
-  );
+  pendingSignIn?.abort(); // Clicking again starts over
+  const controller = new AbortController();
+  pendingSignIn = controller;
 
-  const authUrl = oauth2Client.generateAuthUrl({
-    access_type: 'offline',
-    scope: [
-      'https://www.googleapis.com/auth/bigquery.readonly',
-      'https://www.googleapis.com/auth/cloud-platform.read-only',
-    ],
-  });
+  try {
+    const oauth2Client = createOAuthClient(profile);
+    const tokens = await signInWithLoopback({
+      oauth2Client,
+      scopes: OAUTH_SCOPES,
+      // Opens the URL in the user's default browser (not inside Electron)
+      openBrowser: (url) => shell.openExternal(url),
+      signal: controller.signal,
+    });
+
+    if (!tokens.refresh_token) {
+      return { ok: false, error: 'Google did not return a refresh token. Remove the app from your Google account permissions and sign in again.' };
+    }
 
-  // Opens the URL in the user's default browser (not inside Electron)
-  shell.openExternal(authUrl);
-  store.set('authMethod', 'browser');
-  store.set('pendingOauthClient', JSON.stringify({ clientId, clientSecret }));
+    secrets.set('oauthTokens', JSON.stringify(tokens), profile.id);
+    const email = emailFromIdToken(tokens.id_token);
+    profiles.update(profile.id, { authMethod: 'browser', oauthEmail: email || '' });
+    resetProfileClients(profile.id);
+    return { ok: true, email };
+  } catch (e) {
+    return { ok: false, error: `Sign-in failed: ${e.message}`, cancelled: controller.signal.aborted };
+  } finally {
+    if (pendingSignIn === controller) pendingSignIn = null;
+  }
+});
 
-  return { ok: true, authUrl };
+ipcMain.handle('auth:cancelBrowserLogin', () => {
+  pendingSignIn?.abort();
+  return { ok: true };
 });
 
-// Called after the user pastes their auth code back into the app
-ipcMain.handle('auth:submitOauthCode', async (event, code) => {
+// Revokes the refresh token with Google and forgets it locally. The local
+// copy is removed even if revoking fails (offline) so the app is signed out.
+ipcMain.handle('auth:signOut', async () => {
+  const profile = activeProfile();
+  const tokensRaw = secrets.get('oauthTokens', profile.id);
+  secrets.delete('oauthTokens', profile.id);
+  profiles.update(profile.id, { oauthEmail: '' });
+  resetProfileClients(profile.id);
+  if (!tokensRaw) return { ok: true };
+
   try {
-    const pending = JSON.parse(store.get('pendingOauthClient', '{}'));
-    const oauth2Client = new google.auth.OAuth2(pending.clientId, pending.clientSecret, 'urn:ietf:wg:oauth:2.0:oob');
-    const { tokens } = await oauth2Client.getToken(code.trim());
-    store.set('oauthTokens', JSON.stringify(tokens));
-    store.set('authMethod', 'browser');
-    bigqueryClient = null;
+    const tokens = JSON.parse(tokensRaw);
+    // Revoking the refresh token also invalidates access tokens issued from it
+    await createOAuthClient(profile).revokeToken(tokens.refresh_token || tokens.access_token);
     return { ok: true };
   } catch (e) {
-    return { ok: false, error: `Token exchange failed: ${e.message}` };
+    return { ok: true, warning: `Signed out locally, but Google could not revoke the token: ${e.message}` };
   }
 });
 
 // ── BigQuery client factory ──────────────────────────────────────────────────
 
-function getBigQueryClient() {
-  if (bigqueryClient) return bigqueryClient;
+function getBigQueryClient(profile = activeProfile()) {
+  if (bigqueryClients[profile.id]) return bigqueryClients[profile.id];
 
-  const projectId = store.get('projectId');
-  const authMethod = store.get('authMethod', 'serviceAccount');
+  const { projectId, authMethod } = profile;
 
-  if (!projectId) throw new Error('No Google Cloud Project ID configured. Go to Settings.');
+  if (!projectId) throw new Error(`No Google Cloud Project ID configured for "${profile.name}". Go to Settings.`);
 
+  let client;
   if (authMethod === 'serviceAccount') {
-    const jsonRaw = store.get('serviceAccountJson');
-    if (!jsonRaw) throw new Error('No service account JSON uploaded. Go to Settings and upload your key file.');
+    const jsonRaw = secrets.get('serviceAccountJson', profile.id);
+    if (!jsonRaw) throw new Error(`No service account JSON uploaded for "${profile.name}". Go to Settings and upload your key file.`);
     const credentials = JSON.parse(jsonRaw);
-    bigqueryClient = new BigQuery({ projectId, credentials });
+    client = new BigQuery({ projectId, credentials });
 
   } else if (authMethod === 'browser') {
-    const tokensRaw = store.get('oauthTokens');
-    if (!tokensRaw) throw new Error('Browser auth not completed. Go to Settings and sign in.');
-    // googleapis handles token refresh automatically
-    const pending = JSON.parse(store.get('pendingOauthClient', '{}'));
-    const oauth2Client = new google.auth.OAuth2(pending.clientId, pending.clientSecret, 'urn:ietf:wg:oauth:2.0:oob');
+    const tokensRaw = secrets.get('oauthTokens', profile.id);
+    if (!tokensRaw) throw new Error(`Browser auth not completed for "${profile.name}". Go to Settings and sign in.`);
+    // googleapis handles token refresh automatically — persist what it gets
+    // back so the next launch starts from a fresh access token
+    const oauth2Client = createOAuthClient(profile);
     oauth2Client.setCredentials(JSON.parse(tokensRaw));
-    bigqueryClient = new BigQuery({ projectId, authClient: oauth2Client });
+    oauth2Client.on('tokens', (refreshed) => {
+      // Refresh responses usually omit refresh_token — keep the one we have.
+      // Nothing saved means the user signed out while a query was running.
+      // Without a keychain nothing can be saved; the refresh token still works next time.
+      const savedRaw = secrets.get('oauthTokens', profile.id);
+      if (!savedRaw || !secrets.isAvailable()) return;
+      const saved = JSON.parse(savedRaw);
+      secrets.set('oauthTokens', JSON.stringify({ ...saved, ...refreshed }), profile.id);
+    });
+    client = new BigQuery({ projectId, authClient: oauth2Client });
+
+  } else if (authMethod === 'local') {
+    // CSV exports in an embedded SQLite — no Google credentials, no network
+    client = createLocalBigQuery({
+      projectId,
+      datasets: localDatasets(profile),
+      shiftToRecent: !profile.localDataDir,
+    });
 
   } else {
     // API key only — BigQuery requires OAuth, so we try Application Default Credentials
     // This works if gcloud CLI is installed and configured on the machine
-    bigqueryClient = new BigQuery({ projectId });
+    client = new BigQuery({ projectId });
+  }
+
+  bigqueryClients[profile.id] = client;
+  return client;
+}
+
+// ── Language model provider ──────────────────────────────────────────────────
+
+// Vertex AI access tokens, per profile — from the profile's service account
+// key, or Application Default Credentials (gcloud) for the other auth methods
+function vertexAuthFor(profile) {
+  if (vertexAuths[profile.id]) return vertexAuths[profile.id];
+  const jsonRaw = profile.authMethod === 'serviceAccount' ? secrets.get('serviceAccountJson', profile.id) : null;
+  vertexAuths[profile.id] = new google.auth.GoogleAuth({
+    scopes: ['https://www.googleapis.com/auth/cloud-platform'],
+    ...(jsonRaw ? { credentials: JSON.parse(jsonRaw) } : {}),
+  });
+  return vertexAuths[profile.id];
+}
+
+// The saved template, or the built-in one. Custom templates carry a version
+// number that goes up on every edit, so history shows which wording was used.
+function sqlPromptTemplate() {
+  const custom = store.get('promptTemplate');
+  return custom
+    ? { text: custom, version: `custom v${store.get('promptTemplateVersion', 1)}` }
+    : { text: DEFAULT_SQL_TEMPLATE, version: DEFAULT_SQL_TEMPLATE_VERSION };
+}
+
+/**
+ * The configured provider (see lib/llmProviders.js) with the generation
+ * settings from Settings, plus what to record against each answer: provider,
+ * model, temperature, max tokens and template version. Blank temperature /
+ * max tokens mean the model's own defaults.
+ */
+function getLlm(profile = activeProfile()) {
+  const provider = store.get('llmProvider', 'gemini');
+  const temperature = store.get('temperature', null);
+  const maxOutputTokens = store.get('maxOutputTokens', null);
+  const llm = createProvider({
+    provider,
+    model: store.get('llmModel', ''),
+    temperature,
+    maxOutputTokens,
+    apiKey: provider === 'gemini' ? secrets.get('geminiKey') : secrets.get('llmApiKey'),
+    baseUrl: store.get('llmBaseUrl', ''),
+    vertexProject: store.get('vertexProject', '') || profile.projectId,
+    vertexLocation: store.get('vertexLocation', ''),
+    getAccessToken: () => vertexAuthFor(profile).getAccessToken(),
+  });
+  const info = { provider: llm.id, model: llm.model, temperature, maxOutputTokens, template: sqlPromptTemplate().version };
+  return { llm, info };
+}
+
+// Model names look like "gemini-1.5-flash", "models/gemini-2.0-flash-001" or "llama3.1:8b"
+const MODEL_NAME = /^[A-Za-z0-9][A-Za-z0-9._:\/-]*$/;
+
+/**
+ * Reads the model / generation / template fields of a settings save into the
+ * values to store. Throws with a message for the settings form if one is off.
+ */
+function parseGenerationSettings(config) {
+  const settings = {};
+  if (config.llmProvider !== undefined) {
+    if (!PROVIDERS[config.llmProvider]) throw new Error(`Unknown model provider "${config.llmProvider}".`);
+    settings.llmProvider = config.llmProvider;
+  }
+  // Blank model: the provider's default
+  if (config.llmModel !== undefined) {
+    const name = String(config.llmModel).trim();
+    if (name && !MODEL_NAME.test(name)) throw new Error(`"${name}" doesn't look like a model name.`);
+    settings.llmModel = name;
+  }
+  if (config.llmBaseUrl !== undefined) {
+    const url = String(config.llmBaseUrl).trim();
+    if (url && !/^https?:\/\/[^/\s]+/i.test(url)) throw new Error('The endpoint URL must start with http:// or https://');
+    settings.llmBaseUrl = url;
+  }
+  if (config.vertexProject  !== undefined) settings.vertexProject  = String(config.vertexProject).trim();
+  if (config.vertexLocation !== undefined) {
+    const location = String(config.vertexLocation).trim();
+    if (location && !VERTEX_LOCATION.test(location)) throw new Error(`"${location}" isn't a Vertex AI region. Use one like ${DEFAULT_VERTEX_LOCATION} or europe-west2.`);
+    settings.vertexLocation = location;
+  }
+  if (config.temperature !== undefined) {
+    const text = String(config.temperature).trim();
+    const value = Number(text);
+    if (text && !(value >= 0 && value <= 2)) throw new Error('Temperature must be a number from 0 to 2.');
+    settings.temperature = text ? value : null;
+  }
+  if (config.maxOutputTokens !== undefined) {
+    const text = String(config.maxOutputTokens).trim();
+    const value = Number(text);
+    if (text && !(Number.isInteger(value) && value > 0)) throw new Error('Max output tokens must be a whole number above 0.');
+    settings.maxOutputTokens = text ? value : null;
+  }
+  if (config.promptTemplate !== undefined) {
+    // Saving the default text unchanged (or clearing the box) means "use the built-in one"
+    const text = String(config.promptTemplate).replace(/\r\n/g, '\n').trim();
+    if (text && text !== DEFAULT_SQL_TEMPLATE) {
+      const problem = validateTemplate(text);
+      if (problem) throw new Error(problem);
+      settings.promptTemplate = text;
+    } else {
+      settings.promptTemplate = null;
+    }
+  }
+  return settings;
+}
+
+function saveGenerationSettings(settings) {
+  for (const key of ['llmProvider', 'llmModel', 'llmBaseUrl', 'vertexProject', 'vertexLocation', 'temperature', 'maxOutputTokens']) {
+    if (key in settings) store.set(key, settings[key]);
+  }
+  if (!('promptTemplate' in settings)) return;
+  const current = store.get('promptTemplate', null);
+  if (settings.promptTemplate === current) return;
+  if (settings.promptTemplate === null) {
+    store.delete('promptTemplate');
+  } else {
+    store.set('promptTemplate', settings.promptTemplate);
+    store.set('promptTemplateVersion', store.get('promptTemplateVersion', 0) + 1);
+  }
+}
+
+// ── Schema discovery ─────────────────────────────────────────────────────────
+
+// What the SQL safety gate allows for a profile: every dataset (site) it lists
+function queryScope(profile) {
+  return { projectId: profile.projectId, datasetId: profile.datasetId, datasets: datasetsOf(profile) };
+}
+
+// Brings the profile's cached schemas up to date, dataset by dataset in
+// parallel: { 'project.dataset': { tableName: { fields, lastModified } } }.
+// Only new or changed tables are re-read (all of them with `force`). Table and
+// column descriptions set in BigQuery are copied into blank glossary entries.
+async function loadSchemas(profile, bq, { force = false } = {}) {
+  const cached = schemaCache.get(profile.id);
+  const datasets = datasetsOf(profile);
+
+  const refreshed = await Promise.all(datasets.map(d =>
+    refreshDataset(bq, d, cached.datasets[`${d.projectId}.${d.datasetId}`], { force })));
+
+  const glossary = glossaryFor(profile);
+  let seeded = false;
+  const cache = { checkedAt: Date.now(), datasets: {} };
+  datasets.forEach((d, i) => {
+    cache.datasets[`${d.projectId}.${d.datasetId}`] = refreshed[i].tables;
+    for (const { name, meta } of refreshed[i].fetched) {
+      if (seedFromMetadata(glossary, name, meta)) seeded = true;
+    }
+  });
+  if (seeded) store.set(`glossaries.${profile.id}`, glossary);
+
+  schemaCache.save(profile.id, cache);
+  return cache;
+}
+
+// Cached schemas if they were checked recently and cover every dataset;
+// otherwise a refresh (which only re-reads changed tables)
+async function ensureSchemas(profile, bq, run) {
+  const cached = schemaCache.get(profile.id);
+  const complete = datasetsOf(profile).every(d => cached.datasets[`${d.projectId}.${d.datasetId}`]);
+  if (complete && Date.now() - cached.checkedAt < SCHEMA_RECHECK_MS) return cached;
+  run.progress('schema', complete ? 'Checking table schemas for changes…' : 'Loading table schemas…');
+  return loadSchemas(profile, bq);
+}
+
+// Bare table name → fields, across the profile's datasets (sites share a
+// layout, so the first one seen wins)
+function tableFields(cache) {
+  const tables = {};
+  for (const tablesByName of Object.values(cache.datasets)) {
+    for (const [tableName, { fields }] of Object.entries(tablesByName)) {
+      if (!tables[tableName]) tables[tableName] = fields;
+    }
   }
+  return tables;
+}
+
+// Compact schema description for the SQL prompt, one block per site, with
+// the glossary's meaning next to each table and column that has one.
+// We only send field names and types — not actual data — to keep the prompt small.
+// For large datasets `pruned` (from pruneSchema) limits it to the relevant
+// tables and columns.
+function buildSchemaText(profile, cache, glossary, pruned) {
+  const datasets = datasetsOf(profile);
+  return datasets
+    .map(({ site, projectId, datasetId }) => {
+      const tables = Object.entries(cache.datasets[`${projectId}.${datasetId}`] || {})
+        .filter(([tableName]) => !pruned || pruned[tableName])
+        .map(([tableName, { fields }]) => {
+          const shown = pruned ? pruned[tableName].fields : fields;
+          const omitted = pruned ? pruned[tableName].omitted : 0;
+          const cols = shown.map(f => `  ${f.name} (${f.type})${describeColumn(glossary, tableName, f.name)}`);
+          if (omitted) cols.push(`  … ${omitted} more columns not shown`);
+          return `Table: \`${projectId}.${datasetId}.${tableName}\`${describeTable(glossary, tableName)}\n${cols.join('\n')}`;
+        })
+        .join('\n\n');
+      return datasets.length > 1 ? `-- Site "${site}" (dataset ${projectId}.${datasetId})\n${tables}` : tables;
+    })
+    .join('\n\n');
+}
 
-  return bigqueryClient;
+// Extra prompt rules when a profile spans several sites
+function buildSitesText(profile) {
+  const datasets = datasetsOf(profile);
+  if (datasets.length < 2) return '';
+  const list = datasets.map(d => `  - "${d.site}": \`${d.projectId}.${d.datasetId}\``).join('\n');
+  return `
+SITES — each dataset holds one 3CX site's data, with the same table layout:
+${list}
+- A question that doesn't name a site is about all of them. Query each site's tables and combine them
+  with UNION ALL, adding the site name as a literal column (e.g. 'Leeds' AS site), then aggregate.
+- For "per site" or site-vs-site comparisons, GROUP BY that site column.
+`;
 }
 
-// ── Gemini client factory ─────────────────────────────────────────────────────
+// ── IPC: Glossary ────────────────────────────────────────────────────────────
 
-function getGeminiClient() {
-  if (geminiClient) return geminiClient;
-  const key = store.get('geminiKey');
-  if (!key) throw new Error('No Gemini API key configured. Go to Settings and add your key.');
-  geminiClient = new GoogleGenerativeAI(key);
-  return geminiClient;
+function glossaryFor(profile) {
+  return store.get(`glossaries.${profile.id}`) || emptyGlossary();
 }
 
+// Every table and column the editor should offer
+function glossaryColumns(profile) {
+  const tables = tableFields(schemaCache.get(profile.id));
+  return Object.fromEntries(Object.entries(tables).map(([name, fields]) =>
+    [name, fields.map(f => ({ name: f.name, type: f.type }))]));
+}
+
+ipcMain.handle('glossary:load', () => {
+  const profile = activeProfile();
+  return { ok: true, glossary: glossaryFor(profile), tables: glossaryColumns(profile) };
+});
+
+ipcMain.handle('glossary:save', (event, input) => {
+  const profile = activeProfile();
+  const glossary = normalizeGlossary(input);
+  store.set(`glossaries.${profile.id}`, glossary);
+  return { ok: true, glossary };
+});
+
+// Re-reads every table's metadata from BigQuery and fills blank descriptions
+// from it. Also lists the tables for the editor if they weren't loaded yet.
+ipcMain.handle('glossary:seed', async () => {
+  try {
+    const profile = activeProfile();
+    const bq = getBigQueryClient(profile);
+    if (!profile.datasetId) return { ok: false, error: 'No BigQuery dataset configured. Go to Settings.' };
+    await loadSchemas(profile, bq, { force: true });
+    return { ok: true, glossary: glossaryFor(profile), tables: glossaryColumns(profile) };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+});
+
 // ── IPC: Connection test ──────────────────────────────────────────────────────
 
 ipcMain.handle('agent:testConnection', async () => {
   try {
-    const bq = getBigQueryClient();
-    const datasetId = store.get('datasetId');
-    if (!datasetId) return { ok: false, error: 'No BigQuery dataset configured. Go to Settings.' };
-
-    // List tables as a lightweight connectivity check
-    const [tables] = await bq.dataset(datasetId).getTables();
-    const tableNames = tables.map(t => t.id);
-
-    // Also prime the schema cache while we're here
-    for (const table of tables) {
-      const [meta] = await table.getMetadata();
-      tableSchemaCache[table.id] = meta.schema?.fields || [];
-    }
+    const profile = activeProfile();
+    const bq = getBigQueryClient(profile);
+    if (!profile.datasetId) return { ok: false, error: 'No BigQuery dataset configured. Go to Settings.' };
+
+    // Listing tables is a lightweight connectivity check for every dataset,
+    // and refreshes the schema cache while we're here
+    const cache = await loadSchemas(profile, bq);
+    const datasets = datasetsOf(profile);
+    const tableNames = datasets.flatMap(({ site, projectId, datasetId }) =>
+      Object.keys(cache.datasets[`${projectId}.${datasetId}`] || {}).map(t => (datasets.length > 1 ? `${site}: ${t}` : t)));
 
     return { ok: true, tables: tableNames };
   } catch (e) {
@@ -237,96 +834,778 @@ ipcMain.handle('agent:testConnection', async () => {
 
 // ── IPC: Natural language query (the main event) ─────────────────────────────
 
-ipcMain.handle('agent:query', async (event, userQuestion) => {
+ipcMain.handle('agent:query', async (event, userQuestion, requestId) => {
+  const run = startRun(event.sender, requestId);
+  let generatedBy = null;
   try {
-    const bq        = getBigQueryClient();
-    const ai        = getGeminiClient();
-    const datasetId = store.get('datasetId');
-    const projectId = store.get('projectId');
+    const profile   = activeProfile();
+    const bq        = getBigQueryClient(profile);
+    const { projectId, datasetId } = profile;
 
     if (!datasetId) throw new Error('No BigQuery dataset configured.');
 
-    // ── Step 1: Discover schema if not cached ───────────────────────────────
-    if (Object.keys(tableSchemaCache).length === 0) {
-      const [tables] = await bq.dataset(datasetId).getTables();
-      for (const table of tables) {
-        const [meta] = await table.getMetadata();
-        tableSchemaCache[table.id] = meta.schema?.fields || [];
+    // ── Step 1: Discover schema (cached between launches) ───────────────────
+    const tableSchemaCache = await ensureSchemas(profile, bq, run);
+    const glossary = glossaryFor(profile);
+
+    // Large datasets: only the tables/columns the question (and the previous
+    // turn, for follow-ups) seems to be about go into the prompt
+    const lastTurn = conversation[conversation.length - 1];
+    const relevanceText = [lastTurn?.question, lastTurn?.sql, userQuestion].filter(Boolean).join('\n');
+    const pruned = pruneSchema(tableFields(tableSchemaCache), relevanceText, { glossary });
+    const schemaText = buildSchemaText(profile, tableSchemaCache, glossary, pruned);
+
+    // ── Step 2: Ask the model to generate SQL ───────────────────────────────
+    const { llm, info } = getLlm(profile);
+    generatedBy = info;
+
+    // "Yesterday", "after hours"… resolved in the site's time zone; follow-ups
+    // that name no period of their own keep the previous turn's
+    const calendar = calendarOf(profile);
+    const timeWindow = resolveTimeWindow(userQuestion, calendar, { previous: lastTurn?.timeWindow });
+
+    const systemPrompt = renderTemplate(sqlPromptTemplate().text, {
+      schema: pruned
+        ? `${schemaText}\n(This dataset is large — only the tables and columns most relevant to the question are listed.)`
+        : schemaText,
+      sites: buildSitesText(profile),
+      glossary: buildGlossaryText(glossary),
+      calendar: buildCalendarText(calendar, timeWindow),
+      conversation: buildConversationText(),
+      project: projectId,
+      dataset: datasetId,
+      question: userQuestion,
+    });
+
+    run.progress('generate', `Generating SQL with ${llm.label} (${llm.model})…`);
+    let sql = stripSqlFences(await run.abortable(llm.generate(systemPrompt, { signal: run.signal, question: userQuestion })));
+
+    // ── Steps 3–5: validate, estimate cost, run — repairing SQL errors ──────
+    // Each failed attempt is kept so the renderer can show what was corrected.
+    const attempts = [];
+    let result;
+
+    while (true) {
+      if (sql === 'CANNOT_ANSWER') {
+        return finish({
+          ok: true,
+          sql: null,
+          rows: [],
+          columns: [],
+          attempts,
+          message: "I couldn't find a way to answer that from the available 3CX data. Try rephrasing, or ask about calls, queues, extensions, or call durations.",
+        });
       }
-    }
 
-    // Build a compact schema description to include in the Gemini prompt.
-    // We only send field names and types — not actual data — to keep the prompt small.
-    const schemaText = Object.entries(tableSchemaCache)
-      .map(([tableName, fields]) => {
-        const cols = fields.map(f => `  ${f.name} (${f.type})`).join('\n');
-        return `Table: \`${projectId}.${datasetId}.${tableName}\`\n${cols}`;
-      })
-      .join('\n\n');
-
-    // ── Step 2: Ask Gemini to generate SQL ──────────────────────────────────
-    const model = ai.getGenerativeModel({ model: 'gemini-1.5-flash' });
-
-    const systemPrompt = `You are a BigQuery SQL expert for a 3CX phone system analytics database.
-Given the following table schemas, write a valid BigQuery SQL query that answers the user's question.
-
-SCHEMA:
-${schemaText}
-
-RULES:
-- Return ONLY the SQL query, nothing else — no markdown, no explanation, no backticks.
-- Use fully-qualified table names: \`${projectId}.${datasetId}.TableName\`
-- Use STANDARD SQL (BigQuery default). DATE functions: CURRENT_DATE(), DATE_SUB(), FORMAT_DATE().
-- TIMESTAMP columns: use TIMESTAMP_TRUNC() for grouping by day/hour.
-- Limit results to 200 rows maximum unless the question asks for all data.
-- If the question cannot be answered from the schema, respond with exactly: CANNOT_ANSWER
-
-USER QUESTION: ${userQuestion}`;
-
-    const geminiResult = await model.generateContent(systemPrompt);
-    const sql = geminiResult.response.text().trim();
-
-    if (sql === 'CANNOT_ANSWER') {
-      return {
-        ok: true,
-        sql: null,
-        rows: [],
-        columns: [],
-        message: "I couldn't find a way to answer that from the available 3CX data. Try rephrasing, or ask about calls, queues, extensions, or call durations.",
-      };
+      try {
+        result = await executeSql(sql, { confirmed: false, run });
+        break;
+      } catch (e) {
+        if (e.cancelled) throw e;
+        if (!isSqlError(e) || attempts.length >= MAX_SQL_REPAIRS) {
+          result = { ok: false, error: e.message, sql };
+          break;
+        }
+        attempts.push({ sql, error: e.message });
+        run.progress('repair', `BigQuery rejected the SQL — asking ${llm.label} for a fix (attempt ${attempts.length + 1})…`);
+        sql = await repairSql(llm, systemPrompt, sql, e.message, run);
+      }
     }
 
-    // ── Step 3: Execute the generated SQL against BigQuery ──────────────────
-    const [rows] = await bq.query({ query: sql, useLegacySql: false });
+    result.attempts = attempts;
+    // The period goes under the answer only if the SQL's own date filters
+    // count it; otherwise it would label rows from other days
+    if (timeWindow && await sqlCoversWindow(sql, timeWindow)) result.timeWindow = timeWindow;
+    result.answerText = await summarizeAnswer(llm, userQuestion, result, run);
+    result.turnId = rememberTurn(userQuestion, sql, result);
+    return finish(result);
 
-    // Extract column names from the first row's keys
-    const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+  } catch (e) {
+    return finish({ ok: false, cancelled: !!e.cancelled, error: e.message, sql: null });
+  } finally {
+    run.end();
+  }
 
-    // BigQuery returns some values as BigQuery-specific objects (e.g. BigInt, Date).
-    // Serialize them to plain JS values for JSON transfer to the renderer.
-    const serialized = rows.map(row =>
-      Object.fromEntries(
-        Object.entries(row).map(([k, v]) => [k, serializeValue(v)])
-      )
-    );
+  // Every outcome — answer, refusal or error — goes into the history, with
+  // the model and prompt template that produced it (once the model was asked)
+  // and, for an answer, the period its SQL counted
+  function finish(result) {
+    if (generatedBy) result.generatedBy = generatedBy;
+    result.historyId = recordHistory(userQuestion, result);
+    return result;
+  }
+});
 
-    return { ok: true, sql, rows: serialized, columns, message: null };
+// Called when the user confirms a query that was held back by the cost threshold.
+// The SQL goes through the same safety gate and dry run again — the renderer is
+// never trusted to hand us something we didn't generate and check ourselves.
+// `historyId` and `turnId` come from the held-back result and say which
+// pending history entry and conversation turn this run settles; `profileId`
+// which connection the estimate was for (re-runs and reports bring their own).
+ipcMain.handle('agent:confirmQuery', async (event, sql, params = [], { historyId, turnId, profileId } = {}, requestId) => {
+  const run = startRun(event.sender, requestId);
+  try {
+    const profile = profileId ? profiles.get(profileId) : activeProfile();
+    if (!profile) throw new Error('The connection profile for this query no longer exists.');
+    const result = await executeSql(sql, { confirmed: true, params, run, profile });
+    // The turn was recorded as "awaiting confirmation" — update it with the outcome
+    const turn = conversation.find(t => t.id === turnId && t.sql === sql);
+    if (turn) {
+      turn.summary = summarizeResult(result);
+      if (turn.timeWindow) result.timeWindow = turn.timeWindow;
+    }
+    // SQL the user wrote themselves gets no model summary (see agent:runSql)
+    if (turn && !turn.manual) {
+      const { llm } = getLlm(profile);
+      result.answerText = await summarizeAnswer(llm, turn.question, result, run);
+    }
+    // Same for the history entry that was saved as pending
+    const pending = historyStore.get('entries').find(h => h.id === historyId && h.pending && h.sql === sql);
+    if (pending) {
+      result.generatedBy = pending.generatedBy;
+      updateHistory(pending.id, historyFields(result));
+      result.historyId = pending.id;
+    }
+    return result;
+  } catch (e) {
+    return { ok: false, cancelled: !!e.cancelled, error: e.message, sql };
+  } finally {
+    run.end();
+  }
+});
 
+// Runs SQL the user edited under an answer, or typed into the SQL console.
+// No model round trip at all — but the same safety gate, dry run, cost limits
+// and serialization as a generated query, so hand-written SQL is held to the
+// same rules. Edited SQL joins the conversation (follow-up questions build on
+// it); console queries stand alone.
+ipcMain.handle('agent:runSql', async (event, sql, { question = null } = {}, requestId) => {
+  const run = startRun(event.sender, requestId);
+  const text = String(sql || '').trim();
+  // Editing SQL that was itself edited continues from the original question
+  if (question) question = question.replace(/ \(edited SQL\)$/, '');
+  let result;
+  try {
+    if (!text) throw new Error('There is no SQL to run.');
+    result = await executeSql(text, { confirmed: false, run });
   } catch (e) {
-    return { ok: false, error: e.message, sql: null };
+    result = { ok: false, cancelled: !!e.cancelled, error: e.message, sql: text };
+  } finally {
+    run.end();
+  }
+  if (question && !result.cancelled) {
+    result.turnId = rememberTurn(`${question} (SQL edited by the user)`, text, result);
+    conversation[conversation.length - 1].manual = true;
   }
+  result.historyId = recordHistory(question ? `${question} (edited SQL)` : 'SQL console', result);
+  return result;
 });
 
-// Converts BigQuery response values to plain JSON-serializable types
-function serializeValue(v) {
-  if (v === null || v === undefined) return null;
-  if (typeof v === 'bigint') return Number(v);
-  if (v instanceof Date) return v.toISOString();
-  if (typeof v === 'object' && v.value !== undefined) return v.value; // BigQuery date/time wrapper
-  if (typeof v === 'object') return JSON.stringify(v);
+// Stops an in-flight request: abandons a pending model call and cancels the
+// BigQuery job if one has been started
+ipcMain.handle('agent:cancel', async (event, requestId) => {
+  const run = activeRuns.get(requestId);
+  if (!run) return { ok: false };
+  await run.cancel();
+  return { ok: true };
+});
+
+// ── Request progress & cancellation ─────────────────────────────────────────
+//
+// Each renderer request carries a requestId. While it runs, we stream
+// { requestId, stage, message } events on 'agent:progress' so the thinking
+// indicator can show what's happening, and keep the run here so agent:cancel
+// can stop it. Background work (scheduled reports) passes no sender and gets
+// a run that reports nowhere.
+
+const activeRuns = new Map();
+
+function cancelledError() {
+  const err = new Error('Query cancelled.');
+  err.cancelled = true;
+  return err;
+}
+
+function startRun(sender, requestId) {
+  let cancelled = false;
+  let rejectPending = null;
+  const controller = new AbortController();
+
+  const run = {
+    job: null, // the BigQuery job currently running, once created
+    signal: controller.signal, // for model requests that can be aborted (HTTP providers)
+
+    progress(stage, message, detail = {}) {
+      if (!sender || !requestId || sender.isDestroyed()) return;
+      sender.send('agent:progress', { requestId, stage, message, ...detail });
+    },
+
+    // Races a promise (e.g. a Gemini SDK call, which has no abort option)
+    // against cancellation. The underlying request may still finish; we just
+    // stop waiting. Providers that take `run.signal` are aborted outright.
+    abortable(promise) {
+      if (cancelled) return Promise.reject(cancelledError());
+      return new Promise((resolve, reject) => {
+        rejectPending = reject;
+        promise.then(resolve, reject).finally(() => { rejectPending = null; });
+      });
+    },
+
+    throwIfCancelled() {
+      if (cancelled) throw cancelledError();
+    },
+
+    // Tracks the running BigQuery job so cancel() can stop it. If the user
+    // cancelled while the job was being created, cancel it straight away.
+    async attachJob(job) {
+      run.job = job;
+      if (cancelled) {
+        try { await job.cancel(); } catch { /* already finished */ }
+        throw cancelledError();
+      }
+    },
+
+    async cancel() {
+      cancelled = true;
+      if (rejectPending) rejectPending(cancelledError());
+      controller.abort();
+      if (run.job) {
+        try { await run.job.cancel(); } catch { /* job may already be done */ }
+      }
+    },
+
+    end() {
+      if (requestId) activeRuns.delete(requestId);
+    },
+  };
+
+  if (requestId) activeRuns.set(requestId, run);
+  return run;
+}
+
+// ── SQL repair ──────────────────────────────────────────────────────────────
+
+// BigQuery reports problems with the query text itself (unknown names, bad
+// syntax, type mismatches) as 400 / invalidQuery. Auth, quota and network
+// errors won't be fixed by rewriting the SQL, so we don't retry those.
+function isSqlError(e) {
+  return e.code === 400 || (Array.isArray(e.errors) && e.errors.some(err => err.reason === 'invalidQuery'));
+}
+
+// Asks the model for a corrected query, given the original prompt, the SQL that
+// failed and BigQuery's error message.
+async function repairSql(llm, systemPrompt, failedSql, errorMessage, run) {
+  const repairPrompt = `${systemPrompt}
+
+YOUR PREVIOUS ANSWER FAILED.
+SQL:
+${failedSql}
+
+BIGQUERY ERROR: ${errorMessage}
+
+Fix the SQL so it runs. Only use tables and columns listed in the SCHEMA above.
+Return ONLY the corrected SQL query, nothing else — or exactly CANNOT_ANSWER if it can't be fixed.`;
+
+  return stripSqlFences(await run.abortable(llm.generate(repairPrompt, { signal: run.signal })));
+}
+
+// ── Plain-English answer ────────────────────────────────────────────────────
+
+/**
+ * Second model pass: turns the question and a sample of the result rows into
+ * a short plain-English answer for people who don't want to read the grid.
+ *
+ * Unlike SQL generation this DOES send row values to the model, so it can be
+ * switched off in Settings for sensitive datasets. Returns null when disabled,
+ * when there's nothing to summarize, or if the call fails — the table is
+ * still the answer in that case.
+ */
+async function summarizeAnswer(llm, question, result, run) {
+  if (!store.get('summarizeResults', true)) return null;
+  if (!result.ok || result.needsConfirmation || !result.rows?.length) return null;
+
+  const totalRows = result.totalRows ?? result.rows.length;
+  const sample = result.rows.slice(0, SUMMARY_SAMPLE_ROWS).map(row =>
+    Object.fromEntries(result.columns.map(c => [c, truncateValue(row[c])]))
+  );
+
+  const prompt = `You are helping a non-technical call-centre supervisor understand a query result
+from their 3CX phone system.
+
+QUESTION: ${question}
+
+RESULT: ${totalRows} row(s). Columns: ${result.columns.join(', ')}.
+${totalRows > sample.length ? `Only the first ${sample.length} rows are shown below.\n` : ''}ROWS (JSON):
+${JSON.stringify(sample)}
+
+Answer the question in 1–3 short sentences of plain English, using the numbers above.
+Don't mention SQL, tables or columns. If the rows shown are only a sample, don't
+state totals you can't see. Return only the answer text.`;
+
+  run.progress('summarize', 'Writing a plain-English answer…');
+  try {
+    const answer = await run.abortable(llm.generate(prompt, { signal: run.signal }));
+    return answer.trim() || null;
+  } catch (e) {
+    if (e.cancelled) throw e;
+    return null;
+  }
+}
+
+// Keeps one huge value (a long JSON blob, a transcript) from eating the prompt
+function truncateValue(v) {
+  if (typeof v === 'string' && v.length > 200) return v.slice(0, 200) + '…';
   return v;
 }
 
+// Clears the conversation so the next question starts with no context
+ipcMain.handle('agent:resetConversation', () => {
+  conversation = [];
+  return { ok: true };
+});
+
+// ── Conversation context ────────────────────────────────────────────────────
+
+// Returns the turn's id, which a held-back expensive query carries so
+// confirming it updates this turn and not another with the same SQL
+function rememberTurn(question, sql, result) {
+  const id = nextTurnId++;
+  conversation.push({ id, question, sql, summary: summarizeResult(result), timeWindow: result.timeWindow || null });
+  if (conversation.length > MAX_CONVERSATION_TURNS) conversation.shift();
+  return id;
+}
+
+// Describes a result without including any row values — the prompt only ever
+// carries schema and SQL, never the call data itself.
+function summarizeResult(result) {
+  if (result.blocked)           return `Blocked by the safety gate: ${result.error}`;
+  if (!result.ok)               return `Failed: ${result.error}`;
+  if (result.needsConfirmation) return 'Awaiting user confirmation (expensive query), not run yet.';
+  const n = result.totalRows ?? result.rows.length;
+  return `Returned ${n} row${n !== 1 ? 's' : ''} with columns: ${result.columns.join(', ') || '(none)'}.`;
+}
+
+function buildConversationText() {
+  if (conversation.length === 0) return '';
+  const turns = conversation
+    .map((t, i) => `[${i + 1}] QUESTION: ${t.question}\nSQL: ${t.sql}\nRESULT: ${t.summary}`)
+    .join('\n\n');
+  return `CONVERSATION SO FAR (oldest first). The user's question may be a follow-up to these —
+resolve references like "that", "now break it down by…" or "only last week" by modifying the most
+recent relevant SQL rather than starting over:
+
+${turns}
+
+`;
+}
+
+// ── Query execution: safety gate → dry run → capped real run ────────────────
+//
+// The pipeline itself is lib/queryRunner.js; here it gets the profile's
+// client, the datasets the gate allows and the cost limits from Settings.
+
+const queryRunner = createQueryRunner({
+  clientFor: getBigQueryClient,
+  scopeFor: queryScope,
+  limits: () => ({
+    maxBytesBilledGb: store.get('maxBytesBilledGb', 10),
+    confirmAboveGb: store.get('confirmAboveGb', 1),
+  }),
+});
+
+// Runs against the active connection unless a profile is given; see
+// lib/queryRunner.js for what comes back
+function executeSql(sql, { run = startRun(null, null), profile = activeProfile(), ...options }) {
+  return queryRunner.executeSql(sql, { ...options, run, profile });
+}
+
+ipcMain.handle('results:page', async (event, resultId, pageToken) => {
+  try {
+    const page = await queryRunner.fetchPage(resultId, pageToken);
+    if (!page) return { ok: false, error: 'These results are no longer available — run the query again to see more rows.' };
+    return { ok: true, ...page };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+});
+
+// Every row of a paged result, from the first page on
+function readAllRows(resultId) {
+  return queryRunner.readAllRows(resultId);
+}
+
+// ── Query history ────────────────────────────────────────────────────────────
+
+// The parts of a result worth keeping: no rows, just what happened
+function historyFields(result) {
+  return {
+    sql:      result.sql || null,
+    params:   result.params?.length ? result.params : null,
+    rowCount: result.ok && !result.needsConfirmation && !result.message ? (result.totalRows ?? result.rows.length) : null,
+    error:    result.ok ? null : result.error,
+    message:  result.message || null,
+    pending:  !!result.needsConfirmation,
+    generatedBy: result.generatedBy || null,
+  };
+}
+
+function recordHistory(question, result, profile = profiles.active()) {
+  const entry = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    question,
+    profileId:   profile?.id,
+    profileName: profile?.name,
+    timestamp: new Date().toISOString(),
+    ...historyFields(result),
+  };
+  const entries = [entry, ...historyStore.get('entries')].slice(0, MAX_HISTORY_ENTRIES);
+  historyStore.set('entries', entries);
+  return entry.id;
+}
+
+function updateHistory(id, fields) {
+  const entries = historyStore.get('entries').map(h => (h.id === id ? { ...h, ...fields } : h));
+  historyStore.set('entries', entries);
+}
+
+// Newest first; `search` matches the question or the SQL, case-insensitively
+ipcMain.handle('history:list', (event, search = '') => {
+  const needle = search.trim().toLowerCase();
+  const entries = historyStore.get('entries');
+  if (!needle) return entries;
+  return entries.filter(h =>
+    h.question.toLowerCase().includes(needle) || (h.sql || '').toLowerCase().includes(needle)
+  );
+});
+
+// Runs an entry's saved SQL again — no Gemini round trip, but the same safety
+// gate and cost checks as a fresh question. The run is recorded as a new entry.
+ipcMain.handle('history:rerun', async (event, id, requestId) => {
+  const entry = historyStore.get('entries').find(h => h.id === id);
+  if (!entry) return { ok: false, error: 'History entry not found.' };
+  if (!entry.sql) return { ok: false, error: 'This entry has no SQL to run — ask the question again instead.' };
+
+  // Same profile it was asked against, if that still exists
+  const profile = profiles.get(entry.profileId) || activeProfile();
+  const run = startRun(event.sender, requestId);
+  let result;
+  try {
+    result = await executeSql(entry.sql, { confirmed: false, params: entry.params || [], run, profile });
+  } catch (e) {
+    result = { ok: false, cancelled: !!e.cancelled, error: e.message, sql: entry.sql };
+  } finally {
+    run.end();
+  }
+  // The SQL is the one that model / template wrote originally
+  if (entry.generatedBy) result.generatedBy = entry.generatedBy;
+  result.historyId = recordHistory(entry.question, result, profile);
+  return result;
+});
+
+ipcMain.handle('history:delete', (event, id) => {
+  historyStore.set('entries', historyStore.get('entries').filter(h => h.id !== id));
+  return { ok: true };
+});
+
+ipcMain.handle('history:clear', () => {
+  historyStore.set('entries', []);
+  return { ok: true };
+});
+
+// ── Saved reports ────────────────────────────────────────────────────────────
+//
+// A saved report is a named, already-validated SQL query that runs as-is —
+// no Gemini round trip, so it returns the same shape every morning. Any
+// @name in the SQL is a BigQuery named parameter, filled in from a small form.
+
+const PARAM_TYPES = ['DATE', 'TIMESTAMP', 'STRING', 'INT64'];
+
+// Sensible default type from the parameter name (start_date → DATE, …)
+function inferParamType(name) {
+  const n = name.toLowerCase();
+  if (/(^|_)(date|day)($|_)/.test(n)) return 'DATE';
+  if (/(^|_)(time|ts|timestamp)($|_)/.test(n)) return 'TIMESTAMP';
+  if (/(^|_)(count|limit|min|max|num|seconds|minutes)($|_)/.test(n)) return 'INT64';
+  return 'STRING';
+}
+
+// Form values arrive as strings — convert and sanity-check per type
+function coerceParamValue(param, raw) {
+  const value = String(raw ?? '').trim();
+  if (!value) throw new Error(`Please fill in "${param.label || param.name}".`);
+  switch (param.type) {
+    case 'DATE':
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) throw new Error(`"${param.name}" must be a date (YYYY-MM-DD).`);
+      return value;
+    case 'TIMESTAMP': {
+      const ms = Date.parse(value);
+      if (Number.isNaN(ms)) throw new Error(`"${param.name}" must be a date and time.`);
+      return new Date(ms).toISOString();
+    }
+    case 'INT64':
+      if (!/^-?\d+$/.test(value)) throw new Error(`"${param.name}" must be a whole number.`);
+      return Number(value);
+    default:
+      return value;
+  }
+}
+
+ipcMain.handle('reports:list', () => store.get('savedReports', []));
+
+// The @parameters in SQL being edited, found the way reports:save finds them
+// (not inside strings or comments). SQL that doesn't tokenize yet — an
+// unclosed quote while typing — is an error the form leaves its pickers for.
+ipcMain.handle('reports:findParams', (event, sql) => {
+  try {
+    return { ok: true, names: findQueryParameters(String(sql || '')) };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+});
+
+// Saves a report from an answered query. The SQL (possibly edited to add
+// @parameters) must pass the safety gate now, not just when it's run.
+ipcMain.handle('reports:save', (event, { name, sql, paramTypes = {} }) => {
+  const reportName = String(name || '').trim();
+  if (!reportName) return { ok: false, error: 'Give the report a name.' };
+
+  // Reports belong to the profile they were saved from and always run against it
+  const profile = activeProfile();
+  const check = validateReadOnlySql(sql, queryScope(profile));
+  if (!check.ok) return { ok: false, error: check.message };
+
+  const params = findQueryParameters(sql).map(paramName => ({
+    name: paramName,
+    label: paramName.replace(/_/g, ' '),
+    type: PARAM_TYPES.includes(paramTypes[paramName]) ? paramTypes[paramName] : inferParamType(paramName),
+  }));
+
+  const report = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: reportName,
+    sql: sql.trim(),
+    params,
+    profileId: profile.id,
+    createdAt: new Date().toISOString(),
+  };
+  store.set('savedReports', [...store.get('savedReports', []), report]);
+  return { ok: true, report };
+});
+
+ipcMain.handle('reports:delete', (event, id) => {
+  store.set('savedReports', store.get('savedReports', []).filter(r => r.id !== id));
+  return { ok: true };
+});
+
+// Runs a saved report with the values from its parameter form
+ipcMain.handle('reports:run', async (event, id, values = {}, requestId) => {
+  const report = store.get('savedReports', []).find(r => r.id === id);
+  if (!report) return { ok: false, error: 'Saved report not found.' };
+  const profile = profiles.get(report.profileId);
+  if (!profile) return { ok: false, error: 'The connection profile for this report no longer exists.' };
+
+  const run = startRun(event.sender, requestId);
+  let result;
+  try {
+    const params = report.params.map(p => ({ name: p.name, type: p.type, value: coerceParamValue(p, values[p.name]) }));
+    result = await executeSql(report.sql, { confirmed: false, params, run, profile });
+  } catch (e) {
+    result = { ok: false, cancelled: !!e.cancelled, error: e.message, sql: report.sql };
+  } finally {
+    run.end();
+  }
+  result.historyId = recordHistory(`Report: ${report.name}`, result, profile);
+  return result;
+});
+
+// ── Scheduled reports ────────────────────────────────────────────────────────
+//
+// Runs saved reports on a cron schedule while the app is open (or hidden in
+// the tray), writes each result as CSV to the schedule's folder and raises a
+// desktop notification. Nobody is there to confirm an expensive query, so
+// scheduled runs skip the soft cost prompt — the hard bytes-billed limit
+// still applies.
+
+let lastSchedulerMinute = null;
+const runningSchedules = new Set();
+
+function hasEnabledSchedules() {
+  return store.get('schedules', []).some(s => s.enabled);
+}
+
+function startScheduler() {
+  // Check a few times a minute so a sleeping timer can't skip a whole minute
+  setInterval(checkSchedules, 20 * 1000);
+}
+
+function checkSchedules() {
+  const now = new Date();
+  const minuteKey = `${now.toDateString()} ${now.getHours()}:${now.getMinutes()}`;
+  if (minuteKey === lastSchedulerMinute) return;
+  lastSchedulerMinute = minuteKey;
+
+  for (const schedule of store.get('schedules', [])) {
+    if (!schedule.enabled) continue;
+    try {
+      if (cronMatches(parseCron(schedule.cron), now)) runSchedule(schedule.id);
+    } catch {
+      // Invalid expressions are rejected on save; ignore anything that slipped through
+    }
+  }
+}
+
+// Scheduled reports can't ask for parameters, so date parameters take
+// relative values: "today", "yesterday", "today-7", "today+1" — days in the
+// report's site time zone, like the dates in its questions
+function resolveScheduleParam(value, timeZone) {
+  const text = String(value ?? '').trim();
+  const rel = text.toLowerCase().match(/^(today|yesterday)(?:\s*([+-])\s*(\d+))?$/);
+  if (!rel) return text;
+  let offset = rel[1] === 'yesterday' ? -1 : 0;
+  if (rel[2]) offset += (rel[2] === '-' ? -1 : 1) * Number(rel[3]);
+  const { year, month, day } = zonedParts(new Date(), timeZone);
+  return new Date(Date.UTC(year, month - 1, day + offset)).toISOString().slice(0, 10);
+}
+
+function updateSchedule(id, fields) {
+  store.set('schedules', store.get('schedules', []).map(s => (s.id === id ? { ...s, ...fields } : s)));
+}
+
+async function runSchedule(id) {
+  const schedule = store.get('schedules', []).find(s => s.id === id);
+  if (!schedule || runningSchedules.has(id)) return { ok: false, error: 'Schedule not found or already running.' };
+  runningSchedules.add(id);
+
+  const report = store.get('savedReports', []).find(r => r.id === schedule.reportId);
+  const reportName = report ? report.name : 'Deleted report';
+  let outcome;
+
+  try {
+    if (!report) throw new Error('The saved report for this schedule no longer exists.');
+    const profile = profiles.get(report.profileId);
+    if (!profile) throw new Error('The connection profile for this report no longer exists.');
+
+    const values = schedule.paramValues || {};
+    const { timeZone } = calendarOf(profile);
+    const params = report.params.map(p => ({
+      name: p.name,
+      type: p.type,
+      value: coerceParamValue(p, resolveScheduleParam(values[p.name], timeZone)),
+    }));
+    const result = await executeSql(report.sql, { confirmed: true, params, profile, allRows: true });
+    recordHistory(`Scheduled: ${reportName}`, result, profile);
+    if (!result.ok) throw new Error(result.error);
+
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    const slug = reportName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report';
+    const filePath = path.join(schedule.outputDir, `${slug}-${stamp}.csv`);
+    await fs.promises.mkdir(schedule.outputDir, { recursive: true });
+    await exportRows('csv', filePath, result.columns, result.rows, result.fields);
+
+    outcome = { ok: true, at: new Date().toISOString(), rowCount: result.rows.length, filePath };
+    notify(`${reportName} ready`, `${result.rows.length} row${result.rows.length !== 1 ? 's' : ''} written to ${path.basename(filePath)}`, filePath);
+  } catch (e) {
+    outcome = { ok: false, at: new Date().toISOString(), error: e.message };
+    notify(`${reportName} failed`, e.message);
+  } finally {
+    runningSchedules.delete(id);
+  }
+
+  updateSchedule(id, { lastRun: outcome });
+  return outcome;
+}
+
+// Desktop notification; clicking one for a written file shows it in the folder
+function notify(title, body, filePath) {
+  if (!Notification.isSupported()) return;
+  const notification = new Notification({ title, body });
+  if (filePath) notification.on('click', () => shell.showItemInFolder(filePath));
+  notification.show();
+}
+
+ipcMain.handle('schedules:list', () => store.get('schedules', []));
+
+ipcMain.handle('schedules:save', (event, { reportId, cron, outputDir, paramValues = {} }) => {
+  if (!store.get('savedReports', []).some(r => r.id === reportId)) {
+    return { ok: false, error: 'Choose a saved report to schedule.' };
+  }
+  try {
+    parseCron(cron);
+  } catch (e) {
+    return { ok: false, error: `Invalid schedule: ${e.message}` };
+  }
+  if (!outputDir) return { ok: false, error: 'Choose a folder for the CSV files.' };
+
+  const schedule = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    reportId,
+    cron: cron.trim(),
+    outputDir,
+    paramValues,
+    enabled: true,
+    lastRun: null,
+  };
+  store.set('schedules', [...store.get('schedules', []), schedule]);
+  updateTray();
+  return { ok: true, schedule };
+});
+
+ipcMain.handle('schedules:setEnabled', (event, id, enabled) => {
+  updateSchedule(id, { enabled: !!enabled });
+  updateTray();
+  return { ok: true };
+});
+
+ipcMain.handle('schedules:delete', (event, id) => {
+  store.set('schedules', store.get('schedules', []).filter(s => s.id !== id));
+  updateTray();
+  return { ok: true };
+});
+
+ipcMain.handle('schedules:runNow', (event, id) => runSchedule(id));
+
+ipcMain.handle('schedules:pickFolder', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Choose a folder for scheduled report files',
+    properties: ['openDirectory', 'createDirectory'],
+  });
+  if (result.canceled || !result.filePaths.length) return { ok: false };
+  return { ok: true, folder: result.filePaths[0] };
+});
+
+// ── IPC: Export results ──────────────────────────────────────────────────────
+
+// Writes an answer's rows to CSV / XLSX / JSON through a native save dialog
+// — all of them: for paged results the rest are read from the job first.
+ipcMain.handle('results:export', async (event, { format, columns, rows, fields, resultId }) => {
+  const fileType = EXPORT_FORMATS[format];
+  if (!fileType) return { ok: false, error: `Unknown export format: ${format}` };
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: `Export results as ${fileType.name}`,
+    defaultPath: `3cx-results-${stamp}.${fileType.extensions[0]}`,
+    filters: [fileType],
+  });
+
+  if (result.canceled || !result.filePath) return { ok: false, canceled: true };
+
+  try {
+    let allRows = rows;
+    if (resultId) {
+      try {
+        allRows = await readAllRows(resultId) || rows;
+      } catch (e) {
+        return { ok: false, error: `Could not read the rest of the results: ${e.message}` };
+      }
+    }
+    await exportRows(format, result.filePath, columns, allRows, fields);
+    return { ok: true, filePath: result.filePath, rowCount: allRows.length };
+  } catch (e) {
+    return { ok: false, error: `Could not write file: ${e.message}` };
+  }
+});
+
 // ── IPC: Open external links safely ─────────────────────────────────────────
 
 ipcMain.handle('shell:openExternal', (event, url) => {
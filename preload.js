@@ -18,14 +18,69 @@ contextBridge.exposeInMainWorld('electronAPI', {
   loadConfig:        ()       => ipcRenderer.invoke('config:load'),
   saveConfig:        (config) => ipcRenderer.invoke('config:save', config),
 
+  // ── Connection profiles ────────────────────────────────────────────────────
+  listProfiles:      ()       => ipcRenderer.invoke('profiles:list'),
+  createProfile:     (name)   => ipcRenderer.invoke('profiles:create', name),
+  switchProfile:     (id)     => ipcRenderer.invoke('profiles:switch', id),
+  deleteProfile:     (id)     => ipcRenderer.invoke('profiles:delete', id),
+
+  // ── Glossary ───────────────────────────────────────────────────────────────
+  loadGlossary:      ()         => ipcRenderer.invoke('glossary:load'),
+  saveGlossary:      (glossary) => ipcRenderer.invoke('glossary:save', glossary),
+  seedGlossary:      ()         => ipcRenderer.invoke('glossary:seed'),
+
   // ── Authentication ─────────────────────────────────────────────────────────
   pickJsonFile:      ()       => ipcRenderer.invoke('auth:pickJsonFile'),
+  // Resolves once the browser redirect comes back (or fails / is cancelled)
   browserLogin:      ()       => ipcRenderer.invoke('auth:browserLogin'),
-  submitOauthCode:   (code)   => ipcRenderer.invoke('auth:submitOauthCode', code),
+  cancelBrowserLogin: ()      => ipcRenderer.invoke('auth:cancelBrowserLogin'),
+  signOut:           ()       => ipcRenderer.invoke('auth:signOut'),
+  // Sample-data profiles: a folder of CSV exports, or the bundled sample
+  pickDataFolder:    ()       => ipcRenderer.invoke('auth:pickDataFolder'),
+  useBundledSample:  ()       => ipcRenderer.invoke('auth:useBundledSample'),
 
   // ── Agent ──────────────────────────────────────────────────────────────────
   testConnection:    ()       => ipcRenderer.invoke('agent:testConnection'),
-  query:             (q)      => ipcRenderer.invoke('agent:query', q),
+  // requestId ties progress events and cancellation to one request
+  query:             (q, requestId)           => ipcRenderer.invoke('agent:query', q, requestId),
+  // pending: { historyId, turnId, profileId } from the result that asked for confirmation
+  confirmQuery:      (sql, params, pending, requestId) => ipcRenderer.invoke('agent:confirmQuery', sql, params, pending, requestId),
+  // Runs SQL as written, without the model — options: { question } for SQL edited under an answer
+  runSql:            (sql, options, requestId) => ipcRenderer.invoke('agent:runSql', sql, options, requestId),
+  cancelQuery:       (requestId)              => ipcRenderer.invoke('agent:cancel', requestId),
+  // Subscribes to { requestId, stage, message } progress events; returns an unsubscribe function
+  onProgress:        (callback) => {
+    const listener = (event, progress) => callback(progress);
+    ipcRenderer.on('agent:progress', listener);
+    return () => ipcRenderer.removeListener('agent:progress', listener);
+  },
+  resetConversation: ()       => ipcRenderer.invoke('agent:resetConversation'),
+
+  // ── Saved reports ──────────────────────────────────────────────────────────
+  listReports:       ()       => ipcRenderer.invoke('reports:list'),
+  saveReport:        (report) => ipcRenderer.invoke('reports:save', report), // { name, sql, paramTypes }
+  findReportParams:  (sql)    => ipcRenderer.invoke('reports:findParams', sql),
+  deleteReport:      (id)     => ipcRenderer.invoke('reports:delete', id),
+  runReport:         (id, values, requestId) => ipcRenderer.invoke('reports:run', id, values, requestId),
+
+  // ── Scheduled reports ──────────────────────────────────────────────────────
+  listSchedules:     ()       => ipcRenderer.invoke('schedules:list'),
+  saveSchedule:      (sched)  => ipcRenderer.invoke('schedules:save', sched), // { reportId, cron, outputDir, paramValues }
+  setScheduleEnabled:(id, on) => ipcRenderer.invoke('schedules:setEnabled', id, on),
+  deleteSchedule:    (id)     => ipcRenderer.invoke('schedules:delete', id),
+  runScheduleNow:    (id)     => ipcRenderer.invoke('schedules:runNow', id),
+  pickScheduleFolder:()       => ipcRenderer.invoke('schedules:pickFolder'),
+
+  // ── History ────────────────────────────────────────────────────────────────
+  listHistory:       (search) => ipcRenderer.invoke('history:list', search),
+  rerunHistory:      (id, requestId) => ipcRenderer.invoke('history:rerun', id, requestId),
+  deleteHistory:     (id)     => ipcRenderer.invoke('history:delete', id),
+  clearHistory:      ()       => ipcRenderer.invoke('history:clear'),
+
+  // ── Results ────────────────────────────────────────────────────────────────
+  exportResults:     (opts)   => ipcRenderer.invoke('results:export', opts), // { format, columns, rows, fields, resultId }
+  // The next page of a result too large to send at once → { ok, rows, pageToken, totalRows }
+  resultPage:        (resultId, pageToken) => ipcRenderer.invoke('results:page', resultId, pageToken),
 
   // ── Utility ────────────────────────────────────────────────────────────────
   openExternal:      (url)    => ipcRenderer.invoke('shell:openExternal', url),
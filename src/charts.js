@@ -0,0 +1,309 @@
+/**
+ * charts.js — Local SVG charts for query results
+ *
+ * Loaded before renderer.js. Everything here is drawn as inline SVG from the
+ * rows we already have — no charting library, no CDN, nothing leaves the
+ * machine (and the CSP wouldn't allow remote scripts anyway).
+ *
+ * Two result shapes are recognised:
+ * - time series: one date/timestamp column + one or more numeric columns
+ *                → line or bar chart
+ * - ranking:     one category column + exactly one numeric column
+ *                → bar or pie chart
+ * Anything else stays a table.
+ */
+
+'use strict';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_W = 640;
+const CHART_H = 260;
+const CHART_PAD = { top: 16, right: 16, bottom: 40, left: 56 };
+const CHART_COLORS = ['#f59e0b', '#7dd3fc', '#34d399', '#f87171', '#c084fc', '#fbbf24', '#60a5fa', '#a3e635'];
+const MAX_PIE_SLICES = 12;
+const MAX_CATEGORY_BARS = 50;
+
+// ── Shape detection ───────────────────────────────────────────────────────────
+
+// Matches what BigQuery DATE / DATETIME / TIMESTAMP values look like once serialized
+const DATE_LIKE = /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2}| UTC)?)?$/;
+
+function isNumericValue(v) {
+  if (typeof v === 'number') return Number.isFinite(v);
+  return typeof v === 'string' && /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(v.trim());
+}
+
+function isDateValue(v) {
+  return typeof v === 'string' && DATE_LIKE.test(v.trim()) && !Number.isNaN(parseChartDate(v));
+}
+
+function parseChartDate(v) {
+  // "2024-05-01 10:00:00 UTC" isn't something Date.parse understands
+  return Date.parse(String(v).trim().replace(' UTC', 'Z').replace(' ', 'T'));
+}
+
+// True when every non-null value in the column passes `test` (and there is at least one)
+function columnIs(rows, col, test) {
+  let seen = 0;
+  for (const row of rows) {
+    const v = row[col];
+    if (v === null || v === undefined) continue;
+    if (!test(v)) return false;
+    seen++;
+  }
+  return seen > 0;
+}
+
+/**
+ * Looks at the result columns and decides whether (and how) they can be charted.
+ *
+ * @returns {null | { kind: 'timeseries', x: string, series: string[], types: string[] }
+ *                | { kind: 'category', x: string, series: string[], types: string[] }}
+ */
+function detectChartShape(columns, rows) {
+  if (!rows || rows.length < 2 || columns.length < 2) return null;
+
+  const dateCols    = columns.filter(c => columnIs(rows, c, isDateValue));
+  const numericCols = columns.filter(c => !dateCols.includes(c) && columnIs(rows, c, isNumericValue));
+  const otherCols   = columns.filter(c => !dateCols.includes(c) && !numericCols.includes(c));
+
+  // Time series: exactly one date column, everything else numeric
+  if (dateCols.length === 1 && numericCols.length >= 1 && otherCols.length === 0) {
+    return { kind: 'timeseries', x: dateCols[0], series: numericCols, types: ['line', 'bar'] };
+  }
+
+  // Ranking: one label column (text, or a number like an extension) + one measure
+  if (columns.length === 2 && numericCols.length >= 1 && rows.length <= MAX_CATEGORY_BARS) {
+    const measure = numericCols[numericCols.length - 1];
+    const label   = columns.find(c => c !== measure);
+    const types = ['bar'];
+    const values = rows.map(r => Number(r[measure]));
+    if (rows.length <= MAX_PIE_SLICES && values.every(v => v >= 0) && values.some(v => v > 0)) types.push('pie');
+    return { kind: 'category', x: label, series: [measure], types };
+  }
+
+  return null;
+}
+
+// ── SVG helpers ───────────────────────────────────────────────────────────────
+
+function svgEl(tag, attrs = {}, text) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+function newSvg() {
+  return svgEl('svg', {
+    class: 'chart-svg',
+    viewBox: `0 0 ${CHART_W} ${CHART_H}`,
+    preserveAspectRatio: 'xMidYMid meet',
+  });
+}
+
+// Rounds the axis maximum up to a "nice" number so ticks read 0, 250, 500…
+function niceMax(value) {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const normalized = value / magnitude;
+  const step = [1, 2, 2.5, 5, 10].find(s => normalized <= s);
+  return step * magnitude;
+}
+
+function formatTick(v) {
+  if (Math.abs(v) >= 1e6) return `${+(v / 1e6).toFixed(1)}M`;
+  if (Math.abs(v) >= 1e3) return `${+(v / 1e3).toFixed(1)}k`;
+  return String(+v.toFixed(2));
+}
+
+function formatDateTick(ms, spanMs) {
+  const d = new Date(ms);
+  // Sub-two-day ranges are hourly data: show the time, otherwise the date
+  if (spanMs < 2 * 86400000) return d.toISOString().slice(11, 16);
+  return d.toISOString().slice(0, 10);
+}
+
+function truncateLabel(s, max = 14) {
+  const str = String(s ?? '—');
+  return str.length > max ? str.slice(0, max - 1) + '…' : str;
+}
+
+// Draws the value axis with horizontal grid lines; returns a value → y mapper
+function drawValueAxis(svg, minValue, maxValue) {
+  const top = niceMax(maxValue);
+  const bottom = minValue < 0 ? -niceMax(-minValue) : 0;
+  const plotH = CHART_H - CHART_PAD.top - CHART_PAD.bottom;
+  const y = v => CHART_PAD.top + plotH - ((v - bottom) / (top - bottom)) * plotH;
+
+  for (let i = 0; i <= 4; i++) {
+    const v = bottom + ((top - bottom) * i) / 4;
+    svg.appendChild(svgEl('line', { class: 'chart-grid', x1: CHART_PAD.left, x2: CHART_W - CHART_PAD.right, y1: y(v), y2: y(v) }));
+    svg.appendChild(svgEl('text', { class: 'chart-tick', x: CHART_PAD.left - 6, y: y(v) + 3, 'text-anchor': 'end' }, formatTick(v)));
+  }
+  return y;
+}
+
+function seriesExtent(rows, series) {
+  const values = rows.flatMap(r => series.map(s => Number(r[s]))).filter(Number.isFinite);
+  return { min: Math.min(0, ...values), max: Math.max(0, ...values) };
+}
+
+// ── Chart renderers ───────────────────────────────────────────────────────────
+
+function buildLineChart(shape, rows) {
+  const svg = newSvg();
+  const points = rows
+    .map(r => ({ t: parseChartDate(r[shape.x]), row: r }))
+    .filter(p => !Number.isNaN(p.t))
+    .sort((a, b) => a.t - b.t);
+
+  const { min, max } = seriesExtent(rows, shape.series);
+  const y = drawValueAxis(svg, min, max);
+
+  const t0 = points[0].t;
+  const t1 = points[points.length - 1].t;
+  const span = Math.max(t1 - t0, 1);
+  const plotW = CHART_W - CHART_PAD.left - CHART_PAD.right;
+  const x = t => CHART_PAD.left + ((t - t0) / span) * plotW;
+
+  // Time axis: ~6 evenly spaced labels
+  const tickCount = Math.min(6, points.length);
+  for (let i = 0; i < tickCount; i++) {
+    const t = t0 + (span * i) / Math.max(tickCount - 1, 1);
+    svg.appendChild(svgEl('text', { class: 'chart-tick', x: x(t), y: CHART_H - CHART_PAD.bottom + 16, 'text-anchor': 'middle' }, formatDateTick(t, span)));
+  }
+
+  shape.series.forEach((s, i) => {
+    const color = CHART_COLORS[i % CHART_COLORS.length];
+    const present = points.filter(p => p.row[s] !== null && p.row[s] !== undefined);
+    svg.appendChild(svgEl('polyline', {
+      class: 'chart-line',
+      points: present.map(p => `${x(p.t)},${y(Number(p.row[s]))}`).join(' '),
+      stroke: color,
+    }));
+    // Dots are only readable when there aren't too many points
+    if (present.length <= 60) {
+      present.forEach(p => {
+        const dot = svgEl('circle', { class: 'chart-dot', cx: x(p.t), cy: y(Number(p.row[s])), r: 2.5, fill: color });
+        dot.appendChild(svgEl('title', {}, `${p.row[shape.x]} — ${s}: ${p.row[s]}`));
+        svg.appendChild(dot);
+      });
+    }
+  });
+
+  return svg;
+}
+
+function buildBarChart(shape, rows) {
+  const svg = newSvg();
+  const ordered = shape.kind === 'timeseries'
+    ? [...rows].sort((a, b) => parseChartDate(a[shape.x]) - parseChartDate(b[shape.x]))
+    : rows;
+
+  const { min, max } = seriesExtent(ordered, shape.series);
+  const y = drawValueAxis(svg, min, max);
+
+  const plotW = CHART_W - CHART_PAD.left - CHART_PAD.right;
+  const groupW = plotW / ordered.length;
+  const barW = Math.max(1, (groupW * 0.8) / shape.series.length);
+  const labelEvery = Math.ceil(ordered.length / 12); // don't let labels collide
+
+  ordered.forEach((row, i) => {
+    const gx = CHART_PAD.left + i * groupW + groupW * 0.1;
+    shape.series.forEach((s, k) => {
+      const v = Number(row[s]) || 0;
+      const bar = svgEl('rect', {
+        class: 'chart-bar',
+        x: gx + k * barW,
+        y: Math.min(y(v), y(0)),
+        width: barW,
+        height: Math.abs(y(v) - y(0)),
+        fill: CHART_COLORS[k % CHART_COLORS.length],
+      });
+      bar.appendChild(svgEl('title', {}, `${row[shape.x]} — ${s}: ${row[s]}`));
+      svg.appendChild(bar);
+    });
+
+    if (i % labelEvery === 0) {
+      const label = shape.kind === 'timeseries'
+        ? String(row[shape.x]).slice(0, 10)
+        : truncateLabel(row[shape.x]);
+      svg.appendChild(svgEl('text', {
+        class: 'chart-tick',
+        x: gx + (groupW * 0.8) / 2,
+        y: CHART_H - CHART_PAD.bottom + 16,
+        'text-anchor': 'middle',
+      }, label));
+    }
+  });
+
+  return svg;
+}
+
+function buildPieChart(shape, rows) {
+  const svg = newSvg();
+  const measure = shape.series[0];
+  const total = rows.reduce((sum, r) => sum + (Number(r[measure]) || 0), 0);
+  const cx = CHART_H / 2 + 20;
+  const cy = CHART_H / 2;
+  const radius = CHART_H / 2 - 20;
+  let angle = -Math.PI / 2;
+
+  rows.forEach((row, i) => {
+    const v = Number(row[measure]) || 0;
+    const sweep = (v / total) * Math.PI * 2;
+    const color = CHART_COLORS[i % CHART_COLORS.length];
+    const x1 = cx + radius * Math.cos(angle);
+    const y1 = cy + radius * Math.sin(angle);
+    const x2 = cx + radius * Math.cos(angle + sweep);
+    const y2 = cy + radius * Math.sin(angle + sweep);
+
+    // A single 100% slice can't be drawn as an arc — use a circle
+    const slice = sweep >= Math.PI * 2 - 1e-9
+      ? svgEl('circle', { cx, cy, r: radius, fill: color })
+      : svgEl('path', {
+          d: `M${cx},${cy} L${x1},${y1} A${radius},${radius} 0 ${sweep > Math.PI ? 1 : 0} 1 ${x2},${y2} Z`,
+          fill: color,
+        });
+    slice.setAttribute('class', 'chart-slice');
+    const pct = total ? ((v / total) * 100).toFixed(1) : '0';
+    slice.appendChild(svgEl('title', {}, `${row[shape.x]}: ${row[measure]} (${pct}%)`));
+    svg.appendChild(slice);
+    angle += sweep;
+
+    // Legend on the right
+    const ly = 24 + i * 18;
+    svg.appendChild(svgEl('rect', { x: CHART_H + 60, y: ly - 9, width: 10, height: 10, rx: 2, fill: color }));
+    svg.appendChild(svgEl('text', { class: 'chart-legend', x: CHART_H + 76, y: ly }, `${truncateLabel(row[shape.x], 24)} — ${pct}%`));
+  });
+
+  return svg;
+}
+
+/**
+ * Renders `shape` as the given chart type ('line' | 'bar' | 'pie').
+ * Returns a wrapper element containing the SVG and a series legend.
+ */
+function buildChart(type, shape, rows) {
+  const wrap = document.createElement('div');
+  wrap.className = 'chart-wrap';
+
+  const builders = { line: buildLineChart, bar: buildBarChart, pie: buildPieChart };
+  wrap.appendChild(builders[type](shape, rows));
+
+  // Series legend (pie charts carry their own)
+  if (type !== 'pie') {
+    const legend = document.createElement('div');
+    legend.className = 'chart-series-legend';
+    shape.series.forEach((s, i) => {
+      const item = document.createElement('span');
+      item.innerHTML = `<i style="background:${CHART_COLORS[i % CHART_COLORS.length]}"></i>`;
+      item.appendChild(document.createTextNode(s));
+      legend.appendChild(item);
+    });
+    wrap.appendChild(legend);
+  }
+
+  return wrap;
+}
@@ -6,11 +6,21 @@
  * which was set up by preload.js.
  *
  * Responsibilities:
- * - Panel navigation (Chat ↔ Settings)
+ * - Panel navigation (Chat ↔ History ↔ Settings)
+ * - History: search past questions, re-run them, view their SQL
+ * - SQL: edit an answer's SQL and run it again, or write SQL in the console
+ *   (editor and highlighting in sqlEditor.js)
+ * - Saved reports: pin an answer's SQL, run it from a chip with a parameter form
+ * - Scheduled reports: run saved reports on a schedule, writing CSV files
+ * - Glossary: table/column meanings, metrics and people sent with each question
  * - Settings form: load, edit, save
+ * - Connection profiles: sidebar switcher, create / rename / delete in Settings
  * - Auth: service account JSON file picker, browser OAuth flow
  * - Connection test: display tables, update status badge
  * - Chat: send queries, render thinking state, render results as tables + SQL
+ *   (tables via resultsTable.js, paged in as they scroll; charts via charts.js
+ *   when the result has a chartable shape)
+ * - Conversation: follow-up questions share context until "New conversation"
  */
 
 'use strict';
@@ -21,62 +31,234 @@ const $$ = (sel) => document.querySelectorAll(sel);
 
 // Nav
 const navBtns    = $$('.nav-btn');
-const panels     = { chat: $('panel-chat'), settings: $('panel-settings') };
+const panels     = { chat: $('panel-chat'), history: $('panel-history'), sql: $('panel-sql'), glossary: $('panel-glossary'), settings: $('panel-settings') };
 
 // Settings form
+const inputProfileName = $('input-profile-name');
+const btnNewProfile    = $('btn-new-profile');
+const btnDeleteProfile = $('btn-delete-profile');
 const inputProject     = $('input-project');
 const inputDataset     = $('input-dataset');
+const inputExtraDatasets = $('input-extra-datasets');
+const inputTimeZone    = $('input-time-zone');
+const timeZoneList     = $('time-zones');
+const businessDayBoxes = $$('#business-days input');
+const inputBusinessStart = $('input-business-start');
+const inputBusinessEnd   = $('input-business-end');
+const inputHolidays    = $('input-holidays');
 const inputGemini      = $('input-gemini');
 const inputOauthId     = $('input-oauth-id');
 const inputOauthSecret = $('input-oauth-secret');
-const inputOauthCode   = $('input-oauth-code');
+const inputMaxBytes    = $('input-max-bytes');
+const inputConfirmAbove = $('input-confirm-above');
+const inputSummarize   = $('input-summarize');
+const inputLlmProvider = $('input-llm-provider');
+const inputLlmModel    = $('input-llm-model');
+const llmModelList     = $('llm-models');
+const inputLlmBaseUrl  = $('input-llm-base-url');
+const inputLlmKey      = $('input-llm-key');
+const inputVertexProject  = $('input-vertex-project');
+const inputVertexLocation = $('input-vertex-location');
+const inputTemperature = $('input-temperature');
+const inputMaxTokens   = $('input-max-tokens');
+const inputPromptTemplate = $('input-prompt-template');
+const promptTemplateVersion = $('prompt-template-version');
+const btnResetTemplate = $('btn-reset-template');
 const btnSave          = $('btn-save');
 const saveFeedback     = $('save-feedback');
 const btnPickJson      = $('btn-pick-json');
 const jsonStatus       = $('json-status');
 const btnBrowserLogin  = $('btn-browser-login');
-const oauthCodeRow     = $('oauth-code-row');
-const btnSubmitCode    = $('btn-submit-code');
+const btnCancelLogin   = $('btn-cancel-login');
+const btnSignOut       = $('btn-sign-out');
+const oauthStatus      = $('oauth-status');
+const dataFolderStatus = $('data-folder-status');
+const btnPickDataFolder = $('btn-pick-data-folder');
+const btnUseSample     = $('btn-use-sample');
 const authTabs         = $$('.auth-tab');
 const authPanes        = $$('.auth-pane');
 
+// Scheduled reports (Settings)
+const scheduleList      = $('schedule-list');
+const scheduleReport    = $('schedule-report');
+const schedulePreset    = $('schedule-preset');
+const scheduleTime      = $('schedule-time');
+const scheduleCron      = $('schedule-cron');
+const scheduleParams    = $('schedule-params');
+const scheduleFolder    = $('schedule-folder');
+const btnScheduleFolder = $('btn-schedule-folder');
+const btnAddSchedule    = $('btn-add-schedule');
+
+// Glossary
+const glossaryTables   = $('glossary-tables');
+const glossaryMetrics  = $('glossary-metrics');
+const glossaryPeople   = $('glossary-people');
+const btnAddMetric     = $('btn-add-metric');
+const btnAddPerson     = $('btn-add-person');
+const btnGlossarySeed  = $('btn-glossary-seed');
+const btnGlossarySave  = $('btn-glossary-save');
+const glossaryFeedback = $('glossary-feedback');
+
 // Connection
+const profileSelect = $('profile-select');
 const connStatus = $('conn-status');
 const connTables = $('conn-tables');
 const btnTest    = $('btn-test');
 
+// History
+const historySearch   = $('history-search');
+const historyList     = $('history-list');
+const btnClearHistory = $('btn-clear-history');
+
 // Chat
 const chatFeed    = $('chat-feed');
 const queryInput  = $('query-input');
 const btnSend     = $('btn-send');
 const exampleChips = $$('.example-chip');
+const btnNewConversation = $('btn-new-conversation');
+const reportChips  = $('report-chips');
 
 // ── Panel navigation ──────────────────────────────────────────────────────────
 
 function showPanel(name) {
   navBtns.forEach(b => b.classList.toggle('active', b.dataset.panel === name));
   Object.entries(panels).forEach(([k, el]) => el.classList.toggle('active', k === name));
+  if (name === 'history') renderHistory();
+  if (name === 'glossary') loadGlossary();
+  if (name === 'sql') sqlConsole.focus();
+  if (name === 'settings') renderSchedules();
 }
 
 navBtns.forEach(btn => btn.addEventListener('click', () => showPanel(btn.dataset.panel)));
 
+// Every zone the browser knows, as suggestions for the time zone box
+timeZoneList.innerHTML = Intl.supportedValuesOf('timeZone').map(tz => `<option value="${tz}">`).join('');
+
 // ── Load saved config into the form ──────────────────────────────────────────
 
+let defaultPromptTemplate = ''; // for "Reset to default"
+let providers = {};              // id → { label, defaultModel, defaultBaseUrl }, from main
+
+// Connection fields show the active profile, so every field is overwritten —
+// switching to a new, empty profile must not leave the previous one's values
 async function loadConfig() {
   const cfg = await window.electronAPI.loadConfig();
-  if (cfg.projectId) inputProject.value = cfg.projectId;
-  if (cfg.datasetId) inputDataset.value = cfg.datasetId;
-  if (cfg.geminiKey) inputGemini.value  = cfg.geminiKey;
-
-  if (cfg.hasJsonKey) {
-    jsonStatus.textContent = '✓ Key file loaded';
-    jsonStatus.className = 'file-status loaded';
-  }
+  inputProfileName.value = cfg.profileName;
+  inputProject.value     = cfg.projectId;
+  inputDataset.value     = cfg.datasetId;
+  inputExtraDatasets.value = cfg.extraDatasets;
+  inputTimeZone.value    = cfg.timeZone;
+  inputTimeZone.placeholder = `${cfg.systemTimeZone} (this computer)`;
+  businessDayBoxes.forEach(box => { box.checked = cfg.businessDays.includes(Number(box.value)); });
+  inputBusinessStart.value = cfg.businessStart;
+  inputBusinessEnd.value   = cfg.businessEnd;
+  inputHolidays.value    = cfg.holidays;
+  inputOauthId.value     = cfg.oauthClientId;
+  // Saved secrets stay in main — leaving the field blank keeps the stored one
+  showSavedSecret(inputGemini, cfg.hasGeminiKey);
+  showSavedSecret(inputOauthSecret, cfg.hasOauthClientSecret);
+  inputMaxBytes.value     = cfg.maxBytesBilledGb;
+  inputConfirmAbove.value = cfg.confirmAboveGb;
+  inputSummarize.checked  = cfg.summarizeResults;
+  providers = cfg.providers;
+  inputLlmProvider.value  = cfg.llmProvider;
+  inputLlmModel.value     = cfg.llmModel;
+  inputLlmBaseUrl.value   = cfg.llmBaseUrl;
+  showSavedSecret(inputLlmKey, cfg.hasLlmApiKey);
+  inputVertexProject.value  = cfg.vertexProject;
+  inputVertexLocation.value = cfg.vertexLocation;
+  inputVertexLocation.placeholder = cfg.defaultVertexLocation;
+  showProviderFields();
+  inputTemperature.value  = cfg.temperature ?? '';
+  inputMaxTokens.value    = cfg.maxOutputTokens ?? '';
+  inputPromptTemplate.value = cfg.promptTemplate;
+  promptTemplateVersion.textContent = `(${cfg.promptTemplateVersion})`;
+  defaultPromptTemplate = cfg.defaultPromptTemplate;
+
+  showOauthStatus(cfg.oauthSignedIn, cfg.oauthEmail);
+
+  showDataFolder(cfg.localDataDir);
+
+  jsonStatus.textContent = cfg.hasJsonKey ? '✓ Key file loaded' : 'No file uploaded';
+  jsonStatus.className = `file-status ${cfg.hasJsonKey ? 'loaded' : 'empty'}`;
 
   // Activate the right auth tab
   activateAuthTab(cfg.authMethod || 'serviceAccount');
+  return cfg;
+}
+
+function showSavedSecret(input, saved) {
+  if (!input.dataset.placeholder) input.dataset.placeholder = input.placeholder;
+  input.value = '';
+  input.placeholder = saved ? 'Saved — leave blank to keep' : input.dataset.placeholder;
 }
 
+// ── Connection profiles ──────────────────────────────────────────────────────
+
+let profileList = [];        // [{ id, name, projectId, datasetId }], kept in sync by loadProfiles()
+let activeProfileId = null;
+
+async function loadProfiles() {
+  const { activeId, profiles } = await window.electronAPI.listProfiles();
+  profileList = profiles;
+  activeProfileId = activeId;
+  profileSelect.innerHTML = profiles
+    .map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`)
+    .join('');
+  profileSelect.value = activeId;
+  profileSelect.title = profiles.find(p => p.id === activeId)?.datasetId || 'Switch connection profile';
+}
+
+// Everything that shows the active profile: settings, chips, connection badge
+async function onProfileChanged() {
+  await Promise.all([loadConfig(), loadProfiles()]);
+  await loadReports();
+  connStatus.className = 'conn-badge unconfigured';
+  connStatus.textContent = 'Not configured';
+  connTables.textContent = '';
+  btnSend.disabled = true;
+  if (panels.glossary.classList.contains('active')) loadGlossary();
+  const profile = profileList.find(p => p.id === activeProfileId);
+  if (profile?.projectId && profile?.datasetId) testConnection();
+}
+
+profileSelect.addEventListener('change', async () => {
+  const result = await window.electronAPI.switchProfile(profileSelect.value);
+  if (!result.ok) {
+    showToast(result.error, 'error');
+    profileSelect.value = activeProfileId;
+    return;
+  }
+  await onProfileChanged();
+  showToast(`Switched to ${profileList.find(p => p.id === activeProfileId)?.name}`, 'success');
+});
+
+btnNewProfile.addEventListener('click', async () => {
+  await window.electronAPI.createProfile('New profile');
+  await onProfileChanged();
+  showPanel('settings');
+  inputProfileName.focus();
+  inputProfileName.select();
+});
+
+btnDeleteProfile.addEventListener('click', async () => {
+  const profile = profileList.find(p => p.id === activeProfileId);
+  if (!profile) return;
+  if (profileList.length === 1) {
+    showToast('This is the only profile — edit it instead of deleting it', 'error');
+    return;
+  }
+  if (!confirm(`Delete the profile "${profile.name}"? Its saved credentials, saved reports and their schedules are deleted too.`)) return;
+  const result = await window.electronAPI.deleteProfile(profile.id);
+  if (!result.ok) {
+    showToast(result.error, 'error');
+    return;
+  }
+  await onProfileChanged();
+  renderSchedules();
+  showToast(`Deleted ${profile.name}`, 'success');
+});
+
 // ── Auth method tabs ──────────────────────────────────────────────────────────
 
 function activateAuthTab(method) {
@@ -102,36 +284,76 @@ btnPickJson.addEventListener('click', async () => {
   showToast('Service account key loaded', 'success');
 });
 
+// ── Sample data folder ────────────────────────────────────────────────────────
+
+function showDataFolder(dir) {
+  dataFolderStatus.textContent = dir ? `✓ ${dir}` : 'Bundled sample data';
+  btnUseSample.classList.toggle('hidden', !dir);
+}
+
+btnPickDataFolder.addEventListener('click', async () => {
+  const result = await window.electronAPI.pickDataFolder();
+  if (!result.ok) {
+    if (result.error) showToast(result.error, 'error');
+    return;
+  }
+  showDataFolder(result.dir);
+  showToast('CSV folder selected — save to use it', 'success');
+});
+
+btnUseSample.addEventListener('click', async () => {
+  await window.electronAPI.useBundledSample();
+  showDataFolder('');
+});
+
 // ── Browser OAuth flow ────────────────────────────────────────────────────────
 
+function showOauthStatus(signedIn, email) {
+  oauthStatus.textContent = signedIn ? `✓ ${email || 'Signed in'}` : 'Not signed in';
+  oauthStatus.className = `file-status ${signedIn ? 'loaded' : 'empty'}`;
+  btnSignOut.classList.toggle('hidden', !signedIn);
+}
+
 btnBrowserLogin.addEventListener('click', async () => {
   // Save the OAuth credentials to store first
-  await window.electronAPI.saveConfig({
+  const saved = await window.electronAPI.saveConfig({
     oauthClientId:     inputOauthId.value,
     oauthClientSecret: inputOauthSecret.value,
   });
+  if (!saved.ok) {
+    showToast(saved.error, 'error');
+    return;
+  }
+  if (inputOauthSecret.value) showSavedSecret(inputOauthSecret, true);
+
+  // The main process waits for the browser to redirect back, so this
+  // resolves only once sign-in finishes, fails or is cancelled
+  btnBrowserLogin.disabled = true;
+  btnCancelLogin.classList.remove('hidden');
+  oauthStatus.textContent = 'Waiting for the browser…';
+  oauthStatus.className = 'file-status empty';
+  showToast('Browser opened — finish signing in there', 'success');
 
   const result = await window.electronAPI.browserLogin();
+  btnBrowserLogin.disabled = false;
+  btnCancelLogin.classList.add('hidden');
+
   if (!result.ok) {
-    showToast(result.error, 'error');
+    const cfg = await window.electronAPI.loadConfig();
+    showOauthStatus(cfg.oauthSignedIn, cfg.oauthEmail);
+    if (!result.cancelled) showToast(result.error, 'error');
     return;
   }
-  // Show the code paste field — the browser will open and the user pastes back the code
-  oauthCodeRow.classList.remove('hidden');
-  showToast('Browser opened — sign in and paste the code below', 'success');
+  showOauthStatus(true, result.email);
+  showToast('Signed in successfully', 'success');
 });
 
-btnSubmitCode.addEventListener('click', async () => {
-  const code = inputOauthCode.value.trim();
-  if (!code) { showToast('Please paste the authorization code', 'error'); return; }
-  const result = await window.electronAPI.submitOauthCode(code);
-  if (!result.ok) {
-    showToast(result.error, 'error');
-  } else {
-    oauthCodeRow.classList.add('hidden');
-    inputOauthCode.value = '';
-    showToast('Signed in successfully', 'success');
-  }
+btnCancelLogin.addEventListener('click', () => window.electronAPI.cancelBrowserLogin());
+
+btnSignOut.addEventListener('click', async () => {
+  const result = await window.electronAPI.signOut();
+  showOauthStatus(false);
+  showToast(result.warning || 'Signed out', result.warning ? 'error' : 'success');
 });
 
 // ── Save config ───────────────────────────────────────────────────────────────
@@ -141,16 +363,327 @@ btnSave.addEventListener('click', async () => {
   const activeAuthTab = document.querySelector('.auth-tab.active');
   const authMethod = activeAuthTab?.dataset.auth || 'serviceAccount';
 
-  await window.electronAPI.saveConfig({
+  const result = await window.electronAPI.saveConfig({
+    profileName: inputProfileName.value,
     projectId:  inputProject.value,
     datasetId:  inputDataset.value,
+    extraDatasets: inputExtraDatasets.value,
+    timeZone:      inputTimeZone.value,
+    businessDays:  [...businessDayBoxes].filter(box => box.checked).map(box => Number(box.value)),
+    businessStart: inputBusinessStart.value,
+    businessEnd:   inputBusinessEnd.value,
+    holidays:      inputHolidays.value,
     geminiKey:  inputGemini.value,
     authMethod,
+    maxBytesBilledGb: inputMaxBytes.value,
+    confirmAboveGb:   inputConfirmAbove.value,
+    summarizeResults: inputSummarize.checked,
+    llmProvider:      inputLlmProvider.value,
+    llmModel:         inputLlmModel.value,
+    llmBaseUrl:       inputLlmBaseUrl.value,
+    llmApiKey:        inputLlmKey.value,
+    vertexProject:    inputVertexProject.value,
+    vertexLocation:   inputVertexLocation.value,
+    temperature:      inputTemperature.value,
+    maxOutputTokens:  inputMaxTokens.value,
+    promptTemplate:   inputPromptTemplate.value,
     // OAuth creds saved separately (in browser login handler above)
   });
+  if (!result.ok) {
+    showToast(result.error, 'error');
+    return;
+  }
+  if (inputGemini.value) showSavedSecret(inputGemini, true);
+  loadProfiles(); // the name or dataset may have changed
+  loadConfig();   // picks up the new template version
 
   saveFeedback.textContent = '✓ Saved';
   setTimeout(() => { saveFeedback.textContent = ''; }, 2500);
+  if (result.warnings?.length) showToast(`Prompt template saved. ${result.warnings.join(' ')}`, 'info');
+});
+
+// ── Model provider fields ────────────────────────────────────────────────────
+
+// Suggestions for the model box; any name the provider knows works
+const MODEL_SUGGESTIONS = {
+  gemini: ['gemini-1.5-flash', 'gemini-1.5-pro', 'gemini-2.0-flash'],
+  vertex: ['gemini-1.5-flash', 'gemini-1.5-pro', 'gemini-2.0-flash'],
+  openai: ['gpt-4o-mini', 'gpt-4o'],
+  local:  ['llama3.1', 'qwen2.5-coder', 'sqlcoder'],
+  mock:   ['mock'],
+};
+
+// Shows only the fields the selected provider uses, with its defaults as placeholders
+function showProviderFields() {
+  const provider = inputLlmProvider.value;
+  $$('[data-providers]').forEach(el => {
+    el.classList.toggle('hidden', !el.dataset.providers.split(' ').includes(provider));
+  });
+  inputLlmModel.placeholder = providers[provider]?.defaultModel || '';
+  inputLlmBaseUrl.placeholder = providers[provider]?.defaultBaseUrl || 'https://api.example.com/v1';
+  llmModelList.innerHTML = (MODEL_SUGGESTIONS[provider] || [])
+    .map(name => `<option value="${escapeHtml(name)}"></option>`).join('');
+}
+
+// A model name rarely carries over from one provider to another
+inputLlmProvider.addEventListener('change', () => {
+  inputLlmModel.value = '';
+  showProviderFields();
+});
+
+// Puts the built-in wording back in the box; it takes effect on Save
+btnResetTemplate.addEventListener('click', () => {
+  inputPromptTemplate.value = defaultPromptTemplate;
+});
+
+// ── Scheduled reports ────────────────────────────────────────────────────────
+
+let savedReports = [];       // kept in sync by loadReports()
+let scheduleOutputDir = null;
+
+// Turns the preset + time picker into a cron expression
+function scheduleCronFromForm() {
+  if (schedulePreset.value === 'custom') return scheduleCron.value.trim();
+  const [hh, mm] = (scheduleTime.value || '08:00').split(':').map(Number);
+  const days = { weekdays: '* * 1-5', daily: '* * *', weekly: '* * 1', monthly: '1 * *' }[schedulePreset.value];
+  return `${mm} ${hh} ${days}`;
+}
+
+schedulePreset.addEventListener('change', () => {
+  const custom = schedulePreset.value === 'custom';
+  scheduleCron.classList.toggle('hidden', !custom);
+  scheduleTime.classList.toggle('hidden', custom);
+  if (custom && !scheduleCron.value) scheduleCron.value = '0 8 * * 1-5';
+});
+
+// Parameterized reports need a value for each parameter on every run;
+// date parameters accept relative values like "yesterday" or "today-7"
+function renderScheduleParamFields() {
+  const report = savedReports.find(r => r.id === scheduleReport.value);
+  scheduleParams.innerHTML = '';
+  (report?.params || []).forEach(p => {
+    const group = document.createElement('div');
+    group.className = 'field-group';
+    const isDate = p.type === 'DATE' || p.type === 'TIMESTAMP';
+    group.innerHTML = `<label>${escapeHtml(p.label)}</label>`;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.dataset.param = p.name;
+    input.placeholder = isDate ? 'today, yesterday, today-7 or 2024-01-31' : '';
+    if (isDate) input.value = /start|from|begin/i.test(p.name) ? 'today-7' : 'today';
+    group.appendChild(input);
+    scheduleParams.appendChild(group);
+  });
+}
+
+scheduleReport.addEventListener('change', renderScheduleParamFields);
+
+// With several profiles, say which one a report runs against
+function reportLabel(report) {
+  if (profileList.length < 2) return report.name;
+  const profile = profileList.find(p => p.id === report.profileId);
+  return profile ? `${report.name} — ${profile.name}` : report.name;
+}
+
+function renderScheduleReportOptions() {
+  const current = scheduleReport.value;
+  scheduleReport.innerHTML = savedReports.length
+    ? savedReports.map(r => `<option value="${escapeHtml(r.id)}">${escapeHtml(reportLabel(r))}</option>`).join('')
+    : '<option value="">No saved reports yet — save one from a chat answer</option>';
+  if (savedReports.some(r => r.id === current)) scheduleReport.value = current;
+  renderScheduleParamFields();
+}
+
+btnScheduleFolder.addEventListener('click', async () => {
+  const result = await window.electronAPI.pickScheduleFolder();
+  if (!result.ok) return;
+  scheduleOutputDir = result.folder;
+  scheduleFolder.textContent = result.folder;
+  scheduleFolder.className = 'file-status loaded';
+});
+
+btnAddSchedule.addEventListener('click', async () => {
+  const paramValues = {};
+  scheduleParams.querySelectorAll('input').forEach(input => { paramValues[input.dataset.param] = input.value; });
+
+  const result = await window.electronAPI.saveSchedule({
+    reportId:  scheduleReport.value,
+    cron:      scheduleCronFromForm(),
+    outputDir: scheduleOutputDir,
+    paramValues,
+  });
+  if (!result.ok) { showToast(result.error, 'error'); return; }
+  showToast('Schedule added', 'success');
+  renderSchedules();
+});
+
+async function renderSchedules() {
+  const schedules = await window.electronAPI.listSchedules();
+  scheduleList.innerHTML = '';
+
+  schedules.forEach(schedule => {
+    const report = savedReports.find(r => r.id === schedule.reportId);
+    const last = schedule.lastRun;
+    let lastText = 'Not run yet';
+    if (last?.ok)  lastText = `Last run ${new Date(last.at).toLocaleString()} — ${last.rowCount} rows`;
+    if (last && !last.ok) lastText = `Last run ${new Date(last.at).toLocaleString()} — failed: ${last.error}`;
+
+    const item = document.createElement('div');
+    item.className = `schedule-item${schedule.enabled ? '' : ' disabled'}`;
+    item.innerHTML = `
+      <div class="history-item-main">
+        <div class="history-question">${escapeHtml(report ? reportLabel(report) : 'Deleted report')}</div>
+        <div class="history-meta"><code>${escapeHtml(schedule.cron)}</code> → ${escapeHtml(schedule.outputDir)}</div>
+        <div class="history-meta ${last && !last.ok ? 'schedule-failed' : ''}">${escapeHtml(lastText)}</div>
+      </div>
+      <div class="history-actions">
+        <button class="btn-secondary btn-sm" data-action="run">Run now</button>
+        <button class="btn-secondary btn-sm" data-action="toggle">${schedule.enabled ? 'Pause' : 'Resume'}</button>
+        <button class="btn-secondary btn-sm" data-action="delete" title="Delete schedule">✕</button>
+      </div>`;
+
+    item.addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-action]');
+      if (!btn) return;
+      if (btn.dataset.action === 'run') {
+        btn.disabled = true;
+        const outcome = await window.electronAPI.runScheduleNow(schedule.id);
+        showToast(outcome.ok ? `Wrote ${outcome.rowCount} rows` : outcome.error, outcome.ok ? 'success' : 'error');
+      } else if (btn.dataset.action === 'toggle') {
+        await window.electronAPI.setScheduleEnabled(schedule.id, !schedule.enabled);
+      } else if (btn.dataset.action === 'delete') {
+        await window.electronAPI.deleteSchedule(schedule.id);
+      }
+      renderSchedules();
+    });
+
+    scheduleList.appendChild(item);
+  });
+}
+
+// ── Glossary ─────────────────────────────────────────────────────────────────
+
+// Fills the editor from { glossary, tables } as returned by main. `tables`
+// lists known columns; glossary entries for tables not loaded yet still show.
+function renderGlossary({ glossary, tables }) {
+  glossaryTables.innerHTML = '';
+  const tableNames = [...new Set([...Object.keys(tables), ...Object.keys(glossary.tables)])].sort();
+
+  if (!tableNames.length) {
+    glossaryTables.innerHTML = '<div class="history-empty">No tables yet — test the connection or click <em>Fill from BigQuery</em> to list them.</div>';
+  }
+
+  tableNames.forEach(tableName => {
+    const entry = glossary.tables[tableName] || { description: '', columns: {} };
+    const columns = tables[tableName] || Object.keys(entry.columns).map(name => ({ name, type: '' }));
+    const described = Object.keys(entry.columns).length;
+
+    const block = document.createElement('details');
+    block.className = 'glossary-table';
+    block.dataset.table = tableName;
+    block.innerHTML = `
+      <summary><span class="glossary-table-name">${escapeHtml(tableName)}</span>
+        <span class="glossary-count">${described} of ${columns.length} column${columns.length !== 1 ? 's' : ''} described</span></summary>
+      <input class="glossary-table-desc" type="text" placeholder="What is one row of this table? e.g. one call leg" value="${escapeHtml(entry.description)}"/>
+      <div class="glossary-columns"></div>`;
+
+    const list = block.querySelector('.glossary-columns');
+    columns.forEach(col => {
+      const column = entry.columns[col.name] || { description: '', values: {} };
+      const row = document.createElement('div');
+      row.className = 'glossary-column';
+      row.dataset.column = col.name;
+      row.innerHTML = `
+        <span class="glossary-column-name">${escapeHtml(col.name)}${col.type ? ` <em>${escapeHtml(col.type)}</em>` : ''}</span>
+        <input class="glossary-column-desc" type="text" placeholder="Meaning" value="${escapeHtml(column.description)}"/>
+        <input class="glossary-column-values" type="text" placeholder="Values, e.g. 1 = Inbound, 2 = Outbound" value="${escapeHtml(formatValueMeanings(column.values))}"/>`;
+      list.appendChild(row);
+    });
+    glossaryTables.appendChild(block);
+  });
+
+  glossaryMetrics.innerHTML = '';
+  glossary.metrics.forEach(m => addGlossaryRow(glossaryMetrics, METRIC_FIELDS, m));
+  glossaryPeople.innerHTML = '';
+  glossary.people.forEach(p => addGlossaryRow(glossaryPeople, PERSON_FIELDS, p));
+}
+
+function formatValueMeanings(values = {}) {
+  return Object.entries(values).map(([code, meaning]) => `${code} = ${meaning}`).join(', ');
+}
+
+// [field, placeholder] for each input in a metrics / people row
+const METRIC_FIELDS = [['name', 'Term, e.g. abandoned in queue'], ['definition', 'How to compute it, e.g. queue call that ended before being answered']];
+const PERSON_FIELDS = [['extension', 'Extension'], ['name', 'Person']];
+
+function addGlossaryRow(container, fields, values = {}) {
+  const row = document.createElement('div');
+  row.className = 'glossary-row';
+  fields.forEach(([field, placeholder]) => {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.dataset.field = field;
+    input.value = values[field] || '';
+    input.placeholder = placeholder;
+    row.appendChild(input);
+  });
+  const remove = document.createElement('button');
+  remove.className = 'btn-secondary btn-sm';
+  remove.title = 'Remove';
+  remove.textContent = '✕';
+  remove.addEventListener('click', () => row.remove());
+  row.appendChild(remove);
+  container.appendChild(row);
+  return row;
+}
+
+// Reads the editor back into the shape main stores (values stay as text; main parses them)
+function collectGlossary() {
+  const tables = {};
+  glossaryTables.querySelectorAll('.glossary-table').forEach(block => {
+    const columns = {};
+    block.querySelectorAll('.glossary-column').forEach(row => {
+      columns[row.dataset.column] = {
+        description: row.querySelector('.glossary-column-desc').value,
+        values:      row.querySelector('.glossary-column-values').value,
+      };
+    });
+    tables[block.dataset.table] = { description: block.querySelector('.glossary-table-desc').value, columns };
+  });
+  const rows = (container) => [...container.querySelectorAll('.glossary-row')].map(row =>
+    Object.fromEntries([...row.querySelectorAll('input')].map(input => [input.dataset.field, input.value])));
+  return { tables, metrics: rows(glossaryMetrics), people: rows(glossaryPeople) };
+}
+
+async function loadGlossary() {
+  renderGlossary(await window.electronAPI.loadGlossary());
+}
+
+btnAddMetric.addEventListener('click', () => addGlossaryRow(glossaryMetrics, METRIC_FIELDS).querySelector('input').focus());
+btnAddPerson.addEventListener('click', () => addGlossaryRow(glossaryPeople, PERSON_FIELDS).querySelector('input').focus());
+
+btnGlossarySave.addEventListener('click', async () => {
+  const result = await window.electronAPI.saveGlossary(collectGlossary());
+  if (!result.ok) {
+    showToast(result.error, 'error');
+    return;
+  }
+  glossaryFeedback.textContent = '✓ Saved';
+  setTimeout(() => { glossaryFeedback.textContent = ''; }, 2500);
+});
+
+btnGlossarySeed.addEventListener('click', async () => {
+  // Keep unsaved edits: save first, then fill blanks from BigQuery
+  await window.electronAPI.saveGlossary(collectGlossary());
+  btnGlossarySeed.disabled = true;
+  const result = await window.electronAPI.seedGlossary();
+  btnGlossarySeed.disabled = false;
+  if (!result.ok) {
+    showToast(`Could not read BigQuery metadata: ${result.error}`, 'error');
+    return;
+  }
+  renderGlossary(result);
+  showToast('Filled blank descriptions from BigQuery', 'success');
 });
 
 // ── Connection test ───────────────────────────────────────────────────────────
@@ -215,6 +748,18 @@ exampleChips.forEach(chip => {
   });
 });
 
+// ── Chat: new conversation ───────────────────────────────────────────────────
+
+// Main keeps the recent turns so follow-ups work; this forgets them and clears
+// the feed so what's on screen matches what Gemini will see.
+btnNewConversation.addEventListener('click', async () => {
+  if (isQuerying) return;
+  await window.electronAPI.resetConversation();
+  chatFeed.innerHTML = '';
+  queryInput.focus();
+  showToast('Started a new conversation', 'success');
+});
+
 // ── Chat: query flow ──────────────────────────────────────────────────────────
 
 let isQuerying = false;
@@ -232,20 +777,309 @@ async function sendQuery() {
   appendQuestion(text);
 
   // 2. Show the thinking indicator while we wait
-  const thinkingEl = appendThinking();
+  const requestId = crypto.randomUUID();
+  const thinkingEl = appendThinking(requestId);
 
-  // 3. Send to main process (Gemini → BigQuery)
-  const result = await window.electronAPI.query(text);
+  // 3. Send to main process (Gemini → BigQuery); progress arrives via onProgress
+  const result = await window.electronAPI.query(text, requestId);
 
-  // 4. Remove thinking indicator and render the result
+  // 4. Remove thinking indicator and render the result — or, for expensive
+  //    queries, ask before spending the money
   thinkingEl.remove();
-  appendAnswer(result);
+  if (result.needsConfirmation) {
+    appendCostConfirmation(result, { question: text });
+  } else {
+    appendAnswer(result, { question: text });
+  }
 
   isQuerying = false;
   btnSend.disabled = false;
   queryInput.focus();
 }
 
+// ── History panel ────────────────────────────────────────────────────────────
+
+async function renderHistory() {
+  const entries = await window.electronAPI.listHistory(historySearch.value);
+  historyList.innerHTML = '';
+
+  if (entries.length === 0) {
+    historyList.innerHTML = `<div class="history-empty">${historySearch.value ? 'No matching questions.' : 'No questions asked yet.'}</div>`;
+    return;
+  }
+
+  entries.forEach(entry => historyList.appendChild(buildHistoryItem(entry)));
+}
+
+function buildHistoryItem(entry) {
+  const item = document.createElement('div');
+  item.className = 'history-item';
+
+  let status;
+  if (entry.error)               status = `<span class="history-status error" title="${escapeHtml(entry.error)}">Error</span>`;
+  else if (entry.pending)        status = '<span class="history-status">Not confirmed</span>';
+  else if (entry.rowCount != null) status = `<span class="history-status">${entry.rowCount} row${entry.rowCount !== 1 ? 's' : ''}</span>`;
+  else                           status = '<span class="history-status">No answer</span>';
+
+  item.innerHTML = `
+    <div class="history-item-main">
+      <div class="history-question">${escapeHtml(entry.question)}</div>
+      <div class="history-meta">${escapeHtml(new Date(entry.timestamp).toLocaleString())}${profileList.length > 1 && entry.profileName ? ` · <span class="history-profile">${escapeHtml(entry.profileName)}</span>` : ''}${entry.generatedBy ? ` · <span class="history-model" title="${escapeHtml(generatedByTitle(entry.generatedBy))}">${escapeHtml(generatedByText(entry.generatedBy))}</span>` : ''} ${status}</div>
+    </div>
+    <div class="history-actions">
+      <button class="btn-secondary btn-sm" data-action="rerun">Re-run</button>
+      ${entry.sql ? '<button class="btn-secondary btn-sm" data-action="sql">SQL</button>' : ''}
+      <button class="btn-secondary btn-sm" data-action="delete" title="Remove from history">✕</button>
+    </div>`;
+
+  if (entry.sql) {
+    const sqlEl = document.createElement('pre');
+    sqlEl.className = 'sql-block history-sql hidden';
+    sqlEl.innerHTML = highlightSql(entry.sql);
+    item.appendChild(sqlEl);
+  }
+
+  item.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    if (btn.dataset.action === 'sql') {
+      item.querySelector('.history-sql').classList.toggle('hidden');
+    } else if (btn.dataset.action === 'delete') {
+      await window.electronAPI.deleteHistory(entry.id);
+      item.remove();
+    } else if (btn.dataset.action === 'rerun') {
+      rerunHistoryEntry(entry);
+    }
+  });
+
+  return item;
+}
+
+// Re-runs an entry in the chat feed. Entries with SQL run it as-is (no Gemini);
+// entries without SQL (refusals, errors before SQL) ask the question again.
+async function rerunHistoryEntry(entry) {
+  showPanel('chat');
+  if (!entry.sql) {
+    queryInput.value = entry.question;
+    sendQuery();
+    return;
+  }
+  runInChat(entry.question, (requestId) => window.electronAPI.rerunHistory(entry.id, requestId));
+}
+
+let historySearchTimer = null;
+historySearch.addEventListener('input', () => {
+  clearTimeout(historySearchTimer);
+  historySearchTimer = setTimeout(renderHistory, 200);
+});
+
+btnClearHistory.addEventListener('click', async () => {
+  if (!confirm('Delete all saved query history?')) return;
+  await window.electronAPI.clearHistory();
+  renderHistory();
+});
+
+// ── SQL console ──────────────────────────────────────────────────────────────
+
+// SQL typed here runs as written (agent:runSql) and stays out of the chat
+// conversation. Only the latest result is shown.
+const sqlConsoleResults = $('sql-console-results');
+let sqlConsoleRunning = false;
+
+const sqlConsole = createSqlEditor({
+  sql: '',
+  onRun: async (sql) => {
+    if (sqlConsoleRunning) return;
+    sqlConsoleRunning = true;
+    sqlConsoleResults.innerHTML = '';
+    const requestId = crypto.randomUUID();
+    const thinkingEl = appendThinking(requestId, sqlConsoleResults);
+    const result = await window.electronAPI.runSql(sql, {}, requestId);
+    thinkingEl.remove();
+    if (result.needsConfirmation) appendCostConfirmation(result, { feed: sqlConsoleResults });
+    else appendAnswer(result, { feed: sqlConsoleResults });
+    sqlConsoleRunning = false;
+  },
+});
+$('sql-console-editor').appendChild(sqlConsole.el);
+
+// ── Saved reports ────────────────────────────────────────────────────────────
+
+// Renders saved reports as chips next to the built-in examples
+async function loadReports() {
+  const reports = await window.electronAPI.listReports();
+  savedReports = reports;
+  renderScheduleReportOptions();
+  reportChips.innerHTML = '';
+  // Chips are for the active profile; other profiles' reports still run on their schedules
+  reports.filter(r => r.profileId === activeProfileId).forEach(report => {
+    const chip = document.createElement('button');
+    chip.className = 'example-chip report-chip';
+    chip.title = report.params.length
+      ? `Saved report — asks for ${report.params.map(p => p.name).join(', ')}`
+      : 'Saved report';
+    chip.innerHTML = `<span class="report-chip-pin">★</span>${escapeHtml(report.name)}<span class="report-chip-delete" title="Delete saved report">✕</span>`;
+    chip.addEventListener('click', async (e) => {
+      if (e.target.closest('.report-chip-delete')) {
+        if (!confirm(`Delete the saved report "${report.name}"?`)) return;
+        await window.electronAPI.deleteReport(report.id);
+        loadReports();
+        return;
+      }
+      if (report.params.length) appendReportForm(report);
+      else runInChat(`★ ${report.name}`, (requestId) => window.electronAPI.runReport(report.id, {}, requestId));
+    });
+    reportChips.appendChild(chip);
+  });
+}
+
+// Small form for a parameterized report: one input per @parameter
+function appendReportForm(report) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'message';
+  wrapper.innerHTML = `
+    <div class="msg-answer">
+      <div class="msg-text report-form">
+        <div class="report-form-title">★ ${escapeHtml(report.name)}</div>
+        <div class="report-form-fields"></div>
+        <div class="confirm-actions">
+          <button class="btn-primary btn-sm" data-action="run">Run report</button>
+          <button class="btn-secondary btn-sm" data-action="cancel">Cancel</button>
+        </div>
+      </div>
+    </div>`;
+
+  const fields = wrapper.querySelector('.report-form-fields');
+  report.params.forEach(p => {
+    const group = document.createElement('div');
+    group.className = 'field-group';
+    group.innerHTML = `<label>${escapeHtml(p.label)}</label>`;
+    const input = document.createElement('input');
+    input.dataset.param = p.name;
+    input.type  = { DATE: 'date', TIMESTAMP: 'datetime-local', INT64: 'number' }[p.type] || 'text';
+    input.value = defaultParamValue(p);
+    group.appendChild(input);
+    fields.appendChild(group);
+  });
+
+  wrapper.querySelector('[data-action="cancel"]').addEventListener('click', () => wrapper.remove());
+  wrapper.querySelector('[data-action="run"]').addEventListener('click', () => {
+    const values = {};
+    fields.querySelectorAll('input').forEach(input => { values[input.dataset.param] = input.value; });
+    const summary = report.params.map(p => `${p.name} = ${values[p.name]}`).join(', ');
+    wrapper.remove();
+    runInChat(`★ ${report.name} (${summary})`, (requestId) => window.electronAPI.runReport(report.id, values, requestId));
+  });
+
+  chatFeed.appendChild(wrapper);
+  chatFeed.scrollTop = chatFeed.scrollHeight;
+}
+
+// Pre-fills date parameters with "the last 7 days"; everything else starts empty
+function defaultParamValue(param) {
+  const today = new Date();
+  const weekAgo = new Date(today.getTime() - 7 * 86400000);
+  const isStart = /start|from|begin/i.test(param.name);
+  const day = (isStart ? weekAgo : today).toLocaleDateString('en-CA'); // YYYY-MM-DD in local time
+  if (param.type === 'DATE') return day;
+  if (param.type === 'TIMESTAMP') return `${day}T${isStart ? '00:00' : '23:59'}`;
+  return '';
+}
+
+// Inline form under an answer: name the report and optionally turn fixed
+// values in the SQL into @parameters before saving
+function buildSaveReportForm(result, onDone) {
+  const form = document.createElement('div');
+  form.className = 'msg-text report-form';
+  form.innerHTML = `
+    <div class="field-group">
+      <label>Report name</label>
+      <input class="report-name" type="text" placeholder="Daily queue summary" autocomplete="off"/>
+    </div>
+    <div class="field-group">
+      <label>SQL</label>
+      <textarea class="report-sql" rows="8" spellcheck="false"></textarea>
+    </div>
+    <p class="settings-hint">Saved reports run this exact SQL, without Gemini. To fill values in each time, replace them with parameters such as <code>@start_date</code>, <code>@end_date</code> or <code>@extension</code>.</p>
+    <div class="report-params"></div>
+    <div class="confirm-actions">
+      <button class="btn-primary btn-sm" data-action="save">Save report</button>
+      <button class="btn-secondary btn-sm" data-action="cancel">Cancel</button>
+    </div>`;
+
+  const sqlInput = form.querySelector('.report-sql');
+  const paramsEl = form.querySelector('.report-params');
+  sqlInput.value = result.sql;
+
+  // Shows a type picker for each @parameter as the user types them in. The
+  // main process finds them, exactly as it will when saving; a reply to
+  // older text than the box now holds is dropped.
+  let paramsRequest = 0;
+  async function refreshParams() {
+    const request = ++paramsRequest;
+    const found = await window.electronAPI.findReportParams(sqlInput.value);
+    if (request !== paramsRequest || !found.ok) return;
+    const { names } = found;
+    const previous = Object.fromEntries([...paramsEl.querySelectorAll('select')].map(sel => [sel.dataset.param, sel.value]));
+    paramsEl.innerHTML = '';
+    names.forEach(name => {
+      const row = document.createElement('div');
+      row.className = 'report-param-row';
+      row.innerHTML = `
+        <code>@${escapeHtml(name)}</code>
+        <select data-param="${escapeHtml(name)}">
+          <option value="">Auto</option>
+          <option value="DATE">Date</option>
+          <option value="TIMESTAMP">Date &amp; time</option>
+          <option value="STRING">Text</option>
+          <option value="INT64">Whole number</option>
+        </select>`;
+      row.querySelector('select').value = previous[name] || '';
+      paramsEl.appendChild(row);
+    });
+  }
+  sqlInput.addEventListener('input', refreshParams);
+  refreshParams();
+
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => onDone(false));
+  form.querySelector('[data-action="save"]').addEventListener('click', async () => {
+    const paramTypes = {};
+    paramsEl.querySelectorAll('select').forEach(sel => { if (sel.value) paramTypes[sel.dataset.param] = sel.value; });
+    const saved = await window.electronAPI.saveReport({
+      name: form.querySelector('.report-name').value,
+      sql:  sqlInput.value,
+      paramTypes,
+    });
+    if (!saved.ok) { showToast(saved.error, 'error'); return; }
+    showToast(`Saved "${saved.report.name}"`, 'success');
+    loadReports();
+    onDone(true);
+  });
+
+  return form;
+}
+
+// Runs something that returns a query result and renders it in the chat feed
+// like an ordinary question (with the cost confirmation when needed).
+// `question` is what editing the answer's SQL continues from — the label
+// unless that's only a caption ("Edited SQL").
+async function runInChat(label, run, question = label) {
+  if (isQuerying) return;
+  isQuerying = true;
+  btnSend.disabled = true;
+
+  appendQuestion(label);
+  const requestId = crypto.randomUUID();
+  const thinkingEl = appendThinking(requestId);
+  const result = await run(requestId);
+  thinkingEl.remove();
+  if (result.needsConfirmation) appendCostConfirmation(result, { question });
+  else appendAnswer(result, { question });
+
+  isQuerying = false;
+  btnSend.disabled = false;
+}
+
 // ── Chat: DOM rendering helpers ───────────────────────────────────────────────
 
 function appendQuestion(text) {
@@ -257,9 +1091,13 @@ function appendQuestion(text) {
   return el;
 }
 
-function appendThinking() {
+// Thinking indicator for one request. Main streams progress events tagged with
+// the same requestId (see onProgress below); Cancel stops the Gemini call or
+// BigQuery job that's currently running. `feed` is the chat, or the SQL console.
+function appendThinking(requestId, feed = chatFeed) {
   const el = document.createElement('div');
   el.className = 'message';
+  el.dataset.requestId = requestId;
   el.innerHTML = `
     <div class="msg-answer">
       <div class="msg-answer-header">
@@ -267,15 +1105,60 @@ function appendThinking() {
           <svg viewBox="0 0 24 24"><path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z"/></svg>
         </div>
         <span class="answer-label">Thinking</span>
+        <button class="btn-secondary btn-sm thinking-cancel">Cancel</button>
       </div>
+      <ol class="thinking-stages"></ol>
       <div class="thinking"><span></span><span></span><span></span></div>
     </div>`;
-  chatFeed.appendChild(el);
-  chatFeed.scrollTop = chatFeed.scrollHeight;
+
+  const btnCancel = el.querySelector('.thinking-cancel');
+  btnCancel.addEventListener('click', () => {
+    btnCancel.disabled = true;
+    btnCancel.textContent = 'Cancelling…';
+    window.electronAPI.cancelQuery(requestId);
+  });
+
+  feed.appendChild(el);
+  feed.scrollTop = feed.scrollHeight;
   return el;
 }
 
-function appendAnswer(result) {
+// Adds each pipeline stage to its request's thinking indicator as it happens.
+// Repeated stages (e.g. several repairs) each get their own line.
+window.electronAPI.onProgress(({ requestId, message }) => {
+  const el = document.querySelector(`.message[data-request-id="${CSS.escape(requestId)}"]`);
+  if (!el) return;
+  const stages = el.querySelector('.thinking-stages');
+  stages.querySelectorAll('li').forEach(li => li.classList.add('done'));
+  const li = document.createElement('li');
+  li.textContent = message;
+  stages.appendChild(li);
+  el.parentElement.scrollTop = el.parentElement.scrollHeight;
+});
+
+// "gemini-1.5-flash · custom v3" — which model and prompt wrote the SQL.
+// Entries from before providers were pluggable have no provider: Gemini.
+function generatedByText(info) {
+  const provider = info.provider && info.provider !== 'gemini' ? `${providerLabel(info.provider)} · ` : '';
+  // 'default' (from before versions) or 'default v2' → "default prompt v2"
+  return `${provider}${info.model} · ${info.template.replace(/^default\b/, 'default prompt')}`;
+}
+
+function generatedByTitle(info) {
+  return `Provider: ${providerLabel(info.provider || 'gemini')}\nModel: ${info.model}\n` +
+    `Temperature: ${info.temperature ?? 'default'}\nMax output tokens: ${info.maxOutputTokens ?? 'default'}\n` +
+    `Prompt template: ${info.template}`;
+}
+
+function providerLabel(id) {
+  return providers[id]?.label || id;
+}
+
+// `question` is the question the SQL answers, kept so the SQL can be edited and
+// run again as a follow-up. Answers in the SQL console (`feed`) aren't editable
+// in place — the console's own editor is right above them.
+function appendAnswer(result, { question = null, feed = chatFeed } = {}) {
+  const editable = feed === chatFeed && question != null;
   const wrapper = document.createElement('div');
   wrapper.className = 'message';
 
@@ -290,14 +1173,46 @@ function appendAnswer(result) {
         <svg viewBox="0 0 24 24"><path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z"/></svg>
       </div>
       <span class="answer-label">Agent</span>
+      ${result.generatedBy ? `<span class="answer-model" title="${escapeHtml(generatedByTitle(result.generatedBy))}">${escapeHtml(generatedByText(result.generatedBy))}</span>` : ''}
+      ${result.estimatedBytes != null ? `<span class="answer-cost" title="Estimated bytes processed (BigQuery dry run)">≈ ${formatBytes(result.estimatedBytes)} scanned</span>` : ''}
     </div>`;
 
-  if (!result.ok) {
+  // Which days the question's dates were taken to mean, in the site's time zone
+  if (result.timeWindow && !result.cancelled) {
+    const window = document.createElement('div');
+    window.className = 'answer-window';
+    window.textContent = result.timeWindow.text;
+    if (result.timeWindow.start) window.title = `${result.timeWindow.start} to ${result.timeWindow.end} (UTC, end exclusive)`;
+    answer.appendChild(window);
+  }
+
+  if (!result.ok && result.cancelled) {
+    // The user pressed Cancel while this was running
+    const msg = document.createElement('div');
+    msg.className = 'msg-text';
+    msg.textContent = 'Cancelled.';
+    answer.appendChild(msg);
+
+  } else if (!result.ok && result.blocked) {
+    // The safety gate refused the generated SQL before it reached BigQuery
+    const refusal = document.createElement('div');
+    refusal.className = 'msg-text msg-blocked';
+    refusal.innerHTML = `<strong>Query blocked</strong> — only read-only queries against the configured dataset are allowed.<br>${escapeHtml(result.error)}`;
+    answer.appendChild(refusal);
+    if (result.sql) answer.appendChild(withSqlEditing(buildSqlDisclosure(result.sql, 'Blocked SQL'), result.sql, editable && question));
+
+  } else if (!result.ok) {
     // Error from main process
     const err = document.createElement('div');
     err.className = 'msg-text msg-error';
     err.textContent = result.error;
     answer.appendChild(err);
+    // If Gemini tried to repair the SQL before giving up, show every attempt
+    if (result.sql && result.attempts?.length) {
+      answer.appendChild(withSqlEditing(buildSqlDisclosure(result.sql, 'SQL Query', result.attempts, false), result.sql, editable && question));
+    } else if (result.sql && editable) {
+      answer.appendChild(withSqlEditing(buildSqlDisclosure(result.sql), result.sql, question));
+    }
 
   } else if (result.message) {
     // "CANNOT_ANSWER" or info message from the agent
@@ -309,17 +1224,22 @@ function appendAnswer(result) {
   } else {
     // We have real results
 
-    // SQL disclosure (collapsed by default — keeps the UI clean)
-    if (result.sql) {
-      const details = document.createElement('details');
-      details.className = 'sql-disclosure';
-      details.innerHTML = `<summary>SQL Query</summary><pre class="sql-block">${escapeHtml(result.sql)}</pre>`;
-      answer.appendChild(details);
+    // Plain-English answer from the second Gemini pass (if enabled)
+    if (result.answerText) {
+      const summary = document.createElement('div');
+      summary.className = 'msg-summary';
+      summary.textContent = result.answerText;
+      answer.appendChild(summary);
     }
 
+    // SQL disclosure (collapsed by default — keeps the UI clean)
+    if (result.sql) answer.appendChild(withSqlEditing(buildSqlDisclosure(result.sql, 'SQL Query', result.attempts), result.sql, editable && question));
+
     // Results table or empty message
     if (result.rows && result.rows.length > 0) {
-      answer.appendChild(buildResultsTable(result.columns, result.rows));
+      const shape = detectChartShape(result.columns, result.rows);
+      answer.appendChild(shape ? buildResultsView(result, shape) : buildResultsTable(result));
+      answer.appendChild(buildAnswerActions(result));
     } else {
       const empty = document.createElement('div');
       empty.className = 'msg-text';
@@ -329,51 +1249,202 @@ function appendAnswer(result) {
   }
 
   wrapper.appendChild(answer);
-  chatFeed.appendChild(wrapper);
-  chatFeed.scrollTop = chatFeed.scrollHeight;
+  feed.appendChild(wrapper);
+  feed.scrollTop = feed.scrollHeight;
   return wrapper;
 }
 
-function buildResultsTable(columns, rows) {
-  const wrap = document.createElement('div');
-  wrap.className = 'results-wrap';
+// Shown instead of an answer when the dry run is over the "ask before running"
+// threshold. Running it goes back through main, which re-checks everything.
+function appendCostConfirmation(result, { question = null, feed = chatFeed } = {}) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'message';
+  wrapper.innerHTML = `
+    <div class="msg-answer">
+      <div class="msg-answer-header">
+        <div class="answer-icon">
+          <svg viewBox="0 0 24 24"><path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z"/></svg>
+        </div>
+        <span class="answer-label">Agent</span>
+      </div>
+      <div class="msg-text msg-confirm">
+        This query will scan about <strong>${formatBytes(result.estimatedBytes)}</strong>,
+        which is over your ${formatBytes(result.confirmAbove)} threshold. Run it anyway?
+        <div class="confirm-actions">
+          <button class="btn-primary btn-sm" data-action="run">Run query</button>
+          <button class="btn-secondary btn-sm" data-action="cancel">Cancel</button>
+        </div>
+      </div>
+    </div>`;
+
+  const answer = wrapper.querySelector('.msg-answer');
+  answer.appendChild(withSqlEditing(buildSqlDisclosure(result.sql), result.sql, feed === chatFeed && question));
+
+  const confirmBox = wrapper.querySelector('.msg-confirm');
+  confirmBox.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+    confirmBox.textContent = 'Query cancelled — nothing was run.';
+  });
+  confirmBox.querySelector('[data-action="run"]').addEventListener('click', async () => {
+    wrapper.remove();
+    const requestId = crypto.randomUUID();
+    const thinkingEl = appendThinking(requestId, feed);
+    const pending = { historyId: result.historyId, turnId: result.turnId, profileId: result.profileId };
+    const confirmed = await window.electronAPI.confirmQuery(result.sql, result.params, pending, requestId);
+    thinkingEl.remove();
+    appendAnswer(confirmed, { question, feed });
+  });
+
+  feed.appendChild(wrapper);
+  feed.scrollTop = feed.scrollHeight;
+  return wrapper;
+}
 
-  // Row count metadata strip
-  const meta = document.createElement('div');
-  meta.className = 'results-meta';
-  meta.textContent = `${rows.length} row${rows.length !== 1 ? 's' : ''} · ${columns.length} column${columns.length !== 1 ? 's' : ''}`;
-  wrap.appendChild(meta);
+// Collapsible SQL block. `attempts` are earlier SQL versions BigQuery rejected
+// (and Gemini repaired) — listed first, each with the error that triggered the retry.
+function buildSqlDisclosure(sql, label = 'SQL Query', attempts = [], succeeded = true) {
+  const details = document.createElement('details');
+  details.className = 'sql-disclosure';
+
+  let summary = label;
+  if (attempts.length) {
+    const n = attempts.length;
+    summary += succeeded
+      ? ` (corrected after ${n} failed attempt${n !== 1 ? 's' : ''})`
+      : ` (${n + 1} attempts, none succeeded)`;
+  }
 
-  const tableWrap = document.createElement('div');
-  tableWrap.className = 'results-table-wrap';
+  const attemptHtml = attempts.map((a, i) => `
+    <div class="sql-attempt">
+      <div class="sql-attempt-label">Attempt ${i + 1} — retried because BigQuery said:</div>
+      <div class="sql-attempt-error">${escapeHtml(a.error)}</div>
+      <pre class="sql-block sql-block-failed">${highlightSql(a.sql)}</pre>
+    </div>`).join('');
 
-  const table = document.createElement('table');
-  table.className = 'results-table';
+  const finalLabel = attempts.length
+    ? `<div class="sql-attempt-label">Attempt ${attempts.length + 1} — ${succeeded ? 'final' : 'also failed'}:</div>`
+    : '';
 
-  // Header
-  const thead = document.createElement('thead');
-  thead.innerHTML = `<tr>${columns.map(c => `<th title="${escapeHtml(c)}">${escapeHtml(c)}</th>`).join('')}</tr>`;
-  table.appendChild(thead);
+  details.innerHTML = `<summary>${escapeHtml(summary)}</summary>${attemptHtml}${finalLabel}<pre class="sql-block sql-final">${highlightSql(sql)}</pre>`;
+  return details;
+}
 
-  // Body — limit visual rows to 200 for performance (BigQuery already limits the query)
-  const tbody = document.createElement('tbody');
-  rows.slice(0, 200).forEach(row => {
-    const tr = document.createElement('tr');
-    columns.forEach(col => {
-      const td = document.createElement('td');
-      const val = row[col];
-      const display = val === null || val === undefined ? '—' : String(val);
-      td.textContent = display;
-      td.title = display; // tooltip on hover for truncated values
-      tr.appendChild(td);
+// Adds an "Edit" button to a SQL disclosure: the final SQL turns into an editor
+// and runs as a follow-up to `question` — straight to BigQuery, no model.
+// Without a question (SQL console results) the disclosure is left as it is.
+function withSqlEditing(details, sql, question) {
+  if (!question) return details;
+  const summary = details.querySelector('summary');
+  const btnEdit = document.createElement('button');
+  btnEdit.className = 'btn-secondary btn-sm sql-edit';
+  btnEdit.textContent = 'Edit';
+  summary.appendChild(btnEdit);
+
+  btnEdit.addEventListener('click', (e) => {
+    e.preventDefault(); // a click inside <summary> would also toggle the disclosure
+    const block = details.querySelector('.sql-final');
+    if (!block) return;
+    details.open = true;
+    btnEdit.disabled = true;
+
+    const editor = createSqlEditor({
+      sql,
+      onRun: (edited) => {
+        if (isQuerying) return;
+        runInChat('Edited SQL', (requestId) => window.electronAPI.runSql(edited, { question }, requestId), question);
+      },
+      onCancel: () => {
+        editor.el.replaceWith(block);
+        btnEdit.disabled = false;
+      },
+    });
+    block.replaceWith(editor.el);
+    editor.focus();
+  });
+  return details;
+}
+
+// Chart + table with a toggle between them. Used when charts.js recognises the
+// result shape (time series or ranking); starts on the first suggested chart.
+// Charts are drawn from the rows loaded so far (the first page).
+function buildResultsView(result, shape) {
+  const view = document.createElement('div');
+  view.className = 'results-view';
+
+  const toggle = document.createElement('div');
+  toggle.className = 'view-toggle';
+  const modes = [...shape.types, 'table'];
+  const labels = { line: 'Line', bar: 'Bar', pie: 'Pie', table: 'Table' };
+  toggle.innerHTML = modes
+    .map(m => `<button class="view-toggle-btn" data-mode="${m}">${labels[m]}</button>`)
+    .join('');
+  view.appendChild(toggle);
+
+  const body = document.createElement('div');
+  view.appendChild(body);
+
+  function show(mode) {
+    toggle.querySelectorAll('.view-toggle-btn').forEach(b => b.classList.toggle('active', b.dataset.mode === mode));
+    body.innerHTML = '';
+    body.appendChild(mode === 'table' ? buildResultsTable(result) : buildChart(mode, shape, result.rows));
+  }
+
+  toggle.addEventListener('click', (e) => {
+    const btn = e.target.closest('.view-toggle-btn');
+    if (btn) show(btn.dataset.mode);
+  });
+
+  show(shape.types[0]);
+  return view;
+}
+
+// Action row under an answer's results: export menu, save as report
+function buildAnswerActions(result) {
+  const actions = document.createElement('div');
+  actions.className = 'answer-actions';
+
+  if (result.sql) {
+    const btnSaveReport = document.createElement('button');
+    btnSaveReport.className = 'btn-secondary btn-sm';
+    btnSaveReport.textContent = '★ Save as report';
+    btnSaveReport.addEventListener('click', () => {
+      btnSaveReport.disabled = true;
+      const form = buildSaveReportForm(result, () => {
+        form.remove();
+        btnSaveReport.disabled = false;
+      });
+      actions.after(form);
+    });
+    actions.appendChild(btnSaveReport);
+  }
+
+  const menu = document.createElement('details');
+  menu.className = 'export-menu';
+  menu.innerHTML = `
+    <summary class="btn-secondary btn-sm">Export</summary>
+    <div class="export-menu-items">
+      <button data-format="csv">CSV (.csv)</button>
+      <button data-format="xlsx">Excel (.xlsx)</button>
+      <button data-format="json">JSON (.json)</button>
+    </div>`;
+
+  menu.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-format]');
+    if (!btn) return;
+    menu.open = false;
+    // Main reads any rows not loaded yet from the job before writing the file
+    const saved = await window.electronAPI.exportResults({
+      format:   btn.dataset.format,
+      columns:  result.columns,
+      rows:     result.rows,
+      fields:   result.fields,
+      resultId: result.pageToken ? result.resultId : null,
     });
-    tbody.appendChild(tr);
+    if (saved.ok) showToast(`Exported ${saved.rowCount} rows`, 'success');
+    else if (!saved.canceled) showToast(saved.error, 'error');
   });
-  table.appendChild(tbody);
 
-  tableWrap.appendChild(table);
-  wrap.appendChild(tableWrap);
-  return wrap;
+  actions.prepend(menu);
+  return actions;
 }
 
 // ── Utility ───────────────────────────────────────────────────────────────────
@@ -387,6 +1458,14 @@ function escapeHtml(str) {
     .replace(/'/g, '&#39;');
 }
 
+function formatBytes(bytes) {
+  const GB = 1024 ** 3;
+  if (bytes >= GB)        return `${(bytes / GB).toFixed(2)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  if (bytes >= 1024)      return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
 function showToast(message, type = 'info') {
   const toast = document.createElement('div');
   toast.className = `toast ${type}`;
@@ -410,4 +1489,9 @@ document.querySelectorAll('[data-url]').forEach(el => {
 
 // ── Init ──────────────────────────────────────────────────────────────────────
 
-loadConfig();
+loadConfig().then(cfg => {
+  if (!cfg.secureStorage) {
+    showToast('No OS keychain available — credentials can\'t be saved on this system', 'error');
+  }
+});
+loadProfiles().then(loadReports);
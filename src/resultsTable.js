@@ -0,0 +1,501 @@
+/**
+ * resultsTable.js — The results grid under each answer
+ *
+ * Loaded after charts.js (it borrows isNumericValue) and before renderer.js.
+ *
+ * Results can be far bigger than what's worth putting in the DOM, so the
+ * table is virtualized: rows have a fixed height, only the ones in (or near)
+ * view exist as <tr>s, and two spacer rows stand in for everything above and
+ * below. Main sends the first page of rows with the job's total row count;
+ * the rest is fetched a page at a time (electronAPI.resultPage) as the table
+ * scrolls towards rows that haven't arrived yet. Fetched rows are appended to
+ * `result.rows`, so exports and chart toggles see them too.
+ *
+ * Everything else happens here, on the rows we have: sorting (click a
+ * header), per-column filters (text, or a from–to range for numbers, times
+ * and durations), resizing and hiding columns. Cells are formatted from the
+ * BigQuery types in `result.fields`: durations as m:ss, timestamps in local
+ * time, numbers with the locale's separators, STRUCTs and arrays as nested
+ * values. The raw value is in the tooltip.
+ */
+
+'use strict';
+
+const TABLE_ROW_H = 30;        // px — must match .results-table tbody td in styles.css
+const TABLE_OVERSCAN = 20;     // rows rendered beyond the visible ones, each side
+const TABLE_FETCH_AHEAD = 100; // start fetching the next page this many rows early
+const TABLE_MAX_SORT_ROWS = 100000; // sorting/filtering loads all rows, up to this many
+const TABLE_MIN_COL_W = 48;
+
+const NUMERIC_TYPES = new Set(['INT64', 'INTEGER', 'FLOAT64', 'FLOAT', 'NUMERIC', 'BIGNUMERIC', 'DECIMAL', 'BIGDECIMAL']);
+
+// Seconds, judging by the name: talking_duration, ring_time, total_talk_seconds…
+// but not avg_duration_minutes
+const DURATION_NAME = /(duration|(^|_)(talk|talking|ring|ringing|hold|wait|queue)_?time|(^|_)secs?$|seconds)/i;
+const NOT_SECONDS_NAME = /(min|minute|hour|pct|percent|ratio|count|calls)/i;
+
+// Numbers that are labels, not quantities — no thousands separators
+const IDENTIFIER_NAME = /(^|_)(id|dn|number|num|ext|extension|phone|year|code)$/i;
+
+// ── Column types and formatting ──────────────────────────────────────────────
+
+/**
+ * How a column is shown and compared:
+ * duration | number | identifier | timestamp | datetime | date | bool | record | text
+ */
+function columnKind(name, field, rows) {
+  const type = String(field?.type || '').toUpperCase();
+  if (field?.mode === 'REPEATED' || type === 'STRUCT' || type === 'RECORD') return 'record';
+  if (type === 'TIMESTAMP') return 'timestamp';
+  if (type === 'DATETIME')  return 'datetime';
+  if (type === 'DATE')      return 'date';
+  if (type === 'BOOL' || type === 'BOOLEAN') return 'bool';
+
+  // No schema (e.g. a result from before types were sent): numbers only if every value is one
+  const numeric = NUMERIC_TYPES.has(type) || (!field && columnIs(rows.slice(0, 200), name, isNumericValue));
+  if (!numeric) return 'text';
+  if (IDENTIFIER_NAME.test(name)) return 'identifier';
+  if (/\bseconds\b/i.test(field?.description || '')) return 'duration';
+  if (DURATION_NAME.test(name) && !NOT_SECONDS_NAME.test(name.replace(/duration/i, ''))) return 'duration';
+  return 'number';
+}
+
+// BigQuery TIMESTAMPs without an offset are UTC ("2024-06-03 08:03:30")
+function parseTimestamp(v) {
+  const s = String(v).trim().replace(' UTC', 'Z').replace(' ', 'T');
+  return Date.parse(/[zZ]|[+-]\d{2}:?\d{2}$/.test(s) || !s.includes('T') ? s : `${s}Z`);
+}
+
+function formatDuration(seconds) {
+  const total = Math.round(Math.abs(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  const sign = seconds < 0 ? '-' : '';
+  return h ? `${sign}${h}:${String(m).padStart(2, '0')}:${s}` : `${sign}${m}:${s}`;
+}
+
+const tableNumberFormat = new Intl.NumberFormat(undefined, { maximumFractionDigits: 2 });
+const tableTimeFormat = new Intl.DateTimeFormat(undefined, {
+  year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+});
+
+function formatCell(kind, v) {
+  if (v === null || v === undefined) return '—';
+  switch (kind) {
+    case 'duration': return Number.isFinite(Number(v)) ? formatDuration(Number(v)) : String(v);
+    case 'number': {
+      // Integers beyond 2^53 arrive as strings; BigInt keeps every digit
+      if (typeof v === 'string' && /^-?\d{16,}$/.test(v)) return BigInt(v).toLocaleString();
+      const n = Number(v);
+      return Number.isFinite(n) ? tableNumberFormat.format(n) : String(v);
+    }
+    case 'timestamp': {
+      const ms = parseTimestamp(v);
+      return Number.isNaN(ms) ? String(v) : tableTimeFormat.format(ms);
+    }
+    case 'datetime': return String(v).replace('T', ' ');
+    case 'record':   return formatRecord(v);
+    default: return String(v);
+  }
+}
+
+// STRUCTs and arrays, compactly: [a, b] · {x: 5, when: 2024-06-03 08:00:00}
+function formatRecord(v) {
+  if (v === null || v === undefined) return 'null';
+  if (Array.isArray(v)) return `[${v.map(formatRecord).join(', ')}]`;
+  if (typeof v === 'object') return `{${Object.entries(v).map(([k, x]) => `${k}: ${formatRecord(x)}`).join(', ')}}`;
+  return String(v).replace(/^(\d{4}-\d{2}-\d{2})T/, '$1 ');
+}
+
+// What a column sorts and range-filters by: a number for everything but text
+function sortKey(kind, v) {
+  if (v === null || v === undefined) return null;
+  switch (kind) {
+    case 'duration':
+    case 'number':
+    case 'identifier': {
+      const n = Number(v);
+      return Number.isNaN(n) ? String(v) : n;
+    }
+    case 'timestamp':
+    case 'datetime':
+    case 'date':       return parseTimestamp(v);
+    case 'bool':       return v === true || v === 'true' || v === 1 ? 1 : 0;
+    case 'record':     return formatRecord(v).toLowerCase();
+    default:           return String(v).toLowerCase();
+  }
+}
+
+/**
+ * A range filter bound as typed → the same scale as sortKey, or null.
+ * Durations take "m:ss" or plain seconds; dates and times are read as they're
+ * displayed (timestamps in local time). A date-only "to" covers that whole day.
+ */
+function parseBound(kind, text, isUpper) {
+  const s = text.trim();
+  if (!s) return null;
+  if (kind === 'duration' && s.includes(':')) {
+    return s.split(':').reduce((acc, part) => acc * 60 + Number(part), 0);
+  }
+  if (kind === 'timestamp' || kind === 'datetime' || kind === 'date') {
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(s);
+    const iso = dateOnly ? `${s}T00:00:00` : s.replace(' ', 'T');
+    // Date.parse reads a date-time without an offset as local time — right for
+    // timestamps (shown in local time); DATE / DATETIME values have no zone
+    const ms = kind === 'timestamp' ? Date.parse(iso) : parseTimestamp(iso);
+    if (Number.isNaN(ms)) return null;
+    return dateOnly && isUpper ? ms + 86400000 - 1 : ms;
+  }
+  const n = Number(s);
+  return Number.isNaN(n) ? null : n;
+}
+
+const isRangeKind = (kind) => !['text', 'bool', 'record'].includes(kind);
+
+// ── Table ────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object} result  { columns, rows, fields?, totalRows?, resultId?, pageToken? }
+ * @returns {HTMLElement}
+ */
+function buildResultsTable(result) {
+  const { columns } = result;
+  const fieldByName = new Map((result.fields || []).map(f => [f.name, f]));
+  const kinds = Object.fromEntries(columns.map(c => [c, columnKind(c, fieldByName.get(c), result.rows)]));
+
+  // Widths are fixed up front from the first rows — with only some rows in
+  // the DOM, an auto layout would change column widths while scrolling
+  const widths = Object.fromEntries(columns.map(c => [c, tableColumnWidth(c, kinds[c], result.rows)]));
+  const hidden = new Set();
+  const filters = {};                // column → { text } or { min, max } (as typed)
+  let sort = null;                   // { column, dir: 1 | -1 }
+  let view = null;                   // filtered/sorted rows, or null for all rows in order
+  let loading = false;
+  let loadingAll = false;
+  let loadError = null;
+
+  const wrap = document.createElement('div');
+  wrap.className = 'results-wrap';
+
+  // Row count, and the column chooser
+  const meta = document.createElement('div');
+  meta.className = 'results-meta';
+  const metaText = document.createElement('span');
+  meta.appendChild(metaText);
+  const btnClear = document.createElement('button');
+  btnClear.className = 'results-clear hidden';
+  btnClear.textContent = 'Clear filters';
+  meta.appendChild(btnClear);
+  const chooser = document.createElement('details');
+  chooser.className = 'results-columns';
+  chooser.innerHTML = '<summary>Columns</summary><div class="results-columns-list"></div>';
+  meta.appendChild(chooser);
+  wrap.appendChild(meta);
+
+  const tableWrap = document.createElement('div');
+  tableWrap.className = 'results-table-wrap';
+  const table = document.createElement('table');
+  table.className = 'results-table';
+  const colgroup = document.createElement('colgroup');
+  const thead = document.createElement('thead');
+  const tbody = document.createElement('tbody');
+  table.append(colgroup, thead, tbody);
+  tableWrap.appendChild(table);
+  wrap.appendChild(tableWrap);
+
+  const visibleColumns = () => columns.filter(c => !hidden.has(c));
+  const total = () => (view ? view.length : Math.max(result.totalRows ?? result.rows.length, result.rows.length));
+  const allLoaded = () => !result.pageToken || !result.resultId || loadError;
+
+  // ── Header: sortable labels, resize handles, filter inputs ────────────────
+
+  function buildHeader() {
+    const cols = visibleColumns();
+    colgroup.innerHTML = cols.map(c => `<col style="width:${widths[c]}px">`).join('');
+    table.style.width = `${cols.reduce((sum, c) => sum + widths[c], 0)}px`;
+
+    const labels = document.createElement('tr');
+    const inputs = document.createElement('tr');
+    inputs.className = 'results-filters';
+    cols.forEach(col => {
+      const th = document.createElement('th');
+      th.dataset.column = col;
+      th.title = `${col}${fieldByName.get(col) ? ` (${fieldByName.get(col).type})` : ''} — click to sort`;
+      const label = document.createElement('span');
+      label.className = 'results-th-label';
+      label.textContent = col;
+      th.appendChild(label);
+      if (sort?.column === col) {
+        th.classList.add('sorted');
+        th.insertAdjacentText('beforeend', sort.dir === 1 ? ' ▲' : ' ▼');
+      }
+      const handle = document.createElement('span');
+      handle.className = 'results-resize';
+      th.appendChild(handle);
+      labels.appendChild(th);
+
+      const cell = document.createElement('th');
+      cell.dataset.column = col;
+      const filter = filters[col] || {};
+      if (isRangeKind(kinds[col])) {
+        const hint = kinds[col] === 'duration' ? 'm:ss' : (kinds[col] === 'number' || kinds[col] === 'identifier' ? '' : 'yyyy-mm-dd');
+        cell.innerHTML = `<div class="results-range">
+          <input data-bound="min" placeholder="from${hint ? ` ${hint}` : ''}" spellcheck="false">
+          <input data-bound="max" placeholder="to" spellcheck="false">
+        </div>`;
+        cell.querySelector('[data-bound="min"]').value = filter.min || '';
+        cell.querySelector('[data-bound="max"]').value = filter.max || '';
+      } else {
+        cell.innerHTML = '<input data-bound="text" placeholder="filter" spellcheck="false">';
+        cell.querySelector('input').value = filter.text || '';
+      }
+      inputs.appendChild(cell);
+    });
+    thead.replaceChildren(labels, inputs);
+  }
+
+  thead.addEventListener('click', (e) => {
+    const th = e.target.closest('th');
+    if (!th || th.parentElement.classList.contains('results-filters') || e.target.classList.contains('results-resize')) return;
+    // Ascending → descending → back to the query's own order
+    const col = th.dataset.column;
+    if (sort?.column !== col) sort = { column: col, dir: 1 };
+    else if (sort.dir === 1) sort = { column: col, dir: -1 };
+    else sort = null;
+    buildHeader();
+    refreshView();
+  });
+
+  let filterTimer = null;
+  thead.addEventListener('input', (e) => {
+    const input = e.target.closest('input');
+    if (!input) return;
+    const col = input.closest('th').dataset.column;
+    filters[col] = { ...filters[col], [input.dataset.bound]: input.value };
+    clearTimeout(filterTimer);
+    filterTimer = setTimeout(refreshView, 200);
+  });
+
+  // Drag a header's right edge to resize its column
+  thead.addEventListener('mousedown', (e) => {
+    if (!e.target.classList.contains('results-resize')) return;
+    e.preventDefault();
+    const col = e.target.closest('th').dataset.column;
+    const startX = e.clientX;
+    const startW = widths[col];
+    const colEl = colgroup.children[visibleColumns().indexOf(col)];
+    const onMove = (move) => {
+      widths[col] = Math.max(TABLE_MIN_COL_W, startW + move.clientX - startX);
+      colEl.style.width = `${widths[col]}px`;
+      table.style.width = `${visibleColumns().reduce((sum, c) => sum + widths[c], 0)}px`;
+    };
+    const onUp = () => {
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+      document.body.classList.remove('resizing-column');
+    };
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+    document.body.classList.add('resizing-column');
+  });
+
+  // ── Column chooser ─────────────────────────────────────────────────────────
+
+  const chooserList = chooser.querySelector('.results-columns-list');
+  columns.forEach(col => {
+    const label = document.createElement('label');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = true;
+    box.dataset.column = col;
+    label.append(box, document.createTextNode(` ${col}`));
+    chooserList.appendChild(label);
+  });
+  chooserList.addEventListener('change', (e) => {
+    const col = e.target.dataset.column;
+    if (e.target.checked) hidden.delete(col);
+    else if (hidden.size < columns.length - 1) hidden.add(col); // keep at least one
+    else e.target.checked = true;
+    buildHeader();
+    render();
+  });
+
+  btnClear.addEventListener('click', () => {
+    Object.keys(filters).forEach(k => delete filters[k]);
+    buildHeader();
+    refreshView();
+  });
+
+  // ── Sorting and filtering ──────────────────────────────────────────────────
+
+  function activeFilters() {
+    return Object.entries(filters).flatMap(([col, f]) => {
+      const kind = kinds[col];
+      if (!isRangeKind(kind)) {
+        const needle = (f.text || '').trim().toLowerCase();
+        return needle ? [{ col, test: (v) => v !== null && v !== undefined &&
+          (String(v).toLowerCase().includes(needle) || formatCell(kind, v).toLowerCase().includes(needle)) }] : [];
+      }
+      const min = parseBound(kind, f.min || '', false);
+      const max = parseBound(kind, f.max || '', true);
+      if (min === null && max === null) return [];
+      return [{ col, test: (v) => {
+        const key = sortKey(kind, v);
+        return typeof key === 'number' && (min === null || key >= min) && (max === null || key <= max);
+      } }];
+    });
+  }
+
+  // Sorting and filtering need every row, so they load the rest first (up to
+  // TABLE_MAX_SORT_ROWS — beyond that they apply to the rows loaded so far)
+  async function refreshView() {
+    const tests = activeFilters();
+    btnClear.classList.toggle('hidden', tests.length === 0);
+    if (!sort && !tests.length) {
+      view = null;
+    } else {
+      if (!allLoaded()) await loadAll();
+      let rows = tests.length ? result.rows.filter(row => tests.every(t => t.test(row[t.col]))) : result.rows.slice();
+      if (sort) {
+        const { column, dir } = sort;
+        const kind = kinds[column];
+        const keyed = rows.map(row => [sortKey(kind, row[column]), row]);
+        keyed.sort(([a], [b]) => {
+          if (a === null) return b === null ? 0 : 1; // nulls last either way
+          if (b === null) return -1;
+          if (typeof a === 'number' && typeof b === 'number') return (a - b) * dir;
+          return String(a).localeCompare(String(b), undefined, { numeric: true }) * dir;
+        });
+        rows = keyed.map(([, row]) => row);
+      }
+      view = rows;
+    }
+    tableWrap.scrollTop = 0;
+    updateMeta();
+    render();
+  }
+
+  // ── Rows ───────────────────────────────────────────────────────────────────
+
+  function updateMeta() {
+    const n = Math.max(result.totalRows ?? result.rows.length, result.rows.length);
+    const cols = visibleColumns().length;
+    let text = `${n.toLocaleString()} row${n !== 1 ? 's' : ''} · ${cols} column${cols !== 1 ? 's' : ''}`;
+    if (hidden.size) text += ` (${hidden.size} hidden)`;
+    if (view && view.length !== result.rows.length) text += ` · ${view.length.toLocaleString()} shown`;
+    if (loadingAll) text += ' · loading all rows…';
+    else if (result.rows.length < n) text += ` · ${result.rows.length.toLocaleString()} loaded`;
+    if (view && result.rows.length < n && !loadingAll) text += ' — sorting and filters apply to the loaded rows';
+    if (loadError) text += ` · couldn't load more: ${loadError}`;
+    metaText.textContent = text;
+  }
+
+  function render() {
+    const n = total();
+    const cols = visibleColumns();
+    const viewport = tableWrap.clientHeight || 320;
+    const first = Math.max(0, Math.floor(tableWrap.scrollTop / TABLE_ROW_H) - TABLE_OVERSCAN);
+    const last = Math.min(n, Math.ceil((tableWrap.scrollTop + viewport) / TABLE_ROW_H) + TABLE_OVERSCAN);
+    const rows = view || result.rows;
+
+    const fragment = document.createDocumentFragment();
+    fragment.appendChild(spacerRow(first * TABLE_ROW_H, cols.length));
+    for (let i = first; i < last; i++) fragment.appendChild(dataRow(rows[i], cols));
+    fragment.appendChild(spacerRow((n - last) * TABLE_ROW_H, cols.length));
+    tbody.replaceChildren(fragment);
+
+    if (!view && last + TABLE_FETCH_AHEAD > result.rows.length) loadMore();
+  }
+
+  function dataRow(row, cols) {
+    const tr = document.createElement('tr');
+    if (!row) {
+      // Not fetched yet — a placeholder of the same height keeps the scroll position honest
+      tr.className = 'results-row-pending';
+      const td = document.createElement('td');
+      td.colSpan = cols.length;
+      td.textContent = loadError ? '' : 'Loading…';
+      tr.appendChild(td);
+      return tr;
+    }
+    cols.forEach(col => {
+      const td = document.createElement('td');
+      const val = row[col];
+      const kind = kinds[col];
+      td.textContent = formatCell(kind, val);
+      if (kind === 'number' || kind === 'duration') td.className = 'num';
+      // The raw value — records as JSON, since that's what exports contain
+      td.title = val === null || val === undefined ? 'NULL' : (typeof val === 'object' ? JSON.stringify(val) : String(val));
+      tr.appendChild(td);
+    });
+    return tr;
+  }
+
+  function spacerRow(height, span) {
+    const tr = document.createElement('tr');
+    tr.className = 'results-spacer';
+    if (height > 0) {
+      const td = document.createElement('td');
+      td.colSpan = span;
+      td.style.height = `${height}px`;
+      tr.appendChild(td);
+    }
+    return tr;
+  }
+
+  // ── Paging ─────────────────────────────────────────────────────────────────
+
+  // Pages come in order (each token leads to the next), so one at a time
+  async function fetchPage() {
+    const page = await window.electronAPI.resultPage(result.resultId, result.pageToken);
+    if (page.ok) {
+      result.rows.push(...page.rows);
+      result.pageToken = page.pageToken;
+      result.totalRows = page.totalRows;
+    } else {
+      loadError = page.error;
+    }
+  }
+
+  async function loadMore() {
+    if (loading || allLoaded()) return;
+    loading = true;
+    await fetchPage();
+    loading = false;
+    updateMeta();
+    render();
+  }
+
+  async function loadAll() {
+    while (loading) await new Promise(resolve => setTimeout(resolve, 50));
+    loading = loadingAll = true;
+    updateMeta();
+    while (!allLoaded() && result.rows.length < TABLE_MAX_SORT_ROWS) await fetchPage();
+    loading = loadingAll = false;
+  }
+
+  let frame = null;
+  tableWrap.addEventListener('scroll', () => {
+    if (frame) return;
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      render();
+    });
+  });
+
+  buildHeader();
+  updateMeta();
+  render();
+  return wrap;
+}
+
+// Roughly the widest formatted value among the first rows, in px, within sensible bounds
+function tableColumnWidth(col, kind, rows) {
+  let chars = col.length + 2; // room for the sort arrow
+  for (const row of rows.slice(0, 100)) {
+    chars = Math.max(chars, formatCell(kind, row[col]).length);
+  }
+  if (isRangeKind(kind)) chars = Math.max(chars, 16); // two filter inputs
+  return Math.round(Math.min(Math.max(chars, 6), 40) * 7.5 + 26);
+}
@@ -0,0 +1,252 @@
+/**
+ * sqlEditor.js — SQL highlighting, formatting and a small editor
+ *
+ * Loaded before renderer.js. Used for the SQL under each answer (read-only,
+ * or edited in place and run again) and for the SQL console panel. No editor
+ * library: a transparent <textarea> sits exactly on top of a <pre> holding
+ * the highlighted copy, so typing, selection and undo are the browser's own.
+ *
+ * Formatting is cosmetic — clause keywords on their own lines, select lists
+ * one column per line. It never changes what the query does.
+ */
+
+'use strict';
+
+const SQL_KEYWORDS = new Set([
+  'SELECT', 'FROM', 'WHERE', 'GROUP', 'BY', 'ORDER', 'HAVING', 'LIMIT', 'OFFSET', 'QUALIFY', 'WITH', 'AS',
+  'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'ON', 'USING', 'UNION', 'ALL', 'DISTINCT',
+  'INTERSECT', 'EXCEPT', 'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'LIKE', 'BETWEEN', 'CASE', 'WHEN', 'THEN',
+  'ELSE', 'END', 'ASC', 'DESC', 'NULLS', 'FIRST', 'LAST', 'TRUE', 'FALSE', 'INTERVAL', 'OVER', 'PARTITION',
+  'WINDOW', 'ROWS', 'RANGE', 'UNNEST', 'EXISTS', 'ANY', 'SOME', 'CAST', 'SAFE_CAST', 'EXTRACT',
+  'DAY', 'HOUR', 'MINUTE', 'SECOND', 'WEEK', 'MONTH', 'QUARTER', 'YEAR', 'DATE', 'TIMESTAMP', 'DATETIME',
+  'INT64', 'FLOAT64', 'NUMERIC', 'STRING', 'BOOL', 'STRUCT', 'ARRAY',
+]);
+
+const SQL_TOKEN = new RegExp([
+  /(?<space>\s+)/,
+  /(?<comment>--[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/)/,
+  /(?<string>'(?:[^'\\\n]|\\.)*'?|"(?:[^"\\\n]|\\.)*"?)/,
+  /(?<ident>`[^`]*`?)/,
+  /(?<param>@\w+)/,
+  /(?<number>\d+(?:\.\d*)?(?:[eE][+-]?\d+)?)/,
+  /(?<word>[A-Za-z_]\w*)/,
+  /(?<operator>>=|<=|<>|!=|\|\|)/,
+  /(?<other>[\s\S])/,
+].map(r => r.source).join('|'), 'gy');
+
+function sqlTokens(sql) {
+  const tokens = [];
+  SQL_TOKEN.lastIndex = 0;
+  let match;
+  while (SQL_TOKEN.lastIndex < sql.length && (match = SQL_TOKEN.exec(sql))) {
+    const type = Object.keys(match.groups).find(k => match.groups[k] !== undefined);
+    tokens.push({ type, text: match[0] });
+  }
+  return tokens;
+}
+
+const escapeSqlHtml = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// ── Highlighting ─────────────────────────────────────────────────────────────
+
+/** SQL → HTML with <span class="sql-…"> around keywords, functions, strings… */
+function highlightSql(sql) {
+  const tokens = sqlTokens(sql);
+  return tokens.map((t, i) => {
+    const text = escapeSqlHtml(t.text);
+    switch (t.type) {
+      case 'comment': return `<span class="sql-comment">${text}</span>`;
+      case 'string':  return `<span class="sql-string">${text}</span>`;
+      case 'ident':   return `<span class="sql-ident">${text}</span>`;
+      case 'param':   return `<span class="sql-param">${text}</span>`;
+      case 'number':  return `<span class="sql-number">${text}</span>`;
+      case 'word': {
+        if (SQL_KEYWORDS.has(t.text.toUpperCase())) return `<span class="sql-keyword">${text}</span>`;
+        const next = tokens.slice(i + 1).find(n => n.type !== 'space');
+        return next?.text === '(' ? `<span class="sql-function">${text}</span>` : text;
+      }
+      default: return text;
+    }
+  }).join('');
+}
+
+// ── Formatting ───────────────────────────────────────────────────────────────
+
+// Keywords that start a new line; multi-word ones are matched as phrases
+const CLAUSES = [
+  'WITH', 'SELECT', 'FROM', 'WHERE', 'GROUP BY', 'HAVING', 'QUALIFY', 'ORDER BY', 'LIMIT', 'OFFSET', 'WINDOW',
+  'LEFT OUTER JOIN', 'RIGHT OUTER JOIN', 'FULL OUTER JOIN', 'LEFT JOIN', 'RIGHT JOIN', 'FULL JOIN',
+  'INNER JOIN', 'CROSS JOIN', 'JOIN', 'UNION ALL', 'UNION DISTINCT', 'INTERSECT DISTINCT', 'EXCEPT DISTINCT',
+].map(c => c.split(' '));
+
+// Keywords followed by a parenthesised list or subquery rather than arguments
+const SPACE_BEFORE_PAREN = new Set([
+  'IN', 'AS', 'ON', 'USING', 'AND', 'OR', 'NOT', 'FROM', 'JOIN', 'WHERE', 'SELECT', 'OVER', 'WHEN', 'THEN',
+  'ELSE', 'ALL', 'DISTINCT', 'WITH', 'EXISTS', 'ANY', 'SOME',
+]);
+
+/**
+ * Reflows a query: upper-case keywords, each clause on its own line, one
+ * select-list item per line, AND / OR conditions on their own lines.
+ * Strings, comments and identifiers are left exactly as they were.
+ */
+function formatSql(sql) {
+  const tokens = sqlTokens(sql.trim()).filter(t => t.type !== 'space');
+  const lines = [];
+  let line = '';
+  let depth = 0;
+  const clauseAt = [];      // paren depth → current clause keyword
+  const indent = () => '  '.repeat(depth);
+
+  const newLine = (extra = 0) => {
+    if (line.trim()) lines.push(line.replace(/\s+$/, ''));
+    line = indent() + '  '.repeat(extra);
+  };
+  const append = (text) => {
+    const last = line.slice(-1);
+    const glue = !line.trim() || last === '(' || last === ' ' || text === ')' || text === ',' || text === '.' || last === '.' ? '' : ' ';
+    line += glue + text;
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    const upper = t.text.toUpperCase();
+
+    if (t.type === 'word') {
+      const phrase = CLAUSES.find(words => words.every((w, k) => tokens[i + k]?.text.toUpperCase() === w));
+      // Inside function arguments only a subquery starts clauses: EXTRACT(HOUR FROM t) stays on one line
+      const inArguments = depth > 0 && clauseAt[depth] == null && !['SELECT', 'WITH'].includes(phrase?.[0]);
+      if (phrase && !inArguments) {
+        newLine();
+        append(phrase.join(' '));
+        clauseAt[depth] = phrase.join(' ');
+        i += phrase.length - 1;
+        // Select lists and conditions continue on the next line, indented
+        if (['SELECT', 'WHERE', 'GROUP BY', 'ORDER BY', 'HAVING'].includes(clauseAt[depth]) &&
+            tokens[i + 1]?.text.toUpperCase() !== 'DISTINCT') newLine(1);
+        continue;
+      }
+      if ((upper === 'AND' || upper === 'OR') && ['WHERE', 'HAVING'].includes(clauseAt[depth]) && !insideBetween(tokens, i)) {
+        newLine(1);
+        append(upper);
+        continue;
+      }
+      if (upper === 'DISTINCT' && clauseAt[depth] === 'SELECT') {
+        append(upper);
+        newLine(1);
+        continue;
+      }
+      append(SQL_KEYWORDS.has(upper) ? upper : t.text);
+    } else if (t.text === '(') {
+      // No gap between a function name and its arguments: COUNT(*), not COUNT (*)
+      const prev = tokens[i - 1];
+      if (prev && (prev.type === 'ident' || (prev.type === 'word' && !SPACE_BEFORE_PAREN.has(prev.text.toUpperCase())))) line += '(';
+      else append('(');
+      depth++;
+      clauseAt[depth] = null;
+    } else if (t.text === ')') {
+      const wasSubquery = clauseAt[depth] != null;
+      depth = Math.max(0, depth - 1);
+      if (wasSubquery) newLine();
+      append(')');
+    } else if (t.text === ',') {
+      append(',');
+      if (['SELECT', 'GROUP BY', 'ORDER BY'].includes(clauseAt[depth])) newLine(1);
+    } else if (t.type === 'comment') {
+      append(t.text.trim());
+      if (t.text.startsWith('--') || t.text.startsWith('#')) newLine(1);
+    } else {
+      append(t.text);
+    }
+  }
+  newLine();
+  return lines.join('\n');
+}
+
+// "x BETWEEN 1 AND 5": that AND belongs to the BETWEEN, not a new condition
+function insideBetween(tokens, i) {
+  for (let k = i - 1; k >= 0 && k > i - 8; k--) {
+    const upper = tokens[k].text.toUpperCase();
+    if (upper === 'BETWEEN') return true;
+    if (upper === 'AND' || upper === 'OR') return false;
+  }
+  return false;
+}
+
+// ── Editor ───────────────────────────────────────────────────────────────────
+
+/**
+ * A highlighted SQL editor with Format and Run buttons.
+ * Ctrl/Cmd+Enter runs; Tab indents instead of leaving the field.
+ *
+ * @param {object} options
+ * @param {string} options.sql          starting text
+ * @param {(sql: string) => void} options.onRun
+ * @param {string} [options.runLabel]   text on the run button
+ * @param {() => void} [options.onCancel]  adds a Cancel button when given
+ * @returns {{ el: HTMLElement, getSql: () => string, setSql: (sql: string) => void, focus: () => void }}
+ */
+function createSqlEditor({ sql = '', onRun, runLabel = 'Run SQL', onCancel }) {
+  const el = document.createElement('div');
+  el.className = 'sql-editor';
+  el.innerHTML = `
+    <div class="sql-editor-area">
+      <pre class="sql-editor-highlight" aria-hidden="true"></pre>
+      <textarea class="sql-editor-input" spellcheck="false" autocomplete="off" aria-label="SQL"></textarea>
+    </div>
+    <div class="sql-editor-actions">
+      <button class="btn-primary btn-sm" data-action="run"></button>
+      <button class="btn-secondary btn-sm" data-action="format">Format</button>
+      ${onCancel ? '<button class="btn-secondary btn-sm" data-action="cancel">Cancel</button>' : ''}
+      <span class="sql-editor-hint">Ctrl+Enter to run</span>
+    </div>`;
+
+  const input = el.querySelector('.sql-editor-input');
+  const highlight = el.querySelector('.sql-editor-highlight');
+  el.querySelector('[data-action="run"]').textContent = runLabel;
+
+  // The trailing newline keeps the <pre> as tall as the textarea on a blank last line
+  const refresh = () => {
+    highlight.innerHTML = `${highlightSql(input.value)}\n`;
+    input.style.height = 'auto';
+    input.style.height = `${Math.max(input.scrollHeight, 80)}px`;
+  };
+
+  input.addEventListener('input', refresh);
+  input.addEventListener('scroll', () => {
+    highlight.scrollTop = input.scrollTop;
+    highlight.scrollLeft = input.scrollLeft;
+  });
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      if (input.value.trim()) onRun(input.value);
+    } else if (e.key === 'Tab' && !e.shiftKey) {
+      e.preventDefault();
+      document.execCommand('insertText', false, '  '); // keeps undo working
+    }
+  });
+
+  el.querySelector('.sql-editor-actions').addEventListener('click', (e) => {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (action === 'run' && input.value.trim()) onRun(input.value);
+    if (action === 'format') {
+      input.select();
+      document.execCommand('insertText', false, formatSql(input.value));
+      refresh();
+    }
+    if (action === 'cancel') onCancel();
+  });
+
+  const editor = {
+    el,
+    getSql: () => input.value,
+    setSql(text) {
+      input.value = text;
+      refresh();
+    },
+    focus: () => input.focus(),
+  };
+  editor.setSql(sql);
+  return editor;
+}
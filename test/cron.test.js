@@ -0,0 +1,25 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, cronMatches } = require('../lib/cron');
+
+// Local time, like the scheduler. 2025-06-02 is a Monday.
+const at = (day, hour = 8, minute = 0) => new Date(2025, 5, day, hour, minute);
+const fires = (expression, date) => cronMatches(parseCron(expression), date);
+
+test('both day fields restricted: either one matches', () => {
+  assert.equal(fires('0 8 1 * MON', at(1)), true);  // the 1st, a Sunday
+  assert.equal(fires('0 8 1 * MON', at(2)), true);  // a Monday
+  assert.equal(fires('0 8 1 * MON', at(3)), false);
+});
+
+test('a stepped * day field does not widen the other to either-or', () => {
+  // Odd days of the month that are also Mondays — not every Monday
+  assert.equal(fires('0 8 */2 * 1', at(2)), false);
+  assert.equal(fires('0 8 */2 * 1', at(9)), true);
+  assert.equal(fires('0 8 */2 * 1', at(3)), false);
+  // Sun, Tue, Thu and Sat, whatever the day of the month
+  assert.equal(fires('0 8 * * */2', at(3)), true); // Tuesday
+  assert.equal(fires('0 8 * * */2', at(2)), false);
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+// Exports of encoded result rows (lib/resultValues.js): CSV and JSON keep
+// every value as shown; XLSX types cells by the result schema
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { exportRows, toCsv, toJson } = require('../lib/exporters');
+
+test('CSV quotes commas, quotes and line breaks, and writes STRUCTs as JSON', () => {
+  const columns = ['name', 'note', 'caller', 'id'];
+  const rows = [
+    { name: 'Smith, Jo', note: 'said "call back"\nafter 5', caller: { number: '+44 20', ext: '101' }, id: '9007199254740993' },
+    { name: 'Zoë', note: null, caller: null, id: '1' },
+  ];
+  assert.equal(toCsv(columns, rows),
+    '\uFEFFname,note,caller,id\r\n'
+    + '"Smith, Jo","said ""call back""\nafter 5","{""number"":""+44 20"",""ext"":""101""}",9007199254740993\r\n'
+    + 'Zoë,,,1\r\n');
+});
+
+test('JSON keeps the column order and every value as encoded', () => {
+  const json = toJson(['b', 'a', 'missing'], [{ a: '9007199254740993', b: [1, 2] }]);
+  assert.equal(json, '[\n  {\n    "b": [\n      1,\n      2\n    ],\n    "a": "9007199254740993",\n    "missing": null\n  }\n]\n');
+  assert.deepEqual(Object.keys(JSON.parse(json)[0]), ['b', 'a', 'missing']);
+});
+
+test('XLSX cells are typed by the schema; long integers stay text', async () => {
+  const file = path.join(os.tmpdir(), `exporters-test-${process.pid}.xlsx`);
+  const fields = [
+    { name: 'id', type: 'INT64', mode: 'NULLABLE' },
+    { name: 'big', type: 'INT64', mode: 'NULLABLE' },
+    { name: 'cost', type: 'NUMERIC', mode: 'NULLABLE' },
+    { name: 'day', type: 'DATE', mode: 'NULLABLE' },
+    { name: 'at', type: 'TIMESTAMP', mode: 'NULLABLE' },
+    { name: 'answered', type: 'BOOL', mode: 'NULLABLE' },
+    { name: 'ext', type: 'STRING', mode: 'NULLABLE' },
+    { name: 'tags', type: 'STRING', mode: 'REPEATED' },
+  ];
+  const columns = fields.map(f => f.name);
+  const rows = [
+    { id: '42', big: '9007199254740993', cost: '0.25', day: '2024-06-03', at: '2024-06-03T08:03:30.000Z', answered: true, ext: '0101', tags: ['vip'] },
+    { id: null, big: null, cost: null, day: null, at: null, answered: null, ext: null, tags: [] },
+  ];
+  try {
+    await exportRows('xlsx', file, columns, rows, fields);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(file);
+    const sheet = workbook.getWorksheet('Results');
+    assert.deepEqual(sheet.getRow(1).values.slice(1), columns);
+
+    const cell = (c) => sheet.getRow(2).getCell(columns.indexOf(c) + 1);
+    assert.equal(cell('id').value, 42);
+    assert.equal(cell('big').value, '9007199254740993');
+    assert.equal(cell('cost').value, 0.25);
+    assert.deepEqual(cell('day').value, new Date('2024-06-03T00:00:00Z'));
+    assert.equal(cell('day').numFmt, 'yyyy-mm-dd');
+    assert.deepEqual(cell('at').value, new Date('2024-06-03T08:03:30Z'));
+    assert.equal(cell('at').numFmt, 'yyyy-mm-dd hh:mm:ss');
+    assert.equal(cell('answered').value, true);
+    assert.equal(cell('ext').value, '0101'); // a STRING that looks like a number keeps its zero
+    assert.equal(cell('tags').value, '["vip"]');
+    assert.ok(sheet.getRow(3).values.slice(1).every(v => v == null || v === '[]'));
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+});
+
+test('CSV and JSON are written as files; an unknown format is refused', async () => {
+  const file = path.join(os.tmpdir(), `exporters-test-${process.pid}.csv`);
+  try {
+    await exportRows('csv', file, ['n'], [{ n: '1' }]);
+    assert.equal(fs.readFileSync(file, 'utf8'), '\uFEFFn\r\n1\r\n');
+    await exportRows('json', file, ['n'], [{ n: '1' }]);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [{ n: '1' }]);
+    await assert.rejects(exportRows('pdf', file, ['n'], []), /Unknown export format: pdf/);
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+});
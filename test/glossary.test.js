@@ -0,0 +1,103 @@
+'use strict';
+
+// Glossary entries as the editor sends them, seeded from BigQuery, written
+// into the prompt and matched against a question's words
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  emptyGlossary, normalizeGlossary, seedFromMetadata, parseValueMeanings, formatValueMeanings,
+  describeColumn, describeTable, buildGlossaryText,
+} = require('../lib/glossary');
+const { pruneSchema } = require('../lib/schemaPrune');
+
+test('value meanings are read from "code = meaning" and "code: meaning" pairs', () => {
+  assert.deepEqual(parseValueMeanings('1 = Inbound, 2: Outbound;3=Internal\n 4 = Queue = overflow\nnonsense'),
+    { 1: 'Inbound', 2: 'Outbound', 3: 'Internal', 4: 'Queue = overflow' });
+  assert.deepEqual(parseValueMeanings(''), {});
+  assert.equal(formatValueMeanings({ 1: 'Inbound', 2: 'Outbound' }), '1 = Inbound, 2 = Outbound');
+});
+
+test('the editor input is trimmed and empty entries dropped', () => {
+  assert.deepEqual(normalizeGlossary({
+    tables: {
+      CallHistory: {
+        description: '  One row per call  ',
+        columns: {
+          direction: { description: ' Call direction ', values: '1 = Inbound, 2 = Outbound' },
+          blank: { description: '  ', values: '' },
+        },
+      },
+      Empty: { description: '', columns: { x: { description: '' } } },
+    },
+    metrics: [{ name: ' answered call ', definition: ' talking_duration > 0 ' }, { name: 'no definition', definition: '' }],
+    people: [{ extension: ' 101 ', name: ' Alice Smith ' }, { extension: '', name: 'Nobody' }],
+  }), {
+    tables: {
+      CallHistory: {
+        description: 'One row per call',
+        columns: { direction: { description: 'Call direction', values: { 1: 'Inbound', 2: 'Outbound' } } },
+      },
+    },
+    metrics: [{ name: 'answered call', definition: 'talking_duration > 0' }],
+    people: [{ extension: '101', name: 'Alice Smith' }],
+  });
+  assert.deepEqual(normalizeGlossary(), emptyGlossary());
+});
+
+test('BigQuery descriptions fill blanks and never overwrite', () => {
+  const glossary = normalizeGlossary({
+    tables: { CallHistory: { description: '', columns: { direction: { description: 'Ours', values: { 1: 'In' } } } } },
+  });
+  const meta = {
+    description: 'Call records',
+    schema: { fields: [{ name: 'direction', description: 'Theirs' }, { name: 'queue', description: 'Queue number' }, { name: 'id' }] },
+  };
+  assert.equal(seedFromMetadata(glossary, 'CallHistory', meta), true);
+  assert.deepEqual(glossary.tables.CallHistory, {
+    description: 'Call records',
+    columns: {
+      direction: { description: 'Ours', values: { 1: 'In' } },
+      queue: { description: 'Queue number', values: {} },
+    },
+  });
+  assert.equal(seedFromMetadata(glossary, 'CallHistory', meta), false);
+  assert.equal(seedFromMetadata(glossary, 'Queues', { schema: { fields: [{ name: 'id' }] } }), false);
+  assert.equal(glossary.tables.Queues, undefined);
+});
+
+test('terms are written next to their tables and columns, and as prompt sections', () => {
+  const glossary = normalizeGlossary({
+    tables: { CallHistory: { description: 'One row per call', columns: { direction: { description: 'Call direction', values: '1 = Inbound' } } } },
+    metrics: [{ name: 'answered call', definition: 'talking_duration > 0' }],
+    people: [{ extension: '101', name: 'Alice Smith' }],
+  });
+  assert.equal(describeTable(glossary, 'CallHistory'), ' — One row per call');
+  assert.equal(describeColumn(glossary, 'CallHistory', 'direction'), ' — Call direction. Values: 1 = Inbound');
+  assert.equal(describeColumn(glossary, 'CallHistory', 'queue'), '');
+  assert.equal(describeTable(null, 'CallHistory'), '');
+
+  const text = buildGlossaryText(glossary);
+  assert.match(text, /METRICS — .*\n- "answered call": talking_duration > 0\n/);
+  assert.match(text, /PEOPLE — [\s\S]*\n- 101: Alice Smith\n/);
+  assert.equal(buildGlossaryText(emptyGlossary()), '');
+});
+
+test('a question is matched to tables through glossary descriptions, metrics and people', () => {
+  const tables = {
+    cl_segments: [{ name: 'seg_id', type: 'INT64' }, { name: 'talk_secs', type: 'INT64' }],
+    dn_map: [{ name: 'dn', type: 'STRING' }, { name: 'label', type: 'STRING' }],
+    rec_files: [{ name: 'path', type: 'STRING' }, { name: 'sz', type: 'INT64' }],
+  };
+  const glossary = normalizeGlossary({
+    tables: {
+      rec_files: { description: 'Call recordings', columns: { sz: { description: 'Recording size in bytes' } } },
+    },
+    metrics: [{ name: 'talk time', definition: 'SUM(talk_secs)' }],
+    people: [{ extension: '104', name: 'Priya' }],
+  });
+  const best = (question) => Object.keys(pruneSchema(tables, question, { glossary, pruneAboveColumns: 1, maxTables: 1 }));
+  assert.deepEqual(best('largest recordings'), ['rec_files']);
+  assert.deepEqual(best('total talk time'), ['cl_segments']);
+  assert.deepEqual(best('how busy was priya'), ['dn_map']);
+});
@@ -0,0 +1,14 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createProvider } = require('../lib/llmProviders');
+
+const vertex = (vertexLocation) => createProvider({ provider: 'vertex', vertexProject: 'proj', vertexLocation, getAccessToken: async () => 'token' });
+
+test('a Vertex AI location must be a region name', () => {
+  assert.equal(vertex('europe-west2').id, 'vertex');
+  assert.equal(vertex('').id, 'vertex'); // the default region
+  assert.throws(() => vertex('evil.example.com/x'), /isn't a Vertex AI region/);
+  assert.throws(() => vertex('us-central1.attacker.net#'), /isn't a Vertex AI region/);
+});
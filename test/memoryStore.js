@@ -0,0 +1,37 @@
+'use strict';
+
+// electron-store's get/set/has/delete on dotted paths, in memory
+function memoryStore(initial = {}) {
+  const data = JSON.parse(JSON.stringify(initial));
+  const walk = (key, create) => {
+    const parts = key.split('.');
+    let node = data;
+    for (const part of parts.slice(0, -1)) {
+      if (node[part] === undefined) {
+        if (!create) return [undefined, parts.at(-1)];
+        node[part] = {};
+      }
+      node = node[part];
+    }
+    return [node, parts.at(-1)];
+  };
+  return {
+    get(key, fallback) {
+      const [node, last] = walk(key, false);
+      return node && node[last] !== undefined ? node[last] : fallback;
+    },
+    set(key, value) {
+      const [node, last] = walk(key, true);
+      node[last] = value;
+    },
+    has(key) {
+      return this.get(key) !== undefined;
+    },
+    delete(key) {
+      const [node, last] = walk(key, false);
+      if (node) delete node[last];
+    },
+  };
+}
+
+module.exports = { memoryStore };
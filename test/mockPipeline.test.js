@@ -0,0 +1,139 @@
+'use strict';
+
+// Question → prompt → mock model → safety gate → dry run → local engine on the
+// bundled sample: the whole pipeline, with no network and no credentials
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createProvider } = require('../lib/llmProviders');
+const { createLocalBigQuery, SAMPLE_DATA_DIR } = require('../lib/localBigQuery');
+const { stripSqlFences } = require('../lib/sqlGuard');
+const { renderTemplate } = require('../lib/promptTemplate');
+const { createQueryRunner } = require('../lib/queryRunner');
+
+const projectId = 'sample';
+const datasetId = 'pbx';
+const bq = createLocalBigQuery({ projectId, datasets: [{ datasetId, dir: SAMPLE_DATA_DIR }], shiftToRecent: true });
+const llm = createProvider({ provider: 'mock' });
+const profile = { id: 'sample', projectId, datasetId };
+const GB = 1024 ** 3;
+
+// The runner as main.js builds it, over any client and limits
+function runner({ client = bq, limits = { maxBytesBilledGb: 10, confirmAboveGb: 1 }, pageRows } = {}) {
+  return createQueryRunner({ clientFor: () => client, scopeFor: () => ({ projectId, datasetId }), limits: () => limits, pageRows });
+}
+
+// The local engine never reads any bytes; this one's dry runs report what
+// BigQuery would, and every job it starts is recorded
+function estimating(bytes, statementType = 'SELECT') {
+  const jobs = [];
+  const client = {
+    async createQueryJob(options) {
+      jobs.push(options);
+      const [job] = await bq.createQueryJob(options);
+      if (options.dryRun) job.metadata = { statistics: { totalBytesProcessed: String(bytes), query: { statementType } } };
+      return [job];
+    },
+  };
+  return { client, jobs };
+}
+
+// The schema lines main.js puts into {{schema}}
+async function schemaText() {
+  const [tables] = await bq.dataset(datasetId).getTables();
+  const blocks = await Promise.all(tables.map(async ({ id }) => {
+    const [{ schema }] = await bq.dataset(datasetId).table(id).getMetadata();
+    return `Table: \`${projectId}.${datasetId}.${id}\`\n${schema.fields.map(f => `  ${f.name} (${f.type})`).join('\n')}`;
+  }));
+  return blocks.join('\n\n');
+}
+
+async function ask(template, question) {
+  const prompt = renderTemplate(template, { schema: await schemaText(), question });
+  const sql = stripSqlFences(await llm.generate(prompt, { question }));
+  const result = await runner().executeSql(sql, { confirmed: false, profile });
+  assert.equal(result.ok, true, result.error);
+  return result;
+}
+
+test('a question about a table runs against the sample data', async () => {
+  const { sql, rows } = await ask('{{schema}}\n\nUSER QUESTION: {{question}}', 'list the queues');
+  assert.equal(sql, 'SELECT * FROM `sample.pbx.Queues` LIMIT 10');
+  assert.deepEqual(rows.map(r => r.name), ['Sales', 'Support', 'Accounts']);
+});
+
+test('the mock finds the question wherever a custom template puts it', async () => {
+  const { sql, rows } = await ask('Question first: {{question}}\n\n{{schema}}', 'show me some extensions');
+  assert.equal(sql, 'SELECT * FROM `sample.pbx.Extensions` LIMIT 10');
+  assert.ok(rows.length > 0);
+});
+
+test('the safety gate refuses before anything reaches BigQuery', async () => {
+  const { client, jobs } = estimating(0);
+  const result = await runner({ client }).executeSql('DELETE FROM `sample.pbx.Queues` WHERE TRUE', { profile });
+  assert.equal(result.blocked, true);
+  assert.equal(result.reason, 'not_select');
+  assert.equal(jobs.length, 0);
+});
+
+test('a dry run BigQuery calls something other than a SELECT is refused', async () => {
+  const { client, jobs } = estimating(0, 'SCRIPT');
+  const result = await runner({ client }).executeSql('SELECT * FROM `sample.pbx.Queues`', { profile });
+  assert.equal(result.blocked, true);
+  assert.match(result.error, /SCRIPT statement/);
+  assert.deepEqual(jobs.map(j => !!j.dryRun), [true]);
+});
+
+test('the estimate is held against the cost limits, and the real job carries the ceiling', async () => {
+  const sql = 'SELECT * FROM `sample.pbx.Queues`';
+  const over = estimating(11 * GB);
+  const refused = await runner({ client: over.client }).executeSql(sql, { confirmed: true, profile });
+  assert.equal(refused.ok, false);
+  assert.match(refused.error, /about 11\.00 GB, which is over the 10\.00 GB limit/);
+  assert.equal(over.jobs.length, 1);
+
+  const large = estimating(2 * GB);
+  const asked = await runner({ client: large.client }).executeSql(sql, { confirmed: false, profile });
+  assert.equal(asked.needsConfirmation, true);
+  assert.equal(asked.profileId, 'sample');
+  assert.equal(large.jobs.length, 1);
+
+  const confirmed = await runner({ client: large.client }).executeSql(sql, { confirmed: true, profile });
+  assert.equal(confirmed.rows.length, 3);
+  assert.equal(large.jobs[2].maximumBytesBilled, String(10 * GB));
+
+  const unlimited = estimating(50 * GB);
+  const free = await runner({ client: unlimited.client, limits: { maxBytesBilledGb: 0, confirmAboveGb: 0 } }).executeSql(sql, { profile });
+  assert.equal(free.rows.length, 3);
+  assert.equal(unlimited.jobs[1].maximumBytesBilled, undefined);
+});
+
+test('named parameters go to BigQuery as parameters, not SQL text', async () => {
+  const { client, jobs } = estimating(0);
+  const result = await runner({ client }).executeSql('SELECT name FROM `sample.pbx.Queues` WHERE name = @queue', {
+    profile, params: [{ name: 'queue', type: 'STRING', value: 'Support' }],
+  });
+  assert.deepEqual(result.rows, [{ name: 'Support' }]);
+  assert.deepEqual(jobs[1].params, { queue: 'Support' });
+  assert.deepEqual(jobs[1].types, { queue: 'STRING' });
+});
+
+test('results come a page at a time, and the rest can be fetched by resultId', async () => {
+  const paged = runner({ pageRows: 2 });
+  const sql = 'SELECT name FROM `sample.pbx.Queues` ORDER BY name';
+  const first = await paged.executeSql(sql, { profile });
+  assert.deepEqual(first.rows.map(r => r.name), ['Accounts', 'Sales']);
+  assert.deepEqual(first.columns, ['name']);
+  assert.equal(first.totalRows, 3);
+  assert.ok(first.resultId && first.pageToken);
+
+  const next = await paged.fetchPage(first.resultId, first.pageToken);
+  assert.deepEqual(next.rows.map(r => r.name), ['Support']);
+  assert.equal(next.pageToken, null);
+  assert.deepEqual((await paged.readAllRows(first.resultId)).map(r => r.name), ['Accounts', 'Sales', 'Support']);
+  assert.equal(await paged.fetchPage('gone', null), null);
+
+  const all = await paged.executeSql(sql, { profile, allRows: true });
+  assert.equal(all.rows.length, 3);
+  assert.equal(all.resultId, null);
+});
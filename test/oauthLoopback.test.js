@@ -0,0 +1,98 @@
+'use strict';
+
+// The loopback sign-in against a mock authorization server on 127.0.0.1:
+// the "browser" follows the consent URL straight back to the app's redirect,
+// and the token endpoint only answers if the PKCE verifier matches the challenge
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { google } = require('googleapis');
+const { signInWithLoopback } = require('../lib/oauthLoopback');
+
+async function mockTokenServer() {
+  const issued = { challenges: new Map(), exchanges: [] };
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const form = new URLSearchParams(body);
+    const challenge = issued.challenges.get(form.get('code'));
+    const expected = challenge && crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+    issued.exchanges.push(Object.fromEntries(form));
+    res.setHeader('Content-Type', 'application/json');
+    if (req.url !== '/token' || form.get('grant_type') !== 'authorization_code' || !challenge || expected !== challenge) {
+      res.writeHead(400).end(JSON.stringify({ error: 'invalid_grant' }));
+      return;
+    }
+    res.end(JSON.stringify({ access_token: 'access-1', refresh_token: 'refresh-1', token_type: 'Bearer', expires_in: 3600 }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const oauth2Client = new google.auth.OAuth2({
+    clientId: 'client-id',
+    clientSecret: 'client-secret',
+    endpoints: { oauth2AuthBaseUrl: `${origin}/auth`, oauth2TokenUrl: `${origin}/token` },
+  });
+  return { server, issued, oauth2Client };
+}
+
+// Stands in for the user approving consent: the authorization server sends
+// the browser to the redirect URI with a code (or an error) and the state
+function browser(issued, outcome = {}) {
+  return async (authUrl) => {
+    const url = new URL(authUrl);
+    assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+    const redirect = new URL(url.searchParams.get('redirect_uri'));
+    assert.equal(redirect.hostname, '127.0.0.1');
+    if (outcome.staleState) {
+      const stale = await fetch(`${redirect}?code=old&state=stale`);
+      assert.equal(stale.status, 400);
+    }
+    if (outcome.error) {
+      redirect.searchParams.set('error', outcome.error);
+    } else {
+      issued.challenges.set('code-1', url.searchParams.get('code_challenge'));
+      redirect.searchParams.set('code', 'code-1');
+    }
+    redirect.searchParams.set('state', url.searchParams.get('state'));
+    await fetch(redirect);
+  };
+}
+
+test('the code from the redirect is exchanged with its PKCE verifier', async () => {
+  const { server, issued, oauth2Client } = await mockTokenServer();
+  try {
+    const tokens = await signInWithLoopback({ oauth2Client, scopes: ['openid'], openBrowser: browser(issued, { staleState: true }) });
+    assert.equal(tokens.access_token, 'access-1');
+    assert.equal(tokens.refresh_token, 'refresh-1');
+    assert.equal(issued.exchanges.length, 1);
+    assert.match(issued.exchanges[0].redirect_uri, /^http:\/\/127\.0\.0\.1:\d+$/);
+  } finally {
+    server.close();
+  }
+});
+
+test('a refusal in the browser ends the sign-in without an exchange', async () => {
+  const { server, issued, oauth2Client } = await mockTokenServer();
+  try {
+    await assert.rejects(
+      signInWithLoopback({ oauth2Client, scopes: ['openid'], openBrowser: browser(issued, { error: 'access_denied' }) }),
+      /cancelled in the browser/,
+    );
+    assert.equal(issued.exchanges.length, 0);
+  } finally {
+    server.close();
+  }
+});
+
+test('a cancelled wait rejects', async () => {
+  const { server, oauth2Client } = await mockTokenServer();
+  const controller = new AbortController();
+  try {
+    const signIn = signInWithLoopback({ oauth2Client, scopes: ['openid'], openBrowser: () => controller.abort(), signal: controller.signal });
+    await assert.rejects(signIn, /Sign-in cancelled/);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+// The first launch after upgrading from the single-connection store, and the
+// profile list itself
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSecretStore } = require('../lib/secrets');
+const { createProfileStore, datasetsOf, parseDatasetList, formatDatasetList } = require('../lib/profiles');
+const { memoryStore } = require('./memoryStore');
+
+// Stands in for safeStorage with a working keychain
+const keychain = {
+  isEncryptionAvailable: () => true,
+  encryptString: (text) => Buffer.from(`enc:${text}`),
+  decryptString: (buffer) => buffer.toString().replace(/^enc:/, ''),
+};
+
+const legacyStore = () => memoryStore({
+  projectId: 'acme-pbx',
+  datasetId: 'threecx',
+  authMethod: 'oauth',
+  oauthClientId: 'client.apps.googleusercontent.com',
+  oauthEmail: 'ops@example.com',
+  maxBytesBilledGb: 5,
+  savedReports: [{ id: 'r1', name: 'Daily calls' }, { id: 'r2', name: 'Tagged', profileId: 'elsewhere' }],
+  oauthTokens: '{"refresh_token":"r"}',
+  oauthClientSecret: 'shh',
+  geminiKey: 'AIza-old',
+});
+
+function upgrade(store) {
+  const secrets = createSecretStore(store, keychain);
+  const profiles = createProfileStore(store, secrets);
+  secrets.migrateLegacy();
+  profiles.migrateLegacy();
+  return { secrets, profiles };
+}
+
+test('the single legacy connection becomes the active "Default" profile', () => {
+  const store = legacyStore();
+  const { profiles } = upgrade(store);
+
+  const [profile] = profiles.list();
+  assert.equal(profiles.list().length, 1);
+  assert.equal(profiles.active().id, profile.id);
+  assert.deepEqual(
+    { name: profile.name, projectId: profile.projectId, datasetId: profile.datasetId, authMethod: profile.authMethod,
+      oauthClientId: profile.oauthClientId, oauthEmail: profile.oauthEmail },
+    { name: 'Default', projectId: 'acme-pbx', datasetId: 'threecx', authMethod: 'oauth',
+      oauthClientId: 'client.apps.googleusercontent.com', oauthEmail: 'ops@example.com' });
+  assert.deepEqual(profile.datasets, []);
+
+  for (const key of ['projectId', 'datasetId', 'authMethod', 'oauthClientId', 'oauthEmail']) assert.equal(store.has(key), false, key);
+  assert.equal(store.get('maxBytesBilledGb'), 5); // app-wide settings stay where they are
+  assert.deepEqual(store.get('savedReports').map(r => r.profileId), [profile.id, 'elsewhere']);
+});
+
+test('legacy connection secrets are adopted by the profile; app-wide keys stay shared', () => {
+  const store = legacyStore();
+  const { secrets, profiles } = upgrade(store);
+  const { id } = profiles.list()[0];
+
+  assert.equal(secrets.get('oauthTokens', id), '{"refresh_token":"r"}');
+  assert.equal(secrets.get('oauthClientSecret', id), 'shh');
+  assert.equal(secrets.has('oauthTokens'), false);
+  assert.equal(secrets.get('geminiKey'), 'AIza-old');
+  assert.equal(store.get('oauthTokens'), undefined); // no plain copies left
+  assert.equal(store.get(`secrets.profiles.${id}.oauthTokens`), Buffer.from('enc:{"refresh_token":"r"}').toString('base64'));
+});
+
+test('upgrading again changes nothing, and a profile keeps its own secret over a leftover', () => {
+  const store = legacyStore();
+  const { secrets, profiles } = upgrade(store);
+  const { id } = profiles.list()[0];
+  secrets.set('oauthTokens', '{"refresh_token":"new"}', id);
+  secrets.set('oauthTokens', '{"refresh_token":"leftover"}');
+
+  profiles.migrateLegacy();
+  assert.equal(profiles.list().length, 1);
+  assert.equal(secrets.get('oauthTokens', id), '{"refresh_token":"new"}');
+  assert.equal(secrets.has('oauthTokens'), false);
+});
+
+test('a new install gets a blank "Default" profile', () => {
+  const store = memoryStore({});
+  const { profiles } = upgrade(store);
+  const [profile] = profiles.list();
+  assert.equal(profile.name, 'Default');
+  assert.equal(profile.projectId, '');
+  assert.equal(profile.authMethod, 'serviceAccount');
+  assert.deepEqual(store.get('savedReports'), []);
+});
+
+test('names stay unique, the last profile stays, and removing one takes its secrets', () => {
+  const store = memoryStore({});
+  const { secrets, profiles } = upgrade(store);
+  const first = profiles.list()[0];
+  const leeds = profiles.create({ name: 'Leeds' });
+  assert.equal(profiles.create({ name: 'leeds' }).name, 'leeds (2)');
+
+  secrets.set('serviceAccountJson', '{}', leeds.id);
+  profiles.setActive(leeds.id);
+  profiles.remove(leeds.id);
+  assert.equal(secrets.has('serviceAccountJson', leeds.id), false);
+  assert.equal(profiles.active().id, first.id);
+  assert.throws(() => profiles.setActive(leeds.id), /Profile not found/);
+
+  profiles.remove(profiles.list()[1].id);
+  assert.throws(() => profiles.remove(first.id), /At least one profile/);
+});
+
+test('extra site datasets are read from and written back to the settings text', () => {
+  const datasets = parseDatasetList('Leeds = acme-leeds.threecx\n# a comment\n\n`york_pbx`');
+  assert.deepEqual(datasets, [
+    { site: 'Leeds', projectId: 'acme-leeds', datasetId: 'threecx' },
+    { site: 'york_pbx', projectId: '', datasetId: 'york_pbx' },
+  ]);
+  assert.equal(formatDatasetList(datasets), 'Leeds = acme-leeds.threecx\nyork_pbx = york_pbx');
+  assert.throws(() => parseDatasetList('Leeds = not a dataset'), /Can't read the dataset line "Leeds = not a dataset"/);
+
+  assert.deepEqual(datasetsOf({ name: 'Head office', projectId: 'acme', datasetId: 'hq', datasets }), [
+    { site: 'Head office', projectId: 'acme', datasetId: 'hq' },
+    { site: 'Leeds', projectId: 'acme-leeds', datasetId: 'threecx' },
+    { site: 'york_pbx', projectId: 'acme', datasetId: 'york_pbx' },
+  ]);
+});
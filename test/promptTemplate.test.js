@@ -0,0 +1,25 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SQL_TEMPLATE, validateTemplate, templateWarnings } = require('../lib/promptTemplate');
+
+test('the default template is valid and leaves nothing out', () => {
+  assert.equal(validateTemplate(DEFAULT_SQL_TEMPLATE), null);
+  assert.deepEqual(templateWarnings(DEFAULT_SQL_TEMPLATE), []);
+});
+
+test('schema and question are required; unknown placeholders are refused', () => {
+  assert.match(validateTemplate('Answer {{question}}'), /must include \{\{schema\}\}/);
+  assert.match(validateTemplate('{{schema}} {{questoin}}'), /Unknown placeholder \{\{questoin\}\}/);
+});
+
+test('each feature placeholder a template drops gets a warning', () => {
+  const template = 'House rules.\n{{schema}}\n{{calendar}}\nQ: {{question}}';
+  assert.equal(validateTemplate(template), null);
+  const warnings = templateWarnings(template);
+  assert.equal(warnings.length, 3);
+  assert.match(warnings.join('\n'), /\{\{conversation\}\} follow-up questions/);
+  assert.match(warnings.join('\n'), /\{\{sites\}\}/);
+  assert.match(warnings.join('\n'), /\{\{glossary\}\}/);
+});
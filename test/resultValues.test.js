@@ -0,0 +1,107 @@
+'use strict';
+
+// Rows as the BigQuery client builds them from an API response (wrapIntegers,
+// as main.js asks for), encoded by the result schema that came with them
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BigQuery } = require('@google-cloud/bigquery');
+const { describeFields, encodeRow } = require('../lib/resultValues');
+
+const cell = (v) => ({ v });
+const record = (...values) => ({ f: values.map(cell) });
+
+function encode(schemaFields, ...rawRows) {
+  const rows = BigQuery.mergeSchemaWithRows_({ fields: schemaFields }, rawRows, { wrapIntegers: true });
+  const fields = describeFields(schemaFields);
+  return rows.map(row => encodeRow(row, fields));
+}
+
+test('fields are described with standard SQL type names', () => {
+  assert.deepEqual(describeFields([
+    { name: 'id', type: 'INTEGER', mode: 'REQUIRED' },
+    { name: 'ok', type: 'BOOLEAN' },
+    { name: 'caller', type: 'RECORD', description: 'who called', fields: [{ name: 'number', type: 'STRING' }] },
+  ]), [
+    { name: 'id', type: 'INT64', mode: 'REQUIRED' },
+    { name: 'ok', type: 'BOOL', mode: 'NULLABLE' },
+    { name: 'caller', type: 'STRUCT', mode: 'NULLABLE', description: 'who called', fields: [{ name: 'number', type: 'STRING', mode: 'NULLABLE' }] },
+  ]);
+});
+
+test('INT64 and NUMERIC values past 2^53 keep every digit', () => {
+  const [row] = encode([
+    { name: 'id', type: 'INTEGER' },
+    { name: 'small', type: 'INTEGER' },
+    { name: 'amount', type: 'NUMERIC' },
+    { name: 'tiny', type: 'NUMERIC' },
+    { name: 'huge', type: 'BIGNUMERIC' },
+  ], record('9007199254740993', '-42', '12345678901234567890.123456789', '0.0000001', '-578960446186580977117854925043439539266.3499'));
+  assert.deepEqual(row, {
+    id: '9007199254740993',
+    small: '-42',
+    amount: '12345678901234567890.123456789',
+    tiny: '0.0000001',
+    huge: '-578960446186580977117854925043439539266.3499',
+  });
+});
+
+test('BYTES, TIMESTAMP, FLOAT64 and BOOL come out as plain values', () => {
+  const [row] = encode([
+    { name: 'digest', type: 'BYTES' },
+    { name: 'at', type: 'TIMESTAMP' },
+    { name: 'ratio', type: 'FLOAT' },
+    { name: 'nan', type: 'FLOAT64' },
+    { name: 'answered', type: 'BOOLEAN' },
+    { name: 'day', type: 'DATE' },
+  ], record('3q2+7w==', '1717401810000000', '0.25', 'NaN', 'true', '2024-06-03'));
+  assert.deepEqual(row, { digest: '3q2+7w==', at: '2024-06-03T08:03:30.000Z', ratio: 0.25, nan: 'NaN', answered: true, day: '2024-06-03' });
+});
+
+test('nested STRUCTs and ARRAYs are encoded field by field', () => {
+  const [row] = encode([
+    { name: 'call', type: 'RECORD', fields: [
+      { name: 'id', type: 'INTEGER' },
+      { name: 'tags', type: 'STRING', mode: 'REPEATED' },
+      { name: 'legs', type: 'RECORD', mode: 'REPEATED', fields: [
+        { name: 'ext', type: 'INTEGER' },
+        { name: 'cost', type: 'NUMERIC' },
+      ] },
+    ] },
+    { name: 'ids', type: 'INTEGER', mode: 'REPEATED' },
+  ], record(
+    record('12345678901234567', [cell('vip'), cell('queue')], [cell(record('101', '0.10')), cell(record('9007199254740995', null))]),
+    [cell('9007199254740993'), cell('1')],
+  ));
+  assert.deepEqual(row, {
+    call: {
+      id: '12345678901234567',
+      tags: ['vip', 'queue'],
+      legs: [{ ext: '101', cost: '0.1' }, { ext: '9007199254740995', cost: null }],
+    },
+    ids: ['9007199254740993', '1'],
+  });
+});
+
+test('NULL stays null at every level, and an empty ARRAY stays empty', () => {
+  const [row] = encode([
+    { name: 'id', type: 'INTEGER' },
+    { name: 'amount', type: 'NUMERIC' },
+    { name: 'digest', type: 'BYTES' },
+    { name: 'caller', type: 'RECORD', fields: [{ name: 'name', type: 'STRING' }] },
+    { name: 'tags', type: 'STRING', mode: 'REPEATED' },
+  ], record(null, null, null, null, []));
+  assert.deepEqual(row, { id: null, amount: null, digest: null, caller: null, tags: [] });
+});
+
+test('keys follow the schema order, and rows without a schema are encoded by shape', () => {
+  const fields = describeFields([{ name: 'b', type: 'STRING' }, { name: 'a', type: 'INTEGER' }]);
+  assert.deepEqual(Object.keys(encodeRow({ a: 1, b: 'x' }, fields)), ['b', 'a']);
+  assert.deepEqual(encodeRow({ n: 10n ** 20n, raw: Buffer.from('hi'), at: new Date(0), nested: { x: null } }, []),
+    { n: '100000000000000000000', raw: 'aGk=', at: '1970-01-01T00:00:00.000Z', nested: { x: null } });
+});
+
+test("the local engine's UTC timestamps come out as ISO 8601", () => {
+  const fields = describeFields([{ name: 'at', type: 'TIMESTAMP' }]);
+  assert.deepEqual(encodeRow({ at: '2024-06-03 08:03:30' }, fields), { at: '2024-06-03T08:03:30Z' });
+});
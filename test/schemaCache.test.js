@@ -0,0 +1,112 @@
+'use strict';
+
+// Schema refreshes against a stand-in BigQuery client that counts its calls
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSchemaCache, refreshDataset, mapLimit } = require('../lib/schemaCache');
+
+const dataset = { projectId: 'p', datasetId: 'pbx' };
+const field = (name, type = 'STRING') => ({ name, type });
+
+// Tables as { name: { fields, lastModified } }; `tablesMeta: false` makes
+// __TABLES__ unreadable, as it is without bigquery.tables.list on the dataset
+function fakeBigQuery(tables, { tablesMeta = true } = {}) {
+  const calls = { queries: [], getTables: 0, getMetadata: [] };
+  const bq = {
+    async query({ query }) {
+      calls.queries.push(query);
+      if (!tablesMeta) throw new Error('Access Denied: Table p:pbx.__TABLES__');
+      return [Object.entries(tables).map(([id, t]) => ({ table_id: id, last_modified_time: String(t.lastModified) }))];
+    },
+    dataset(datasetId, { projectId }) {
+      assert.deepEqual({ projectId, datasetId }, dataset);
+      return {
+        async getTables() {
+          calls.getTables++;
+          return [Object.keys(tables).map(id => ({ id }))];
+        },
+        table(name) {
+          return {
+            async getMetadata() {
+              calls.getMetadata.push(name);
+              const t = tables[name];
+              return [{ schema: { fields: t.fields }, lastModifiedTime: String(t.lastModified), description: `${name} table` }];
+            },
+          };
+        },
+      };
+    },
+  };
+  return { bq, calls };
+}
+
+test('a refresh reads __TABLES__ once and re-reads only new and changed tables', async () => {
+  const cached = {
+    Calls: { fields: [field('id', 'INT64')], lastModified: 100 },
+    Queues: { fields: [field('name')], lastModified: 200 },
+    Dropped: { fields: [field('x')], lastModified: 300 },
+  };
+  const { bq, calls } = fakeBigQuery({
+    Calls: { fields: [field('id', 'INT64')], lastModified: 100 },
+    Queues: { fields: [field('name'), field('sla', 'INT64')], lastModified: 250 },
+    Extensions: { fields: [field('number')], lastModified: 50 },
+  });
+
+  const { tables, fetched } = await refreshDataset(bq, dataset, cached);
+  assert.deepEqual(calls.queries, ['SELECT table_id, last_modified_time FROM `p.pbx.__TABLES__`']);
+  assert.deepEqual(calls.getMetadata.sort(), ['Extensions', 'Queues']);
+  assert.equal(tables.Calls, cached.Calls); // unchanged: the cached entry as it was
+  assert.deepEqual(tables.Queues, { fields: [field('name'), field('sla', 'INT64')], lastModified: 250 });
+  assert.deepEqual(Object.keys(tables).sort(), ['Calls', 'Extensions', 'Queues']);
+  assert.deepEqual(fetched.map(f => f.name).sort(), ['Extensions', 'Queues']);
+  assert.equal(fetched.find(f => f.name === 'Queues').meta.description, 'Queues table');
+});
+
+test('force re-reads every table', async () => {
+  const { bq, calls } = fakeBigQuery({ Calls: { fields: [field('id')], lastModified: 100 } });
+  await refreshDataset(bq, dataset, { Calls: { fields: [field('id')], lastModified: 100 } }, { force: true });
+  assert.deepEqual(calls.getMetadata, ['Calls']);
+});
+
+test('without __TABLES__ the tables are listed and all re-read, since their ages are unknown', async () => {
+  const { bq, calls } = fakeBigQuery({
+    Calls: { fields: [field('id')], lastModified: 100 },
+    Queues: { fields: [field('name')], lastModified: 200 },
+  }, { tablesMeta: false });
+  const { tables } = await refreshDataset(bq, dataset, { Calls: { fields: [field('id')], lastModified: 100 } });
+  assert.equal(calls.getTables, 1);
+  assert.deepEqual(calls.getMetadata.sort(), ['Calls', 'Queues']);
+  assert.deepEqual(tables.Calls, { fields: [field('id')], lastModified: 100 });
+});
+
+test('metadata is fetched a few tables at a time, in item order', async () => {
+  let inFlight = 0;
+  let most = 0;
+  const results = await mapLimit([5, 1, 4, 2, 3], 2, async (ms, i) => {
+    most = Math.max(most, ++inFlight);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    inFlight--;
+    return i;
+  });
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  assert.equal(most, 2);
+});
+
+test('the cache is kept per profile and read back from the store', () => {
+  const data = {};
+  const schemaStore = {
+    get: (key) => data[key],
+    set: (key, value) => { data[key] = value; },
+    delete: (key) => { delete data[key]; },
+  };
+  const cache = createSchemaCache(schemaStore);
+  assert.deepEqual(cache.get('a'), { checkedAt: 0, datasets: {} });
+  const saved = { checkedAt: 1, datasets: { 'p.pbx': { Calls: { fields: [], lastModified: 1 } } } };
+  cache.save('a', saved);
+  assert.deepEqual(createSchemaCache(schemaStore).get('a'), saved);
+  assert.deepEqual(cache.get('b'), { checkedAt: 0, datasets: {} });
+  cache.delete('a');
+  assert.equal(data['profiles.a'], undefined);
+  assert.deepEqual(cache.get('a'), { checkedAt: 0, datasets: {} });
+});
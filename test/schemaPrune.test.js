@@ -0,0 +1,44 @@
+'use strict';
+
+// Pruning a wide schema down to the tables and columns a question is about
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pruneSchema } = require('../lib/schemaPrune');
+
+const field = (name, type = 'STRING') => ({ name, type });
+
+const wide = (prefix, n) => Array.from({ length: n }, (_, i) => field(`${prefix}_${i}`));
+const schema = {
+  CallHistory: [field('call_id', 'INT64'), field('start_time', 'TIMESTAMP'), field('duration', 'INT64'), ...wide('extra', 60)],
+  Queues: [field('queue_id', 'INT64'), field('name')],
+  Extensions: [field('ext_number'), field('display_name')],
+  Recordings: [field('file_path'), field('size_bytes', 'INT64')],
+};
+
+test('a small schema is sent whole', () => {
+  assert.equal(pruneSchema(schema, 'calls per queue'), null);
+});
+
+test('a large schema keeps the tables the question is about, best match first', () => {
+  const pruned = pruneSchema(schema, 'queue names for calls', { pruneAboveColumns: 10, maxTables: 2 });
+  assert.deepEqual(Object.keys(pruned), ['Queues', 'CallHistory']);
+  assert.equal(pruned.Queues.omitted, 0);
+});
+
+test('wide tables keep matching and time columns first', () => {
+  const pruned = pruneSchema(schema, 'longest call duration', { pruneAboveColumns: 10, maxColumns: 3 });
+  assert.deepEqual(pruned.CallHistory.fields.map(f => f.name), ['call_id', 'start_time', 'duration']);
+  assert.equal(pruned.CallHistory.omitted, 60);
+});
+
+test('glossary metrics and people pull in their columns; no match keeps everything', () => {
+  const glossary = {
+    metrics: [{ name: 'storage used', definition: 'SUM(size_bytes)' }],
+    people: [{ name: 'Priya', extension: '104' }],
+  };
+  const options = { pruneAboveColumns: 10, maxTables: 1, glossary };
+  assert.deepEqual(Object.keys(pruneSchema(schema, 'total storage used', options)), ['Recordings']);
+  assert.deepEqual(Object.keys(pruneSchema(schema, 'how busy was Priya', options)), ['Extensions']);
+  assert.deepEqual(Object.keys(pruneSchema(schema, 'zzz', { pruneAboveColumns: 10 })), Object.keys(schema));
+});
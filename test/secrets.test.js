@@ -0,0 +1,36 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSecretStore } = require('../lib/secrets');
+const { createProfileStore } = require('../lib/profiles');
+const { memoryStore } = require('./memoryStore');
+
+const noKeychain = {
+  isEncryptionAvailable: () => false,
+  encryptString: () => { throw new Error('unavailable'); },
+  decryptString: () => { throw new Error('unavailable'); },
+};
+
+test('without a keychain, credentials from before profiles stay readable by the first profile', () => {
+  const store = memoryStore({ projectId: 'proj', datasetId: 'pbx', serviceAccountJson: '{"type":"service_account"}', geminiKey: 'AIza-old' });
+  const secrets = createSecretStore(store, noKeychain);
+  const profiles = createProfileStore(store, secrets);
+
+  assert.deepEqual(secrets.migrateLegacy(), []);
+  profiles.migrateLegacy();
+  const first = profiles.list()[0];
+
+  assert.equal(secrets.get('serviceAccountJson', first.id), '{"type":"service_account"}');
+  assert.equal(secrets.has('serviceAccountJson', first.id), true);
+  assert.equal(secrets.get('geminiKey'), 'AIza-old');
+
+  // Not the other profiles', and not unscoped
+  const second = profiles.create({ name: 'Leeds' });
+  assert.equal(secrets.get('serviceAccountJson', second.id), undefined);
+  assert.equal(secrets.has('serviceAccountJson'), false);
+
+  // Deleting the profile deletes its credentials, plain ones included
+  profiles.remove(first.id);
+  assert.equal(store.get('serviceAccountJson'), undefined);
+});
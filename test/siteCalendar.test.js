@@ -0,0 +1,75 @@
+'use strict';
+
+// Relative dates resolved at fixed times, in the site's time zone: weeks run
+// Monday to Sunday, months are calendar months, and a day is 23 or 25 hours
+// long when the clocks change
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveWindow } = require('../lib/siteCalendar');
+
+const at = (iso) => new Date(iso);
+const span = (window) => [window.label, window.start.toISOString(), window.end.toISOString()];
+
+test('weeks start on Monday, and the week before can reach into last year', () => {
+  const monday = at('2026-01-05T10:00:00Z');
+  assert.deepEqual(span(resolveWindow('calls this week', 'Europe/London', monday)),
+    ['this week', '2026-01-05T00:00:00.000Z', '2026-01-12T00:00:00.000Z']);
+  assert.deepEqual(span(resolveWindow('calls last week', 'Europe/London', monday)),
+    ['last week', '2025-12-29T00:00:00.000Z', '2026-01-05T00:00:00.000Z']);
+
+  const sunday = at('2026-01-11T22:00:00Z');
+  assert.deepEqual(span(resolveWindow('calls this week', 'Europe/London', sunday)),
+    ['this week', '2026-01-05T00:00:00.000Z', '2026-01-12T00:00:00.000Z']);
+  assert.deepEqual(span(resolveWindow('calls last 2 weeks', 'Europe/London', sunday)),
+    ['last 2 weeks', '2025-12-29T00:00:00.000Z', '2026-01-12T00:00:00.000Z']);
+  // "on Sunday" is today; "last Sunday" the one before
+  assert.equal(resolveWindow('calls on sunday', 'Europe/London', sunday).start.toISOString(), '2026-01-11T00:00:00.000Z');
+  assert.equal(resolveWindow('calls last sunday', 'Europe/London', sunday).start.toISOString(), '2026-01-04T00:00:00.000Z');
+});
+
+test('months are calendar months, across the turn of the year', () => {
+  const now = at('2026-01-05T10:00:00Z');
+  assert.deepEqual(span(resolveWindow('calls last month', 'Europe/London', now)),
+    ['last month', '2025-12-01T00:00:00.000Z', '2026-01-01T00:00:00.000Z']);
+  assert.deepEqual(span(resolveWindow('calls this month', 'Europe/London', now)),
+    ['this month', '2026-01-01T00:00:00.000Z', '2026-02-01T00:00:00.000Z']);
+  // Rolling months include this one so far
+  assert.deepEqual(span(resolveWindow('calls in the past 3 months', 'Europe/London', now)),
+    ['past 3 months', '2025-11-01T00:00:00.000Z', '2026-01-06T00:00:00.000Z']);
+  // A month without a year is the most recent one
+  assert.deepEqual(span(resolveWindow('calls in december', 'Europe/London', now)),
+    ['December 2025', '2025-12-01T00:00:00.000Z', '2026-01-01T00:00:00.000Z']);
+  assert.deepEqual(span(resolveWindow('calls in february 2024', 'Europe/London', now)),
+    ['February 2024', '2024-02-01T00:00:00.000Z', '2024-03-01T00:00:00.000Z']);
+});
+
+test('the site date is used, not the UTC one', () => {
+  // 01:00 on 5 Jan in Auckland (UTC+13) is still 4 Jan in UTC
+  const now = at('2026-01-04T12:00:00Z');
+  assert.deepEqual(span(resolveWindow('calls today', 'Pacific/Auckland', now)),
+    ['today', '2026-01-04T11:00:00.000Z', '2026-01-05T11:00:00.000Z']);
+  assert.deepEqual(span(resolveWindow('calls today', 'America/Los_Angeles', now)),
+    ['today', '2026-01-04T08:00:00.000Z', '2026-01-05T08:00:00.000Z']);
+});
+
+test('days and months the clocks change in are as long as they were locally', () => {
+  // London: forward on Sun 29 Mar 2026 (23 hours), back on Sun 25 Oct (25 hours)
+  assert.deepEqual(span(resolveWindow('calls yesterday', 'Europe/London', at('2026-03-30T08:00:00Z'))),
+    ['yesterday', '2026-03-29T00:00:00.000Z', '2026-03-29T23:00:00.000Z']);
+  assert.deepEqual(span(resolveWindow('calls yesterday', 'Europe/London', at('2026-10-26T08:00:00Z'))),
+    ['yesterday', '2026-10-24T23:00:00.000Z', '2026-10-26T00:00:00.000Z']);
+  assert.deepEqual(span(resolveWindow('calls last month', 'Europe/London', at('2026-04-10T08:00:00Z'))),
+    ['last month', '2026-03-01T00:00:00.000Z', '2026-03-31T23:00:00.000Z']);
+  // New York: back on Sun 1 Nov 2026
+  assert.deepEqual(span(resolveWindow('calls yesterday', 'America/New_York', at('2026-11-02T15:00:00Z'))),
+    ['yesterday', '2026-11-01T04:00:00.000Z', '2026-11-02T05:00:00.000Z']);
+});
+
+test('hours run back from now; all time and no period are told apart', () => {
+  const now = at('2026-10-26T08:00:00Z');
+  const hours = resolveWindow('calls in the past 6 hours', 'Europe/London', now);
+  assert.deepEqual([...span(hours), hours.wholeDays], ['past 6 hours', '2026-10-26T02:00:00.000Z', '2026-10-26T08:00:00.000Z', false]);
+  assert.deepEqual(resolveWindow('calls ever', 'Europe/London', now), { none: true });
+  assert.equal(resolveWindow('busiest queue', 'Europe/London', now), null);
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toSqlite, SQLITE_FUNCTIONS } = require('../lib/sqlDialect');
+
+const tables = { 'CallHistory': 'pbx__CallHistory' };
+const resolveTable = (parts) => tables[parts[parts.length - 1]] && parts.length > 1 ? tables[parts[parts.length - 1]] : null;
+const translate = (sql) => toSqlite(sql, { resolveTable }).replace(/\s+/g, ' ').trim();
+
+test('qualified table names become local tables', () => {
+  assert.equal(translate('SELECT * FROM `my-project.pbx.CallHistory`'), 'SELECT * FROM "pbx__CallHistory"');
+  assert.equal(translate('SELECT * FROM pbx.CallHistory c'), 'SELECT * FROM "pbx__CallHistory" c');
+});
+
+test('BigQuery string literals become SQLite ones; comments go', () => {
+  assert.equal(
+    translate(`SELECT "say \\"hi\\"", 'it''s', r'\\d+', '''a 'b' c''', 'don\\'t' -- 'no'\nFROM pbx.CallHistory /* c.d */ # end`),
+    `SELECT 'say "hi"', 'it''s', '\\d+', 'a ''b'' c', 'don''t' FROM "pbx__CallHistory"`,
+  );
+  assert.equal(translate('SELECT @start_date, `c`.x FROM pbx.CallHistory c'), 'SELECT @start_date, "c".x FROM "pbx__CallHistory" c');
+});
+
+test('a hyphen between column paths is subtraction', () => {
+  assert.equal(
+    translate('SELECT c.talking_duration-c.ringing_duration FROM pbx.CallHistory c'),
+    'SELECT "c"."talking_duration"-"c"."ringing_duration" FROM "pbx__CallHistory" c',
+  );
+  assert.equal(translate('SELECT a-b FROM pbx.CallHistory'), 'SELECT a-b FROM "pbx__CallHistory"');
+});
+
+test('time zone arguments convert in the zone', () => {
+  assert.equal(translate("SELECT DATE(start_time, 'Europe/London') FROM pbx.CallHistory"),
+    `SELECT date(tz_local(start_time, 'Europe/London')) FROM "pbx__CallHistory"`);
+  assert.equal(translate("SELECT EXTRACT(HOUR FROM start_time AT TIME ZONE 'Europe/London') FROM pbx.CallHistory"),
+    `SELECT CAST(strftime('%H', tz_local(start_time, 'Europe/London')) AS INTEGER) FROM "pbx__CallHistory"`);
+  assert.equal(translate("SELECT TIMESTAMP(CURRENT_DATE('Europe/London'), 'Europe/London')"),
+    `SELECT tz_utc(date(tz_local(datetime('now'), 'Europe/London')), 'Europe/London')`);
+  assert.equal(toSqlite('SELECT CURRENT_DATE(), CURRENT_TIMESTAMP()', { resolveTable, now: new Date('2026-10-26T09:30:00Z') }),
+    `SELECT date('2026-10-26 09:30:00'), datetime('2026-10-26 09:30:00')`);
+});
+
+test('the zone functions follow clock changes', () => {
+  const { tz_local: toLocal, tz_utc: toUtc } = SQLITE_FUNCTIONS;
+  assert.equal(toLocal('2024-06-03 08:03:30', 'Europe/London'), '2024-06-03 09:03:30');
+  assert.equal(toLocal('2024-01-03 08:03:30', 'Europe/London'), '2024-01-03 08:03:30');
+  assert.equal(toLocal('2024-06-03 23:30:00', 'Asia/Kolkata'), '2024-06-04 05:00:00');
+  assert.equal(toLocal('2024-06-03 08:00:00', '-05:00'), '2024-06-03 03:00:00');
+  assert.equal(toUtc('2024-06-03', 'Europe/London'), '2024-06-02 23:00:00');
+  assert.equal(toUtc('2024-01-03 09:00:00', 'America/New_York'), '2024-01-03 14:00:00');
+  assert.equal(toLocal(null, 'Europe/London'), null);
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateReadOnlySql, findQueryParameters } = require('../lib/sqlGuard');
+
+const scope = { projectId: 'proj', datasetId: 'pbx' };
+const accepts = (sql) => assert.deepEqual(validateReadOnlySql(sql, scope), { ok: true }, sql);
+const refuses = (sql, reason) => assert.equal(validateReadOnlySql(sql, scope).reason, reason, sql);
+
+test('reads from the configured dataset are allowed', () => {
+  accepts('SELECT * FROM `proj.pbx.CallHistory`');
+  accepts('SELECT COUNT(*) FROM pbx.CallHistory WHERE duration > 0');
+  accepts('WITH daily AS (SELECT 1 AS n FROM `proj.pbx.CallHistory`) SELECT * FROM daily');
+  accepts('SELECT c.id, l.ext FROM `proj.pbx.CallHistory` c, c.legs l');
+  accepts('SELECT * FROM (pbx.CallHistory c JOIN pbx.Queues q ON c.queue = q.id)');
+  accepts('SELECT * FROM ((SELECT 1 AS n FROM pbx.CallHistory)) x');
+  accepts('SELECT * FROM `proj.pbx.CallHistory` c JOIN c.legs AS l ON TRUE');
+  accepts('SELECT * FROM `proj.pbx.CallHistory` c WHERE EXISTS (SELECT 1 FROM c.legs)');
+  accepts('SELECT EXTRACT(HOUR FROM start_time) FROM `proj.pbx.CallHistory`');
+  accepts("SELECT REPEAT('#', DIV(duration, 60)) AS bar FROM `proj.pbx.CallHistory`");
+});
+
+test('other datasets are refused', () => {
+  refuses('SELECT * FROM other.secret', 'outside_dataset');
+  refuses('SELECT * FROM `proj.other.secret`', 'outside_dataset');
+  refuses('SELECT * FROM secret', 'outside_dataset');
+  refuses('SELECT * FROM (other.secret JOIN pbx.t ON TRUE)', 'outside_dataset');
+  refuses('SELECT * FROM (other.secret CROSS JOIN pbx.t)', 'outside_dataset');
+  refuses('SELECT * FROM ((pbx.t JOIN other.secret ON TRUE))', 'outside_dataset');
+  refuses('SELECT * FROM (pbx.t, other.secret)', 'outside_dataset');
+});
+
+test('a CTE name does not make a dataset of the same name readable', () => {
+  refuses('WITH other AS (SELECT 1) SELECT * FROM other.secret', 'outside_dataset');
+  refuses('WITH other AS (SELECT 1) SELECT * FROM `proj.pbx.CallHistory`, other.secret', 'outside_dataset');
+});
+
+test('an alias only covers paths while it is in scope', () => {
+  // Defined after the reference
+  refuses('SELECT * FROM other.secret, `proj.pbx.CallHistory` other', 'outside_dataset');
+  // Defined in a subquery that has already closed
+  refuses('SELECT * FROM (SELECT 1 FROM `proj.pbx.CallHistory` other), other.secret', 'outside_dataset');
+  // Defined in the other half of a UNION
+  refuses('SELECT 1 FROM `proj.pbx.CallHistory` other UNION ALL SELECT 1 FROM other.secret', 'outside_dataset');
+});
+
+test('writes and scripting are refused', () => {
+  refuses('DELETE FROM pbx.CallHistory WHERE TRUE', 'not_select');
+  refuses('SELECT 1; DROP TABLE pbx.CallHistory', 'multiple_statements');
+  refuses('SELECT @@project_id', 'scripting');
+});
+
+test('report parameters are found outside strings and comments', () => {
+  assert.deepEqual(findQueryParameters(
+    "SELECT '@not_me', `@nor_me` FROM pbx.CallHistory -- @or_me\nWHERE d >= @start_date /* @skip */ AND d < @end_date AND ext = @start_date"),
+    ['start_date', 'end_date']);
+  assert.deepEqual(findQueryParameters('SELECT @@project_id'), []);
+  assert.throws(() => findQueryParameters("SELECT 'still typing @x"), /Unterminated string/);
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sqlCoversWindow } = require('../lib/sqlWindow');
+const { resolveTimeWindow, calendarOf } = require('../lib/siteCalendar');
+
+// Monday 26 Oct 2026, the day after the clocks went back: "yesterday" in
+// London was 25 hours long. The SQL's CURRENT_DATE() is read at the same time.
+const now = new Date('2026-10-26T09:30:00Z');
+const calendar = calendarOf({ timeZone: 'Europe/London' });
+const tz = "'Europe/London'";
+const resolve = (question) => resolveTimeWindow(question, calendar, { now });
+const covers = (sql, window) => sqlCoversWindow(sql, window, { now });
+const yesterday = resolve('how many calls yesterday?');
+const utcLiteral = (iso) => `TIMESTAMP '${iso.slice(0, 19).replace('T', ' ')}'`;
+
+test('boundaries relative to the site date cover the window', async () => {
+  assert.deepEqual([yesterday.start, yesterday.end], ['2026-10-24T23:00:00.000Z', '2026-10-26T00:00:00.000Z']);
+  assert.equal(await covers(
+    `SELECT COUNT(*) FROM pbx.CallHistory WHERE start_time >= TIMESTAMP(DATE_SUB(CURRENT_DATE(${tz}), INTERVAL 1 DAY), ${tz})
+       AND start_time < TIMESTAMP(CURRENT_DATE(${tz}), ${tz})`, yesterday), true);
+  assert.equal(await covers(
+    `SELECT COUNT(*) FROM pbx.CallHistory WHERE DATE(start_time, ${tz}) = DATE_SUB(CURRENT_DATE(${tz}), INTERVAL 1 DAY)`, yesterday), true);
+  assert.equal(await covers(
+    `SELECT COUNT(*) FROM pbx.CallHistory c WHERE c.start_time BETWEEN ${utcLiteral(yesterday.start)} AND TIMESTAMP_SUB(${utcLiteral(yesterday.end)}, INTERVAL 1 SECOND)`, yesterday), true);
+});
+
+test('other days or no date filter do not', async () => {
+  assert.equal(await covers(
+    `SELECT COUNT(*) FROM pbx.CallHistory WHERE DATE(start_time, ${tz}) = DATE_SUB(CURRENT_DATE(${tz}), INTERVAL 2 DAY)`, yesterday), false);
+  assert.equal(await covers(
+    `SELECT COUNT(*) FROM pbx.CallHistory WHERE DATE(start_time, ${tz}) >= DATE_SUB(CURRENT_DATE(${tz}), INTERVAL 7 DAY)`, yesterday), false);
+  assert.equal(await covers('SELECT COUNT(*) FROM pbx.CallHistory', yesterday), false);
+});
+
+test('a window to now may leave out the end; all dates needs no date filter', async () => {
+  const week = resolve('calls in the past 7 days');
+  assert.equal(await covers(
+    `SELECT COUNT(*) FROM pbx.CallHistory WHERE DATE(start_time, ${tz}) >= DATE_SUB(CURRENT_DATE(${tz}), INTERVAL 6 DAY)`, week), true);
+  const allTime = resolve('calls ever');
+  assert.equal(await covers('SELECT COUNT(*) FROM pbx.CallHistory WHERE duration > 60', allTime), true);
+  assert.equal(await covers(`SELECT COUNT(*) FROM pbx.CallHistory WHERE DATE(start_time) >= '2024-01-01'`, allTime), false);
+});
+
+test('after hours needs a time of day filter', async () => {
+  const afterHours = resolve('calls after hours yesterday');
+  const dates = `DATE(start_time, ${tz}) = DATE_SUB(CURRENT_DATE(${tz}), INTERVAL 1 DAY)`;
+  assert.equal(await covers(`SELECT COUNT(*) FROM pbx.CallHistory WHERE ${dates}`, afterHours), false);
+  assert.equal(await covers(
+    `SELECT COUNT(*) FROM pbx.CallHistory WHERE ${dates} AND NOT (TIME(DATETIME(start_time, ${tz})) BETWEEN '09:00:00' AND '17:00:00')`,
+    afterHours), true);
+});
+
+test('a weekday named on its own is not a period', () => {
+  assert.equal(resolve('which is busier, Monday or Friday?').start, null);
+  assert.equal(resolve('calls last Friday').label, 'Friday');
+});
+
+test('the same SQL read on another day no longer covers the window', async () => {
+  const sql = `SELECT COUNT(*) FROM pbx.CallHistory WHERE DATE(start_time, ${tz}) = DATE_SUB(CURRENT_DATE(${tz}), INTERVAL 1 DAY)`;
+  assert.equal(await sqlCoversWindow(sql, yesterday, { now: new Date('2026-10-27T09:30:00Z') }), false);
+  // Any time on the Monday in London reads the same
+  assert.equal(await sqlCoversWindow(sql, yesterday, { now: new Date('2026-10-26T23:30:00Z') }), true);
+});